@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// plan.js
+// Command-line study planner: runs the same planning code as the app over a plan written
+// as JSON, with no browser involved.
+//   node bin/plan.js plan.json                      sessions, report and readiness forecast as JSON
+//   node bin/plan.js plan.json --format ics --out plan.ics
+//   node bin/plan.js plans.json --format csv --out-dir plans/
+// A config holds the study form's fields (subjects, exams, difficulty, learningStyle,
+// studyHours, studyPreferences, sessionLength, breakMinutes, maxContinuous, weekdayHours,
+// strategy, seed) plus what the app would know about the student: `availability`,
+// `syllabi` ({subject: {units: [{title, topics: [{topic, hours}]}]}}), `topicConfidence`
+// ({'subject::topic': 1-5}), `reviewItems` and `completed` sessions. `startDate`
+// (YYYY-MM-DD) fixes the first day, so the same config always gives the same plan.
+// A config file holding an array is a batch: each entry needs a `name` and is written
+// to <out-dir>/<name>.<format>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { StudyPlanner, parseISODate, toISODate } = require('../planner.js');
+
+const FORMATS = ['json', 'csv', 'ics'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const USAGE = 'Usage: node bin/plan.js <config.json | -> [--format json|csv|ics] [--out file] [--out-dir dir]';
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { format: 'json', out: null, outDir: null, config: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format' || arg === '--out' || arg === '--out-dir') {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            options[{ '--format': 'format', '--out': 'out', '--out-dir': 'outDir' }[arg]] = argv[++i];
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (options.config === null) {
+            options.config = arg;
+        } else {
+            throw new UsageError(`Unexpected argument ${arg}`);
+        }
+    }
+    if (!options.help && options.config === null) throw new UsageError('No config given');
+    if (!FORMATS.includes(options.format)) throw new UsageError(`Unknown format ${options.format}`);
+    return options;
+}
+
+function readConfig(source) {
+    const text = source === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(source, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source === '-' ? 'Standard input' : source} is not valid JSON`);
+    }
+}
+
+// A real calendar date written YYYY-MM-DD
+function isISODate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toISODate(parseISODate(value)) === value;
+}
+
+// Plans one config and returns the file contents in `format`, with the planner's report
+function plan(planner, config, format) {
+    const { startDate, availability, syllabi, topicConfidence, reviewItems, completed = [], name, ...formData } = config;
+    if (startDate && !isISODate(startDate)) throw new Error(`startDate ${startDate} is not YYYY-MM-DD`);
+    const now = startDate ? parseISODate(startDate).getTime() : Date.now();
+    if (!DIFFICULTIES.includes(formData.difficulty)) throw new UsageError(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    const exams = planner.getSubjectExams(formData);
+    const undated = exams.filter(exam => !isISODate(exam.examDate)).map(exam => exam.subject);
+    if (undated.length > 0) throw new UsageError(`No valid examDate (YYYY-MM-DD) for ${undated.join(', ')}`);
+    formData.subjects = exams.map(exam => exam.subject);
+    const problems = planner.checkPlan(formData);
+    if (problems.length > 0) throw new Error(problems.join(' '));
+
+    const profile = StudyPlanner.profile({ schedule: completed.map(s => ({ ...s, completed: true })), reviewItems, topicConfidence, syllabi, availability });
+    const report = {};
+    const sessions = planner.createSchedule({ seed: 1, ...formData }, profile, report, { now });
+    if (sessions.length === 0) throw new Error(report.unplaced > 0 ? 'No free time left in the preferred hours.' : 'No study days before the exams: is every exam after startDate, and does weekdayHours leave a study day?');
+    if (format === 'csv') return { output: planner.toCSV(sessions), report };
+    if (format === 'ics') return { output: planner.toICS(sessions, { stamp: new Date(now) }), report };
+    const forecast = planner.forecast(sessions, formData, profile, { now });
+    return { output: JSON.stringify({ sessions, report, forecast }, null, 2) + '\n', report };
+}
+
+// Coverage problems go to stderr so they are seen even when the plan is piped elsewhere
+function warn(label, report) {
+    const prefix = label ? `${label}: ` : '';
+    if (report.unplaced > 0) console.error(`${prefix}${report.unplaced} session(s) did not fit into free time`);
+    (report.uncovered || []).forEach(gap => {
+        console.error(`${prefix}${gap.topics} topic(s) of ${gap.subject} are not covered before its exam on ${gap.examDate}`);
+    });
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    const config = readConfig(options.config);
+    const planner = new StudyPlanner();
+
+    if (Array.isArray(config)) {
+        if (!options.outDir) throw new UsageError('A batch of plans needs --out-dir');
+        const names = config.map((entry, i) => {
+            if (!entry || typeof entry.name !== 'string' || !/^[\w.-]+$/.test(entry.name)) throw new Error(`Plan ${i + 1} needs a name made of letters, digits, '.', '_' or '-'`);
+            return entry.name;
+        });
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) throw new Error(`More than one plan is named ${duplicate}`);
+        fs.mkdirSync(options.outDir, { recursive: true });
+        config.forEach(entry => {
+            const { output, report } = plan(planner, entry, options.format);
+            const file = path.join(options.outDir, `${entry.name}.${options.format}`);
+            fs.writeFileSync(file, output);
+            warn(entry.name, report);
+            console.log(`${file}: ${report.allocation.reduce((sum, a) => sum + a.sessions, 0)} sessions`);
+        });
+        return;
+    }
+
+    const { output, report } = plan(planner, config, options.format);
+    if (options.out) fs.writeFileSync(options.out, output);
+    else process.stdout.write(output);
+    warn('', report);
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        if (error instanceof UsageError) console.error(USAGE);
+        process.exit(1);
+    }
+}
+
+module.exports = { plan, parseArgs };
@@ -0,0 +1,1028 @@
+// planner.js
+// The scheduling engine: turns plan settings and what is known about a student into study
+// sessions. It has no DOM and no storage, so the app (index.html loads it before script.js),
+// the command-line planner in bin/plan.js and scripted tests all plan with the same code.
+
+// A gap at least this long ends a run of continuous study
+const LONG_BREAK_MINUTES = 30;
+
+// Local calendar dates as YYYY-MM-DD, so a session stays on its day in any time zone
+function toISODate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+function parseISODate(iso) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Small deterministic generator (mulberry32): the same seed always gives the same
+// sequence in [0, 1), so a plan can be regenerated exactly
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Groups records by the value of one of their fields
+function groupBy(arr, key) {
+    return arr.reduce((acc, i) => ({...acc, [i[key]]: [...(acc[i[key]]||[]), i]}), {});
+}
+
+// ---------------------------------------------------------------------------------
+// Spaced repetition: SM-2 memory model per (subject, topic)
+// ---------------------------------------------------------------------------------
+// Recall quality on SM-2's 0-5 scale; anything below 3 counts as forgotten
+const RECALL_GRADES = {
+    again: { quality: 1, label: 'Again', hint: 'Forgot it' },
+    hard: { quality: 3, label: 'Hard', hint: 'Recalled with effort' },
+    good: { quality: 4, label: 'Good', hint: 'Recalled it' },
+    easy: { quality: 5, label: 'Easy', hint: 'Knew it cold' }
+};
+
+class SpacedRepetition {
+    static key(subject, topic) {
+        return `${subject}::${topic}`;
+    }
+
+    static addDays(isoDate, days) {
+        const date = parseISODate(isoDate);
+        date.setDate(date.getDate() + days);
+        return toISODate(date);
+    }
+
+    static createItem(subject, topic) {
+        return { subject, topic, ease: 2.5, interval: 0, repetitions: 0, lapses: 0, due: null, lastReviewed: null };
+    }
+
+    // Returns the item after a review on ISO date `on` with the given quality
+    static review(item, quality, on) {
+        const next = { ...item, lastReviewed: on };
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses = (item.lapses || 0) + 1;
+        } else {
+            next.repetitions = item.repetitions + 1;
+            next.interval = next.repetitions === 1 ? 1 : next.repetitions === 2 ? 6 : Math.round(item.interval * item.ease);
+        }
+        next.ease = Math.max(1.3, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.due = SpacedRepetition.addDays(on, next.interval);
+        return next;
+    }
+
+    // Items due on or before `date`: most overdue first, then the hardest
+    static dueOn(items, date) {
+        return items
+            .filter(item => item.due && item.due <= date)
+            .sort((a, b) => a.due.localeCompare(b.due) || a.ease - b.ease);
+    }
+
+    // Expected chance of recalling the item on ISO date `on`. The SM-2 interval is taken as
+    // the point where recall has dropped to 90%; an item never reviewed is not remembered.
+    static retention(item, on) {
+        if (!item || !item.lastReviewed) return 0;
+        const days = Math.max(0, Math.round((parseISODate(on) - parseISODate(item.lastReviewed)) / (1000 * 3600 * 24)));
+        return Math.pow(0.9, days / Math.max(1, item.interval));
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// Topic prerequisite graphs: nodes are {topic, requires: [topic], effort}
+// ---------------------------------------------------------------------------------
+class TopicGraph {
+    // Topological order that keeps the listed order wherever prerequisites allow; topics
+    // caught in a cycle go last in their listed order rather than being dropped
+    static order(nodes) {
+        const placed = new Set();
+        const ordered = [];
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const node of nodes) {
+                if (placed.has(node.topic) || !node.requires.every(topic => placed.has(topic))) continue;
+                placed.add(node.topic);
+                ordered.push(node);
+                progress = true;
+                break;
+            }
+        }
+        return [...ordered, ...nodes.filter(node => !placed.has(node.topic))];
+    }
+
+    // Length of the longest prerequisite chain leading to each topic
+    static depths(nodes) {
+        const depths = new Map();
+        TopicGraph.order(nodes).forEach(node => {
+            const parents = node.requires.map(topic => depths.get(topic)).filter(depth => depth !== undefined);
+            depths.set(node.topic, parents.length > 0 ? Math.max(...parents) + 1 : 0);
+        });
+        return depths;
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// Scheduling strategies: for the same inputs, a strategy decides which subject takes each
+// slot, what kind of session it is and how a day's sessions are ordered. Free time, topic
+// order and reviews are planned the same way for all of them, so plans compare directly.
+// ---------------------------------------------------------------------------------
+class SchedulingStrategy {
+    constructor(id, label, description) {
+        this.id = id;
+        this.label = label;
+        this.description = description;
+    }
+
+    // A subject's claim on today's time, from its effort (credit weight, target grade and
+    // weakness) and the days left until its exam
+    weigh(exam, daysLeft) {
+        return exam.effort;
+    }
+
+    // Subject for the next slot. `active` are the exams still ahead with their share of today
+    // (`shares`), `credit` is each subject's running share minus the slots it already got,
+    // `previous` the subject of the slot before and `today` the subjects placed today.
+    pickSubject({ active, shares, credit }) {
+        active.forEach((exam, k) => { credit[exam.subject] += shares[k]; });
+        const exam = active.reduce((best, candidate) => credit[candidate.subject] > credit[best.subject] ? candidate : best);
+        credit[exam.subject] -= 1;
+        return exam;
+    }
+
+    // Rotation of session types for a day of one subject's run-up
+    sessionTypes(day, totalDays, learningStyle) {
+        // Default session types distribution
+        let sessionTypes = ['learning', 'learning', 'practice', 'review'];
+
+        // Adjust based on learning style
+        if (learningStyle === 'visual') {
+            sessionTypes = ['learning', 'practice', 'practice', 'review'];
+        } else if (learningStyle === 'auditory') {
+            sessionTypes = ['learning', 'review', 'learning', 'practice'];
+        } else if (learningStyle === 'kinesthetic') {
+            sessionTypes = ['practice', 'practice', 'learning', 'review'];
+        } else if (learningStyle === 'reading') {
+            sessionTypes = ['learning', 'learning', 'review', 'practice'];
+        }
+
+        // Adjust based on proximity to exam
+        if (day > totalDays * 0.7) {
+            // More review and practice as exam approaches
+            sessionTypes = ['review', 'practice', 'review', 'practice'];
+        }
+
+        return sessionTypes;
+    }
+
+    // Order in which a day's sessions take its start times, earliest first
+    arrangeDay(sessions, examsBySubject) {
+        return sessions;
+    }
+}
+
+// Nearer exams get more of each day
+class ProximityStrategy extends SchedulingStrategy {
+    weigh(exam, daysLeft) {
+        return exam.effort / Math.sqrt(daysLeft);
+    }
+}
+
+// Subjects take turns, one slot each, whatever their weight or exam date
+class RoundRobinStrategy extends SchedulingStrategy {
+    pickSubject({ active, previous }) {
+        const last = active.findIndex(exam => exam.subject === previous);
+        return active[(last + 1) % active.length];
+    }
+}
+
+// Weighted like exam proximity, but never the same subject twice in a row when another
+// one is left
+class InterleavedStrategy extends ProximityStrategy {
+    pickSubject(slot) {
+        const others = slot.active.filter(exam => exam.subject !== slot.previous);
+        if (others.length === 0 || others.length === slot.active.length) return super.pickSubject(slot);
+        const exam = super.pickSubject({ ...slot, active: others, shares: slot.shares.filter((share, k) => slot.active[k].subject !== slot.previous) });
+        // The skipped subject keeps its claim for the next slot
+        const skipped = slot.active.findIndex(candidate => candidate.subject === slot.previous);
+        slot.credit[slot.previous] += slot.shares[skipped];
+        return exam;
+    }
+}
+
+// A whole day on one subject: the day's first pick keeps every slot
+class BlockedStrategy extends ProximityStrategy {
+    pickSubject(slot) {
+        const exam = slot.today.length > 0 && slot.active.find(candidate => candidate.subject === slot.today[0]);
+        if (!exam) return super.pickSubject(slot);
+        slot.active.forEach((candidate, k) => { slot.credit[candidate.subject] += slot.shares[k]; });
+        slot.credit[exam.subject] -= 1;
+        return exam;
+    }
+}
+
+// Weighted like exam proximity; the hardest work of each day (new material in the weakest
+// subjects) goes to its first, freshest hours
+class HardestFirstStrategy extends ProximityStrategy {
+    arrangeDay(sessions, examsBySubject) {
+        const load = { learning: 3, practice: 2, review: 1 };
+        const hardness = session => (load[session.sessionType] || 1) * ((examsBySubject[session.subject] || {}).weakness || 1);
+        return [...sessions].sort((a, b) => hardness(b) - hardness(a));
+    }
+}
+
+const SCHEDULING_STRATEGIES = {
+    proximity: new ProximityStrategy('proximity', 'Exam proximity', 'More time for nearer exams, weighted by credits, target grade and confidence.'),
+    roundRobin: new RoundRobinStrategy('roundRobin', 'Round robin', 'Subjects take turns, one session each.'),
+    interleaved: new InterleavedStrategy('interleaved', 'Interleaved', 'Like exam proximity, but subjects alternate so no two sessions in a row share a subject.'),
+    blocked: new BlockedStrategy('blocked', 'Blocked', 'Each day goes to a single subject for deep, uninterrupted work.'),
+    hardestFirst: new HardestFirstStrategy('hardestFirst', 'Hardest first', 'Like exam proximity, with new material in your weakest subjects at the start of each day.')
+};
+
+// ---------------------------------------------------------------------------------
+// Study planner: plan settings (the study form's fields) + a student profile -> sessions
+// ---------------------------------------------------------------------------------
+class StudyPlanner {
+    constructor() {
+        // Aiming higher asks for proportionally more study time
+        this.targetGrades = {
+            'A+': { label: 'Target A+', effort: 1.4 },
+            'A': { label: 'Target A', effort: 1.2 },
+            'B': { label: 'Target B', effort: 1 },
+            'C': { label: 'Target C', effort: 0.85 },
+            'Pass': { label: 'Target Pass', effort: 0.7 }
+        };
+        this.studyPreferences = {
+            morning: { label: 'Morning (6AM-12PM)', hours: [6, 7, 8, 9, 10, 11] },
+            afternoon: { label: 'Afternoon (12PM-6PM)', hours: [12, 13, 14, 15, 16, 17] },
+            evening: { label: 'Evening (6PM-12AM)', hours: [18, 19, 20, 21, 22, 23] },
+            night: { label: 'Night (12AM-6AM)', hours: [0, 1, 2, 3, 4, 5] }
+        };
+        // Topics per subject and proficiency level. `requires` lists prerequisites from the same
+        // level (lower levels are assumed known); `effort` is how many learning sessions a topic needs.
+        this.topicsDatabase = {
+            'mathematics': {
+                'beginner': [
+                    { topic: 'Basic Algebra', requires: [], effort: 2 },
+                    { topic: 'Geometry Fundamentals', requires: ['Basic Algebra'], effort: 1 },
+                    { topic: 'Introduction to Statistics', requires: ['Basic Algebra'], effort: 1 }
+                ],
+                'intermediate': [
+                    { topic: 'Calculus I', requires: [], effort: 3 },
+                    { topic: 'Linear Algebra', requires: [], effort: 2 },
+                    { topic: 'Probability Theory', requires: ['Calculus I'], effort: 2 }
+                ],
+                'advanced': [
+                    { topic: 'Multivariable Calculus', requires: [], effort: 2 },
+                    { topic: 'Differential Equations', requires: ['Multivariable Calculus'], effort: 3 },
+                    { topic: 'Abstract Algebra', requires: [], effort: 2 }
+                ]
+            },
+            'physics': {
+                'beginner': [
+                    { topic: 'Classical Mechanics', requires: [], effort: 2 },
+                    { topic: 'Thermodynamics Basics', requires: ['Classical Mechanics'], effort: 1 },
+                    { topic: 'Introduction to Waves', requires: ['Classical Mechanics'], effort: 1 }
+                ],
+                'intermediate': [
+                    { topic: 'Electromagnetism', requires: [], effort: 2 },
+                    { topic: 'Quantum Mechanics', requires: ['Electromagnetism'], effort: 3 },
+                    { topic: 'Relativity', requires: ['Electromagnetism'], effort: 2 }
+                ],
+                'advanced': [
+                    { topic: 'Quantum Field Theory', requires: ['Particle Physics'], effort: 3 },
+                    { topic: 'Particle Physics', requires: [], effort: 2 },
+                    { topic: 'General Relativity', requires: [], effort: 3 }
+                ]
+            },
+            'chemistry': {
+                'beginner': [
+                    { topic: 'Atomic Structure', requires: [], effort: 1 },
+                    { topic: 'Chemical Bonding', requires: ['Atomic Structure'], effort: 2 },
+                    { topic: 'Introduction to Organic Chemistry', requires: ['Chemical Bonding'], effort: 2 }
+                ],
+                'intermediate': [
+                    { topic: 'Chemical Kinetics', requires: ['Thermodynamics'], effort: 2 },
+                    { topic: 'Thermodynamics', requires: [], effort: 2 },
+                    { topic: 'Organic Reactions', requires: [], effort: 2 }
+                ],
+                'advanced': [
+                    { topic: 'Quantum Chemistry', requires: [], effort: 3 },
+                    { topic: 'Biochemistry', requires: [], effort: 2 },
+                    { topic: 'Inorganic Complexes', requires: ['Quantum Chemistry'], effort: 2 }
+                ]
+            },
+            'biology': {
+                'beginner': [
+                    { topic: 'Cell Biology', requires: [], effort: 2 },
+                    { topic: 'Genetics Basics', requires: ['Cell Biology'], effort: 2 },
+                    { topic: 'Introduction to Evolution', requires: ['Genetics Basics'], effort: 1 }
+                ],
+                'intermediate': [
+                    { topic: 'Molecular Biology', requires: [], effort: 2 },
+                    { topic: 'Physiology', requires: [], effort: 2 },
+                    { topic: 'Ecology', requires: [], effort: 1 }
+                ],
+                'advanced': [
+                    { topic: 'Bioinformatics', requires: ['Genomics'], effort: 2 },
+                    { topic: 'Genomics', requires: [], effort: 2 },
+                    { topic: 'Advanced Genetics', requires: ['Genomics'], effort: 2 }
+                ]
+            },
+            'computer science': {
+                'beginner': [
+                    { topic: 'Programming Fundamentals', requires: [], effort: 2 },
+                    { topic: 'Data Structures', requires: ['Programming Fundamentals'], effort: 2 },
+                    { topic: 'Algorithms Basics', requires: ['Data Structures'], effort: 2 }
+                ],
+                'intermediate': [
+                    { topic: 'Object-Oriented Programming', requires: [], effort: 2 },
+                    { topic: 'Database Systems', requires: [], effort: 2 },
+                    { topic: 'Software Engineering', requires: ['Object-Oriented Programming'], effort: 2 }
+                ],
+                'advanced': [
+                    { topic: 'Machine Learning', requires: [], effort: 3 },
+                    { topic: 'Computer Graphics', requires: [], effort: 2 },
+                    { topic: 'Distributed Systems', requires: [], effort: 3 }
+                ]
+            },
+            'operating systems': {
+                'beginner': [
+                    { topic: 'Introduction to OS', requires: [], effort: 1 },
+                    { topic: 'Process Management', requires: ['Introduction to OS'], effort: 2 },
+                    { topic: 'Memory Management Basics', requires: ['Introduction to OS'], effort: 2 }
+                ],
+                'intermediate': [
+                    { topic: 'Process Scheduling', requires: [], effort: 2 },
+                    { topic: 'File Systems', requires: [], effort: 2 },
+                    { topic: 'I/O Systems', requires: ['File Systems'], effort: 1 }
+                ],
+                'advanced': [
+                    { topic: 'Distributed Systems', requires: [], effort: 3 },
+                    { topic: 'Virtualization', requires: [], effort: 2 },
+                    { topic: 'Security in OS', requires: ['Virtualization'], effort: 2 }
+                ]
+            }
+        };
+        this.sessionResources = {
+            'mathematics': [
+                { type: 'video', title: 'Khan Academy - Algebra Basics', url: '#' },
+                { type: 'article', title: 'MIT OpenCourseWare - Calculus', url: '#' },
+                { type: 'practice', title: 'Brilliant - Math Problems', url: '#' }
+            ],
+            'physics': [
+                { type: 'video', title: 'Crash Course Physics', url: '#' },
+                { type: 'simulation', title: 'PhET Interactive Simulations', url: '#' },
+                { type: 'article', title: 'Physics Classroom - Tutorials', url: '#' }
+            ],
+            'chemistry': [
+                { type: 'video', title: 'Crash Course Chemistry', url: '#' },
+                { type: 'simulation', title: 'ChemCollective Virtual Labs', url: '#' },
+                { type: 'article', title: 'ChemGuide - Concepts', url: '#' }
+            ],
+            'biology': [
+                { type: 'video', title: 'Crash Course Biology', url: '#' },
+                { type: 'simulation', title: 'BioInteractive Virtual Labs', url: '#' },
+                { type: 'article', title: 'Biology Corner - Lessons', url: '#' }
+            ],
+            'computer science': [
+                { type: 'video', title: 'Harvard CS50', url: '#' },
+                { type: 'interactive', title: 'Codecademy - Interactive Coding', url: '#' },
+                { type: 'article', title: 'GeeksforGeeks - Algorithms', url: '#' }
+            ],
+            'operating systems': [
+                { type: 'video', title: 'Operating Systems - Crash Course', url: '#' },
+                { type: 'book', title: 'Operating System Concepts by Silberschatz', url: '#' },
+                { type: 'simulation', title: 'OS Simulations - Interactive Learning', url: '#' }
+            ]
+        };
+    }
+
+    // Turns a profile given as plain objects (as parsed from JSON) into the shape the planner
+    // reads; missing parts are empty
+    static profile({ schedule = [], reviewItems = [], topicConfidence = [], syllabi = [], availability = {}, materialTopics = [] } = {}) {
+        const toMap = value => (value instanceof Map ? value : new Map(Array.isArray(value) ? value : Object.entries(value)));
+        return {
+            schedule,
+            reviewItems: toMap(reviewItems),
+            topicConfidence: toMap(topicConfidence),
+            syllabi: toMap(syllabi),
+            availability: { busy: availability.busy || [], exceptions: availability.exceptions || [] },
+            materialTopics: toMap(materialTopics)
+        };
+    }
+
+    // Problems with plan settings that stop a plan being made, as messages for the student
+    checkPlan(formData) {
+        const exams = this.getSubjectExams(formData);
+        if (exams.length === 0) return ['Please add at least one subject.'];
+        const problems = [];
+        const missing = exams.filter(exam => !exam.examDate).map(exam => exam.subject);
+        if (missing.length > 0) problems.push(`Set an exam date for ${missing.join(', ')}.`);
+        const { length, maxContinuous } = this.sessionSettings(formData);
+        if (maxContinuous && length > maxContinuous) problems.push('Sessions cannot be longer than the maximum continuous study time.');
+        return problems;
+    }
+
+    // Plans the sessions for `formData` from what `profile` (see StudyPlanner.profile) knows
+    // about the student, from the day `now` falls on.
+    // `report.unplaced` counts sessions that did not fit into free time. `locked` sessions stay
+    // where they are: new sessions are packed around them and they count towards their
+    // subject's share. Ties are broken by a generator seeded from `formData.seed`, and
+    // `formData.strategy` names the scheduling strategy.
+    createSchedule(formData, profile, report = {}, { locked = [], now = Date.now() } = {}) {
+        const { subjects, difficulty, learningStyle, studyPreferences } = formData;
+        const generatedAt = now;
+        const random = seededRandom(formData.seed || 0);
+        const strategy = SCHEDULING_STRATEGIES[formData.strategy] || SCHEDULING_STRATEGIES.proximity;
+        const lockedByDate = groupBy(locked, 'date');
+        // Day 1 is the day the plan is made; every session keeps its calendar date from here on
+        const startDate = new Date(generatedAt);
+        startDate.setHours(0, 0, 0, 0);
+
+        // Each subject is studied up to the day before its own exam. Its effort, and so its share
+        // of sessions, scales with credit weight, target grade and weakness: confidence 3/5 is
+        // neutral, 1/5 gets two thirds more time and 5/5 a third of it.
+        const exams = this.getSubjectExams(formData).map(exam => {
+            const confidence = this.subjectConfidence(exam.subject, exam.confidence, profile.topicConfidence);
+            const weakness = (6 - confidence) / 3;
+            return {
+                ...exam,
+                confidence,
+                weakness,
+                horizon: this.daysBetween(startDate, parseISODate(exam.examDate)),
+                effort: exam.weight * (this.targetGrades[exam.targetGrade] || this.targetGrades.B).effort * weakness
+            };
+        });
+        const examsBySubject = Object.fromEntries(exams.map(exam => [exam.subject, exam]));
+        const totalDays = Math.max(0, ...exams.map(exam => exam.horizon));
+        if (totalDays <= 0) return [];
+
+        let schedule = [];
+        const daysToPlan = Math.min(totalDays, 30);
+        // Running share per subject; the slot goes to whoever is furthest behind their share
+        const credit = {};
+        exams.forEach(exam => { credit[exam.subject] = 0; });
+
+        const { availability } = profile;
+        report.unplaced = 0;
+
+        // Get available study hours based on preferences
+        const availableHours = this.preferredHours(studyPreferences);
+        const settings = this.sessionSettings(formData);
+
+        // Session start times for every day of the plan, packed with their breaks into the
+        // preferred hours that are free. Sessions that are kept take their part of the day first.
+        // Rest days and days off get none, and do not count as time that did not fit.
+        const slots = [];
+        for (let day = 1; day <= daysToPlan; day++) {
+            const sessionDate = new Date(startDate);
+            sessionDate.setDate(startDate.getDate() + day - 1);
+            const fixed = lockedByDate[toISODate(sessionDate)] || [];
+            if (this.isDayOff(toISODate(sessionDate), availability)) {
+                slots[day] = [];
+                continue;
+            }
+            // How many sessions the weekday's hours could hold if nothing else were planned
+            const openDay = this.packDay(this.studyWindows(sessionDate, availableHours, { busy: [], exceptions: [] }), Math.floor(this.dailyBudget(settings, sessionDate) / settings.length), settings).length;
+            const wanted = Math.max(0, openDay - fixed.length);
+            slots[day] = this.packDay(this.studyWindows(sessionDate, availableHours, availability), wanted, settings, fixed.map(s => this.sessionInterval(s)));
+            report.unplaced += wanted - slots[day].length;
+        }
+        // slotsFrom[day] counts the sessions from that day to the end of the plan
+        const slotsFrom = [];
+        slotsFrom[daysToPlan + 1] = 0;
+        for (let day = daysToPlan; day >= 1; day--) slotsFrom[day] = slotsFrom[day + 1] + slots[day].length;
+
+        // Learning follows each subject's prerequisite order, giving every topic its estimated
+        // number of sessions, and starts over only once all topics have been covered. Topics the
+        // student already learned go to the back and are available for practice straight away.
+        const curricula = {};
+        subjects.forEach(subject => {
+            const nodes = this.buildTopicGraph(subject, difficulty, profile, settings.length);
+            const statuses = this.topicStatuses(subject, nodes, profile);
+            const learned = nodes.filter(node => statuses.get(node.topic).learned);
+            const order = TopicGraph.order(nodes);
+            curricula[subject] = {
+                order: [...order.filter(node => !learned.includes(node)), ...order.filter(node => learned.includes(node))],
+                position: 0,
+                sessions: 0,
+                learned: learned.map(node => node.topic),
+                practiced: {},
+                pending: order.length - learned.length
+            };
+        });
+        // Learning sessions still needed to cover every topic once
+        const remainingEffort = curriculum => curriculum.order
+            .slice(curriculum.position, curriculum.pending)
+            .reduce((sum, node) => sum + node.effort, 0) - (curriculum.position < curriculum.pending ? curriculum.sessions : 0);
+
+        // Reviews are placed by projecting the spaced repetition model forward, assuming
+        // each review goes well; the stored model itself only changes on real results
+        const memory = new Map([...profile.reviewItems].map(([key, item]) => [key, { ...item }]));
+        const { topicConfidence } = profile;
+
+        // Generate schedule day by day
+        for (let day = 1; day <= daysToPlan; day++) {
+            const sessionsForDay = [];
+            const sessionDate = new Date(startDate);
+            sessionDate.setDate(startDate.getDate() + day - 1);
+            const date = toISODate(sessionDate);
+
+            // Subjects whose exam is still ahead, and the share of the day the strategy gives each
+            const active = exams.filter(exam => day <= exam.horizon);
+            if (active.length === 0) continue;
+            const urgency = active.map(exam => strategy.weigh(exam, exam.horizon - day + 1));
+            const totalUrgency = urgency.reduce((sum, u) => sum + u, 0);
+            const shares = urgency.map(u => u / totalUrgency);
+
+            // Sessions that are kept count towards their subject's share
+            (lockedByDate[date] || []).filter(s => s.subject in credit).forEach(s => {
+                active.forEach((exam, k) => { credit[exam.subject] += shares[k]; });
+                credit[s.subject] -= 1;
+            });
+
+            const starts = slots[day];
+            for (let i = 0; i < starts.length; i++) {
+                const time = this.toClock(starts[i]);
+
+                // Determine subject for this session
+                const exam = strategy.pickSubject({
+                    active,
+                    shares,
+                    credit,
+                    previous: sessionsForDay.length > 0 ? sessionsForDay[sessionsForDay.length - 1].subject : (schedule.length > 0 ? schedule[schedule.length - 1].subject : null),
+                    today: sessionsForDay.map(s => s.subject)
+                });
+                const subject = exam.subject;
+
+                // Determine session type from how far along this subject's own run-up we are
+                const sessionTypesForDay = strategy.sessionTypes(day, exam.horizon, learningStyle);
+                let sessionType = sessionTypesForDay[i % sessionTypesForDay.length];
+
+                let topic;
+                const curriculum = curricula[subject];
+                // A subject whose exam falls in this plan and that has no more sessions left than
+                // it still needs to cover its topics puts learning first, reviews included
+                const share = shares[active.indexOf(exam)];
+                const remaining = remainingEffort(curriculum);
+                const behind = exam.horizon <= daysToPlan && remaining > 0 && remaining >= (slotsFrom[day] - slotsFrom[exam.horizon + 1] - i) * share;
+                // The memory model decides when a review happens: a due topic takes the slot
+                const due = behind ? [] : SpacedRepetition.dueOn([...memory.values()].filter(item => item.subject === subject), date);
+                if (due.length > 0) {
+                    // Review the most overdue topic and project its next due date
+                    sessionType = 'review';
+                    topic = due[0].topic;
+                    memory.set(SpacedRepetition.key(subject, topic), SpacedRepetition.review(due[0], RECALL_GRADES.good.quality, date));
+                } else {
+                    // Nothing due for review yet: practise instead
+                    if (sessionType === 'review') sessionType = 'practice';
+                    const current = curriculum.order[curriculum.position % curriculum.order.length];
+                    // There is nothing to practise before the first topic has been learned
+                    if (curriculum.learned.length === 0 || behind) sessionType = 'learning';
+                    if (sessionType === 'learning') {
+                        topic = current.topic;
+                        curriculum.sessions++;
+                        if (curriculum.sessions >= current.effort) {
+                            curriculum.position++;
+                            curriculum.sessions = 0;
+                            if (!curriculum.learned.includes(topic)) curriculum.learned.push(topic);
+                            // Once fully taught, the topic enters the model and comes up for review when due
+                            const key = SpacedRepetition.key(subject, topic);
+                            if (!memory.has(key)) {
+                                memory.set(key, SpacedRepetition.review(SpacedRepetition.createItem(subject, topic), RECALL_GRADES.good.quality, date));
+                            }
+                        }
+                    } else {
+                        // Practice goes to the learned topic the student is least sure of, counting
+                        // each practice session already planned as one point of confidence
+                        const score = t => (topicConfidence.get(SpacedRepetition.key(subject, t)) || exam.confidence) + (curriculum.practiced[t] || 0);
+                        const lowest = Math.min(...curriculum.learned.map(score));
+                        const weakest = curriculum.learned.filter(t => score(t) === lowest);
+                        topic = weakest[Math.floor(random() * weakest.length)];
+                        curriculum.practiced[topic] = (curriculum.practiced[topic] || 0) + 1;
+                    }
+                }
+
+                // Assign priority based on proximity to this subject's exam
+                let priority;
+                if (day <= exam.horizon * 0.3) {
+                    priority = 'low';
+                } else if (day <= exam.horizon * 0.7) {
+                    priority = 'medium';
+                } else {
+                    priority = 'high';
+                }
+
+                sessionsForDay.push({
+                    id: `${generatedAt.toString(36)}-${schedule.length + sessionsForDay.length}`,
+                    generatedAt,
+                    rev: 0,
+                    day,
+                    date,
+                    time,
+                    subject,
+                    topic,
+                    sessionType,
+                    priority,
+                    completed: false,
+                    durationMinutes: settings.length,
+                    notes: '',
+                    resources: this.sessionResources[subject.toLowerCase()] || []
+                });
+            }
+
+            // The strategy decides which session takes which start time
+            strategy.arrangeDay(sessionsForDay, examsBySubject).forEach((session, i) => { session.time = this.toClock(starts[i]); });
+
+            // Add sessions to the schedule
+            schedule = [...schedule, ...sessionsForDay.sort((a, b) => a.time.localeCompare(b.time))];
+        }
+
+        // Topics taught at least once, over all topics still to learn
+        report.coverage = {
+            covered: subjects.reduce((sum, subject) => sum + Math.min(curricula[subject].position, curricula[subject].pending), 0),
+            total: subjects.reduce((sum, subject) => sum + curricula[subject].pending, 0)
+        };
+        // Subjects whose exam falls in this plan but whose topics did not all fit before it
+        report.uncovered = exams
+            .filter(exam => exam.horizon <= daysToPlan)
+            .map(exam => ({ subject: exam.subject, examDate: exam.examDate, topics: Math.max(0, curricula[exam.subject].pending - curricula[exam.subject].position) }))
+            .filter(gap => gap.topics > 0);
+        report.allocation = exams.map(({ subject, weight, targetGrade, confidence, weakness, horizon }) => ({
+            subject, weight, targetGrade, confidence, weakness, horizon,
+            sessions: schedule.filter(s => s.subject === subject).length
+        }));
+        return schedule;
+    }
+
+    // The prerequisite graph a subject is taught from: its imported syllabus if that lists any
+    // topics, else topics found in its materials, else the built-in list for the proficiency
+    // level, else a generic introduction-to-practice chain
+    buildTopicGraph(subject, difficulty, profile, sessionLength = 60) {
+        const syllabus = profile.syllabi.get(subject);
+        const outline = syllabus ? this.syllabusGraph(syllabus, sessionLength) : [];
+        if (outline.length > 0) return outline;
+
+        const fileTopics = [...new Set(profile.materialTopics.get(subject) || [])];
+        if (fileTopics.length > 0) return fileTopics.map(topic => ({ topic, requires: [], effort: 1 }));
+
+        const known = this.topicsDatabase[subject.toLowerCase()];
+        if (known && known[difficulty]) return known[difficulty].map(node => ({ ...node, requires: [...node.requires] }));
+
+        const [intro, core, advanced, practice] = this.generateGenericTopics(subject);
+        return [
+            { topic: intro, requires: [], effort: 1 },
+            { topic: core, requires: [intro], effort: 2 },
+            { topic: advanced, requires: [core], effort: 2 },
+            { topic: practice, requires: [core], effort: 1 }
+        ];
+    }
+
+    generateGenericTopics(subject) {
+        const formatted = subject.split(' ').map(w => w[0].toUpperCase() + w.substring(1)).join(' ');
+        return [
+            `Introduction to ${formatted}`,
+            `Core Concepts of ${formatted}`,
+            `Advanced ${formatted} Principles`,
+            `Practice Problems for ${formatted}`
+        ];
+    }
+
+    // Topics are taught in outline order; a unit starts once the previous one has been learned.
+    // Synced or imported syllabi can hold units without topics, which are skipped.
+    syllabusGraph(syllabus, sessionLength) {
+        const nodes = [];
+        let previous = null;
+        (syllabus.units || []).forEach(unit => {
+            const topics = (unit.topics || []).filter(t => t && t.topic);
+            topics.forEach(({ topic, hours }) => {
+                nodes.push({ topic, unit: unit.title, requires: previous ? [previous] : [], effort: hours ? Math.max(1, Math.round(hours * 60 / sessionLength)) : 1 });
+            });
+            if (topics.length > 0) previous = topics[topics.length - 1].topic;
+        });
+        return nodes;
+    }
+
+    // A topic is learned once its completed learning sessions reach its effort, and mastered
+    // once it has also been recalled successfully twice in a row. Until its prerequisites are
+    // learned it is locked.
+    topicStatuses(subject, nodes, profile) {
+        const schedule = profile.schedule.filter(s => s.subject === subject && s.completed);
+        const items = profile.reviewItems;
+        const statuses = new Map();
+        nodes.forEach(node => {
+            const done = schedule.filter(s => s.topic === node.topic);
+            const learnedSessions = done.filter(s => s.sessionType === 'learning').length;
+            const item = items.get(SpacedRepetition.key(subject, node.topic));
+            statuses.set(node.topic, {
+                learned: learnedSessions >= node.effort,
+                learnedSessions,
+                started: done.length > 0,
+                mastered: learnedSessions >= node.effort && Boolean(item && item.repetitions >= 2)
+            });
+        });
+        nodes.forEach(node => {
+            const status = statuses.get(node.topic);
+            const unlocked = node.requires.every(topic => !statuses.has(topic) || statuses.get(topic).learned);
+            status.state = status.mastered ? 'mastered' : status.started ? 'in-progress' : unlocked ? 'unlocked' : 'locked';
+        });
+        return statuses;
+    }
+
+    // The rating given at setup counts as two topic ratings, so one bad session does not swing
+    // a whole subject
+    subjectConfidence(subject, setupRating = 3, topicConfidence = new Map()) {
+        const ratings = [...topicConfidence]
+            .filter(([key]) => key.startsWith(`${subject}::`))
+            .map(([, rating]) => rating);
+        return (setupRating * 2 + ratings.reduce((sum, r) => sum + r, 0)) / (2 + ratings.length);
+    }
+
+    // Projects every subject to its exam day: `coverage` is the share of its topics learned by
+    // then, `retention` how much of what was learned is still remembered, and `readiness` the
+    // share of all its topics the student can expect to recall. Upcoming sessions are assumed
+    // to go well, but only `followThrough` of them (0-1) count, spread evenly over the plan.
+    forecast(schedule, formData, profile, { now = Date.now(), followThrough = 1 } = {}) {
+        const today = toISODate(new Date(now));
+        const { length } = this.sessionSettings(formData);
+        const upcoming = schedule
+            .filter(s => !s.completed && s.date >= today)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+        const planEnd = upcoming.length > 0 ? upcoming[upcoming.length - 1].date : today;
+        return this.getSubjectExams(formData).filter(exam => exam.examDate).map(exam => {
+            const { subject, examDate } = exam;
+            const nodes = this.buildTopicGraph(subject, formData.difficulty, profile, length);
+            const statuses = this.topicStatuses(subject, nodes, profile);
+            const effort = new Map(nodes.map(node => [node.topic, node.effort]));
+            const learnedSessions = new Map(nodes.map(node => [node.topic, statuses.get(node.topic).learnedSessions]));
+            const isLearned = topic => learnedSessions.get(topic) >= effort.get(topic);
+            // Topics learned without a recall rating count as reviewed on their last session
+            const memory = new Map(nodes.map(({ topic }) => {
+                const item = profile.reviewItems.get(SpacedRepetition.key(subject, topic));
+                const last = profile.schedule.filter(s => s.completed && s.subject === subject && s.topic === topic).map(s => s.date).sort().pop();
+                return [topic, item || (isLearned(topic) && last ? SpacedRepetition.review(SpacedRepetition.createItem(subject, topic), RECALL_GRADES.good.quality, last) : null)];
+            }));
+
+            let credit = 0;
+            let counted = 0;
+            upcoming.filter(s => s.subject === subject && s.date < examDate && effort.has(s.topic)).forEach(session => {
+                credit += followThrough;
+                if (credit < 1) return;
+                credit -= 1;
+                counted++;
+                const { topic } = session;
+                if (session.sessionType === 'learning') learnedSessions.set(topic, learnedSessions.get(topic) + 1);
+                // Finishing a topic, and every session on a learned topic after that, is a good recall
+                if (isLearned(topic)) {
+                    memory.set(topic, SpacedRepetition.review(memory.get(topic) || SpacedRepetition.createItem(subject, topic), RECALL_GRADES.good.quality, session.date));
+                }
+            });
+
+            const learned = nodes.filter(node => isLearned(node.topic));
+            const recall = learned.map(node => SpacedRepetition.retention(memory.get(node.topic), examDate));
+            const remembered = recall.reduce((sum, r) => sum + r, 0);
+            return {
+                subject,
+                examDate,
+                topics: nodes.length,
+                learned: learned.length,
+                sessions: counted,
+                coverage: nodes.length > 0 ? learned.length / nodes.length : 1,
+                retention: learned.length > 0 ? remembered / learned.length : 0,
+                readiness: nodes.length > 0 ? remembered / nodes.length : 1,
+                // Study days before the exam go past the end of the plan and are not in the forecast
+                beyondPlan: SpacedRepetition.addDays(examDate, -1) > planEnd
+            };
+        });
+    }
+
+    // formData.exams maps a subject to {examDate, weight, targetGrade}. Subjects without an
+    // entry, and plans saved before per-subject exams, use formData.examDate.
+    getSubjectExams(formData) {
+        const subjects = Array.isArray(formData.subjects) ? formData.subjects : (formData.subjects || '').replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+        const exams = formData.exams || {};
+        return subjects.map(subject => {
+            const exam = exams[subject] || {};
+            return {
+                subject,
+                examDate: exam.examDate || formData.examDate,
+                weight: Number(exam.weight) || 1,
+                targetGrade: exam.targetGrade || 'B',
+                confidence: Number(exam.confidence) || 3
+            };
+        });
+    }
+
+    daysBetween(from, to) {
+        // Rounded so a daylight-saving shift does not lose a day
+        return Math.round((to - from) / (1000 * 3600 * 24));
+    }
+
+    preferredHours(studyPreferences) {
+        let availableHours = [];
+        if (studyPreferences && studyPreferences.length > 0) {
+            studyPreferences.forEach(pref => {
+                if (this.studyPreferences[pref]) {
+                    availableHours = [...availableHours, ...this.studyPreferences[pref].hours];
+                }
+            });
+        } else {
+            // Default hours if no preference selected
+            availableHours = [9, 10, 11, 14, 15, 16, 19, 20, 21];
+        }
+        return availableHours;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Hours of one calendar day that a session may not use. A busy block claims every
+    // hour it touches; a 'free' exception only releases hours it covers completely.
+    busyHoursOn(date, availability) {
+        const dateKey = toISODate(date);
+        const busy = availability.busy.filter(block => block.weekday === date.getDay());
+        const exceptions = availability.exceptions.filter(exception => exception.date === dateKey);
+        const overlaps = (block, hour) => this.toMinutes(block.start) < (hour + 1) * 60 && this.toMinutes(block.end) > hour * 60;
+        const covers = (block, hour) => this.toMinutes(block.start) <= hour * 60 && this.toMinutes(block.end) >= (hour + 1) * 60;
+        const hours = new Set();
+        for (let hour = 0; hour < 24; hour++) {
+            const freed = exceptions.some(e => e.kind === 'free' && covers(e, hour));
+            const taken = exceptions.some(e => e.kind === 'busy' && overlaps(e, hour));
+            if (taken || (!freed && busy.some(block => overlaps(block, hour)))) hours.add(hour);
+        }
+        return hours;
+    }
+
+    // A day off is a one-off busy exception covering the whole day
+    isDayOff(dateKey, availability) {
+        return availability.exceptions.some(e => e.date === dateKey && e.kind === 'busy' && e.start === '00:00' && e.end === '24:00');
+    }
+
+    // Sessions are `length` minutes with at least `breakMinutes` between them. Sessions with
+    // less than LONG_BREAK_MINUTES between them form one run, whose study time may not exceed
+    // `maxContinuous` (0 = no cap). Plans made before these settings existed keep back-to-back
+    // hour sessions.
+    // `weekdayBudgets` holds each weekday's study minutes: its own hours from the weekly
+    // pattern, or the daily study hours where none are set (0 is a rest day).
+    sessionSettings(formData) {
+        const budget = (parseInt(formData.studyHours, 10) || 4) * 60;
+        const pattern = formData.weekdayHours || [];
+        return {
+            length: parseInt(formData.sessionLength, 10) || 60,
+            breakMinutes: parseInt(formData.breakMinutes, 10) || 0,
+            maxContinuous: parseInt(formData.maxContinuous, 10) || 0,
+            budget,
+            weekdayBudgets: [0, 1, 2, 3, 4, 5, 6].map(weekday => (pattern[weekday] === '' || pattern[weekday] == null ? budget : Number(pattern[weekday]) * 60))
+        };
+    }
+
+    // Study minutes available on a date under the weekly pattern
+    dailyBudget(settings, date) {
+        return settings.weekdayBudgets ? settings.weekdayBudgets[date.getDay()] : settings.budget;
+    }
+
+    toClock(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // Minutes from midnight the session occupies
+    sessionInterval(session) {
+        const start = this.toMinutes(session.time);
+        return { start, end: start + session.durationMinutes };
+    }
+
+    // Preferred hours that are free on this date, merged into [start, end) minute windows
+    studyWindows(date, hours, availability) {
+        const busy = this.busyHoursOn(date, availability);
+        const windows = [];
+        [...new Set(hours)].filter(hour => !busy.has(hour)).sort((a, b) => a - b).forEach(hour => {
+            const last = windows[windows.length - 1];
+            if (last && last.end === hour * 60) last.end += 60;
+            else windows.push({ start: hour * 60, end: (hour + 1) * 60 });
+        });
+        return windows;
+    }
+
+    // Whether a session at `start` keeps its breaks from `taken` and stays within the continuous cap
+    fitsBetween(taken, start, length, { breakMinutes, maxContinuous }) {
+        const end = start + length;
+        if (taken.some(t => start < t.end + breakMinutes && end > t.start - breakMinutes)) return false;
+        if (!maxContinuous) return true;
+        const run = [...taken, { start, end }].sort((a, b) => a.start - b.start);
+        let studied = 0;
+        for (let k = 0; k < run.length; k++) {
+            if (k > 0 && run[k].start - run[k - 1].end >= LONG_BREAK_MINUTES) {
+                if (run[k].start > start) break;
+                studied = 0;
+            }
+            studied += run[k].end - run[k].start;
+        }
+        return studied <= maxContinuous;
+    }
+
+    // Earliest start after minute `after`, on a five-minute grid, where the session fits
+    findSessionStart(windows, taken, length, settings, after = -1) {
+        for (const window of windows) {
+            for (let start = window.start; start + length <= window.end; start += 5) {
+                if (start > after && this.fitsBetween(taken, start, length, settings)) return start;
+            }
+        }
+        return null;
+    }
+
+    // Start minutes of up to `count` sessions packed into the windows around the `taken`
+    // intervals, earliest first
+    packDay(windows, count, settings, taken = []) {
+        const placed = [];
+        while (placed.length < count) {
+            const start = this.findSessionStart(windows, [...taken, ...placed], settings.length, settings);
+            if (start === null) break;
+            placed.push({ start, end: start + settings.length });
+        }
+        return placed.map(t => t.start).sort((a, b) => a - b);
+    }
+
+    // First start from `from` onwards where a session of `length` minutes fits a free window
+    // with its breaks, on a day whose study budget it does not overrun; `occupied` maps dates
+    // to the sessions already there
+    findFreeSlot(occupied, { from, until, hours, settings, length, availability }) {
+        const date = new Date(from);
+        date.setHours(0, 0, 0, 0);
+        for (; toISODate(date) < until; date.setDate(date.getDate() + 1)) {
+            const sessions = occupied[toISODate(date)] || [];
+            if (sessions.reduce((sum, s) => sum + s.durationMinutes, 0) + length > this.dailyBudget(settings, date)) continue;
+            const after = toISODate(date) === toISODate(from) ? from.getHours() * 60 + from.getMinutes() : -1;
+            const start = this.findSessionStart(this.studyWindows(date, hours, availability), sessions.map(s => this.sessionInterval(s)), length, settings, after);
+            if (start !== null) return { date: toISODate(date), time: this.toClock(start) };
+        }
+        return null;
+    }
+
+    // When a session starts, as a local Date
+    sessionStart(session) {
+        const start = parseISODate(session.date);
+        const [hours, minutes] = session.time.split(':').map(Number);
+        start.setHours(hours, minutes, 0, 0);
+        return start;
+    }
+
+    sessionEnd(session) {
+        const end = this.sessionStart(session);
+        end.setMinutes(end.getMinutes() + session.durationMinutes);
+        return end;
+    }
+
+    // One row per session; text fields are quoted with their own quotes doubled
+    toCSV(schedule) {
+        const quote = value => `"${String(value || '').replace(/"/g, '""')}"`;
+        let csv = 'Date,Time,Duration (min),Subject,Topic,Session Type,Priority,Completed,Notes\n';
+        schedule.forEach(session => {
+            csv += `${session.date},${session.time},${session.durationMinutes},${quote(session.subject)},${quote(session.topic)},${quote(session.sessionType)},${session.priority},${session.completed ? 'Yes' : 'No'},${quote(session.notes)}\n`;
+        });
+        return csv;
+    }
+
+    // An iCalendar file with one event per session, its lines ending in CRLF as RFC 5545 asks.
+    // `stamp` is written as every event's DTSTAMP, so the same sessions and stamp always give
+    // the same file.
+    toICS(schedule, { stamp = new Date() } = {}) {
+        const formatDate = date => date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+        const text = value => String(value).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+        let ical = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//AI Study Nexus//Study Schedule//EN\r\n';
+        schedule.forEach(session => {
+            ical += `BEGIN:VEVENT\r\n`;
+            ical += `UID:${session.id}@study-nexus\r\n`;
+            ical += `DTSTAMP:${formatDate(stamp)}\r\n`;
+            ical += `DTSTART:${formatDate(this.sessionStart(session))}\r\n`;
+            ical += `DTEND:${formatDate(this.sessionEnd(session))}\r\n`;
+            ical += `SUMMARY:${text(`${session.subject} - ${session.topic}`)}\r\n`;
+            ical += `DESCRIPTION:${text(session.notes || 'Study session')}\r\n`;
+            ical += `CATEGORIES:${session.sessionType}\r\n`;
+            ical += `END:VEVENT\r\n`;
+        });
+        ical += 'END:VCALENDAR\r\n';
+        return ical;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StudyPlanner,
+        SpacedRepetition,
+        TopicGraph,
+        SchedulingStrategy,
+        SCHEDULING_STRATEGIES,
+        RECALL_GRADES,
+        LONG_BREAK_MINUTES,
+        toISODate,
+        parseISODate,
+        seededRandom,
+        groupBy
+    };
+}
@@ -31,28 +31,50 @@ class EnhancedAIAgent {
         return new Promise(resolve => setTimeout(resolve, ms)); 
     } 
 } 
+// PDF.js parses in a worker, which must come from the same release as vendor/pdfjs/pdf.min.js 
+const PDFJS_WORKER_URL = 'vendor/pdfjs/pdf.worker.min.js'; 
+// A page with fewer characters than this is taken to be a scanned image 
+const PDF_MIN_PAGE_TEXT = 20; 
+// Text recognition runs on the device: Tesseract.js, its engine and the English language data 
+// are served with the app from this folder (see the README) 
+const OCR_VENDOR_PATH = 'vendor/tesseract/'; 
+// Recognized blocks less certain than this (0-100) are flagged for the student to check 
+const OCR_LOW_CONFIDENCE = 70; 
+// Elements that start a new line of text when HTML (web pages, e-book chapters) is read 
+const HTML_BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'section', 'table', 'td', 'th', 'tr', 'ul']); 
+const HTML_SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'nav', 'svg', 'math', 'head']); 
+// XML namespaces of PowerPoint slides 
+const DRAWINGML_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main'; 
+const PRESENTATIONML_NS = 'http://schemas.openxmlformats.org/presentationml/2006/main'; 
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'; 
 class FileProcessingAgent extends EnhancedAIAgent { 
     constructor() { 
-        super('FileProcessor', 'file-processor', ['PDF', 'DOCX', 'Images', 'Text']); 
+        super('FileProcessor', 'file-processor', ['PDF', 'DOCX', 'Images', 'Text', 'Markdown', 'HTML', 'Slides', 'E-books', 'Notebooks']); 
     } 
-    async processFile(file) { 
+    // `options.quarterTurns` turns an image clockwise before its text is read 
+    async processFile(file, options = {}) { 
         this.updateStatus('Analyzing file...', `Processing ${file.name}`); 
         this.isActive = true; 
         this.updateUI(); 
         const fileType = this.getFileType(file.name); 
-        let extractedContent = '', analysis = {}; 
+        let extractedContent = '', analysis = {}, structure = null; 
         try { 
             switch (fileType) { 
-                case 'pdf': extractedContent = await this.processPDF(file); break; 
+                case 'pdf': ({ text: extractedContent, structure } = await this.processPDF(file)); break; 
                 case 'docx': extractedContent = await this.processDocx(file); break; 
-                case 'image': extractedContent = await this.processImage(file); break; 
+                case 'image': ({ text: extractedContent, structure } = await this.processImage(file, options)); break; 
                 case 'txt': extractedContent = await this.processText(file); break; 
+                case 'md': ({ text: extractedContent, structure } = this.processMarkdown(await this.processText(file))); break; 
+                case 'html': ({ text: extractedContent, structure } = this.processHTML(await this.processText(file))); break; 
+                case 'pptx': ({ text: extractedContent, structure } = await this.processPptx(file)); break; 
+                case 'epub': ({ text: extractedContent, structure } = await this.processEpub(file)); break; 
+                case 'ipynb': ({ text: extractedContent, structure } = this.processNotebook(await this.processText(file))); break; 
                 default: throw new Error('Unsupported file type'); 
             } 
             analysis = await this.analyzeContent(extractedContent); 
             this.updateStatus('File processed', `Extracted ${extractedContent.split(' ').length} words`); 
             return { 
-                success: true, content: extractedContent, analysis, fileType, 
+                success: true, content: extractedContent, analysis, fileType, structure, 
                 metadata: { name: file.name, size: file.size, lastModified: file.lastModified } 
             }; 
         } catch (error) { 
@@ -70,12 +92,126 @@ class FileProcessingAgent extends EnhancedAIAgent {
         if (['doc', 'docx'].includes(ext)) return 'docx'; 
         if (['png', 'jpg', 'jpeg'].includes(ext)) return 'image'; 
         if (['txt'].includes(ext)) return 'txt'; 
+        if (['md', 'markdown'].includes(ext)) return 'md'; 
+        if (['html', 'htm', 'xhtml'].includes(ext)) return 'html'; 
+        if (ext === 'pptx') return 'pptx'; 
+        if (ext === 'epub') return 'epub'; 
+        if (ext === 'ipynb') return 'ipynb'; 
         return 'unknown'; 
     } 
+    // Reads the text of every page with PDF.js; pages are separated by a blank line. The 
+    // structure records where each page starts in the text, the bookmarks (outline) and the 
+    // headings, all with page numbers, plus the pages that had no text to read. 
     async processPDF(file) { 
-        await this.delay(1500);  
-        return `[Simulated PDF Content: ${file.name}]\n\nKey topics identified: Calculus, Linear Algebra. A real app would use PDF.js to extract text.`; 
+        if (typeof pdfjsLib === 'undefined') throw new Error('The PDF reader has not loaded. Reload the page and try again.'); 
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL; 
+        let pdf; 
+        try { 
+            pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise; 
+        } catch (error) { 
+            if (error.name === 'PasswordException') throw new Error('The PDF is password-protected. Save a copy without the password and upload that instead.'); 
+            if (error.name === 'InvalidPDFException') throw new Error('The file is not a valid PDF, or it is damaged.'); 
+            throw error; 
+        } 
+        try { 
+            const pages = []; 
+            for (let number = 1; number <= pdf.numPages; number++) { 
+                this.updateStatus('Reading PDF...', `Page ${number} of ${pdf.numPages}`); 
+                const page = await pdf.getPage(number); 
+                pages.push({ number, lines: this.pdfLines((await page.getTextContent()).items) }); 
+                page.cleanup(); 
+            } 
+            const textLength = page => page.lines.reduce((sum, line) => sum + line.text.replace(/\s/g, '').length, 0); 
+            const scannedPages = pages.filter(page => textLength(page) < PDF_MIN_PAGE_TEXT).map(page => page.number); 
+            if (scannedPages.length === pages.length) { 
+                throw new Error('The PDF has no selectable text, so it is probably a scan. Upload the pages as images to have their text recognized.'); 
+            } 
+            let text = ''; 
+            const starts = pages.map(page => { 
+                if (text) text += '\n\n'; 
+                const start = text.length; 
+                text += page.lines.map(line => line.text).join('\n'); 
+                return { number: page.number, start }; 
+            }); 
+            return { 
+                text, 
+                structure: { 
+                    pages: starts, 
+                    outline: await this.pdfOutline(pdf), 
+                    headings: this.pdfHeadings(pages), 
+                    scannedPages 
+                } 
+            }; 
+        } finally { 
+            pdf.destroy(); 
+        } 
+    } 
+    
+    // Joins PDF.js text items into lines of {text, size}; size is the largest font size on the line 
+    pdfLines(items) { 
+        const lines = []; 
+        let line = null; 
+        let lastY = null; 
+        items.forEach(item => { 
+            const y = item.transform[5]; 
+            const size = Math.hypot(item.transform[2], item.transform[3]); 
+            // Items without an end-of-line marker still start a new line when they move down the page 
+            if (line && item.str.trim() && lastY !== null && Math.abs(y - lastY) > Math.max(line.size, size) / 2) { 
+                lines.push(line); 
+                line = null; 
+            } 
+            if (!line) line = { text: '', size: 0 }; 
+            line.text += item.str; 
+            if (item.str.trim()) { 
+                line.size = Math.max(line.size, size); 
+                lastY = y; 
+            } 
+            if (item.hasEOL) { 
+                lines.push(line); 
+                line = null; 
+            } 
+        }); 
+        if (line) lines.push(line); 
+        return lines.map(({ text, size }) => ({ text: text.replace(/\s+/g, ' ').trim(), size: Math.round(size * 2) / 2 })).filter(({ text }) => text); 
+    } 
+    
+    // Headings are short lines set noticeably larger than the body text, which is the size most 
+    // of the characters use. The largest heading size is level 1; levels stop at 3. 
+    pdfHeadings(pages) { 
+        const characters = new Map(); 
+        pages.forEach(page => page.lines.forEach(({ text, size }) => characters.set(size, (characters.get(size) || 0) + text.length))); 
+        const body = [...characters].sort((a, b) => b[1] - a[1])[0]; 
+        if (!body) return []; 
+        const isHeading = ({ text, size }) => size >= body[0] * 1.15 && text.length <= 100 && /[a-z]/i.test(text); 
+        const sizes = [...new Set(pages.flatMap(page => page.lines.filter(isHeading).map(line => line.size)))].sort((a, b) => b - a); 
+        return pages.flatMap(page => page.lines.filter(isHeading).map(line => ({ 
+            text: line.text, 
+            level: Math.min(3, sizes.indexOf(line.size) + 1), 
+            page: page.number 
+        }))); 
+    } 
+    
+    // Bookmarks in reading order as {title, depth, page}; a bookmark whose target cannot be 
+    // resolved keeps its title with no page 
+    async pdfOutline(pdf) { 
+        const entries = []; 
+        const visit = async (items, depth) => { 
+            for (const item of items || []) { 
+                let page = null; 
+                try { 
+                    const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest; 
+                    if (Array.isArray(dest)) page = (Number.isInteger(dest[0]) ? dest[0] : await pdf.getPageIndex(dest[0])) + 1; 
+                } catch (error) { 
+                    page = null; 
+                } 
+                entries.push({ title: item.title.trim(), depth, page }); 
+                await visit(item.items, depth + 1); 
+            } 
+        }; 
+        await visit(await pdf.getOutline(), 0); 
+        return entries; 
     } 
+    
     async processDocx(file) { 
         await this.delay(1200); 
         try { 
@@ -85,10 +221,73 @@ class FileProcessingAgent extends EnhancedAIAgent {
             return `[Simulated DOCX Content: ${file.name}]\n\nThemes detected: Time management.`;  
         } 
     } 
-    async processImage(file) { 
-        await this.delay(2000);  
-        return `[Simulated OCR Content: ${file.name}]\n\nDetected text: "Chapter 5: Thermodynamics". A real app would use Tesseract.js.`; 
+    // Reads the text in a photo or scan on this device. The image is drawn upright from its 
+    // camera orientation, turned by `quarterTurns`, and Tesseract straightens a slightly skewed 
+    // page itself. The structure keeps each text block with its confidence. 
+    async processImage(file, { quarterTurns = 0 } = {}) { 
+        if (typeof Tesseract === 'undefined') throw new Error('Text recognition is not installed on this site. See "Offline text recognition" in the README.'); 
+        const image = await this.uprightImage(file, quarterTurns); 
+        const worker = await this.ocrWorker(); 
+        this.updateStatus('Reading text...', file.name); 
+        const { data } = await worker.recognize(image, { rotateAuto: true }, { text: true, blocks: true }); 
+        const blocks = (data.blocks || []) 
+            .map(block => ({ text: block.text.trim(), confidence: Math.round(block.confidence) })) 
+            .filter(block => block.text); 
+        return { 
+            text: blocks.map(block => block.text).join('\n\n'), 
+            structure: { 
+                blocks, 
+                confidence: Math.round(data.confidence), 
+                quarterTurns, 
+                // Degrees Tesseract rotated the page by to straighten it 
+                skew: data.rotateRadians ? Math.round(data.rotateRadians * 1800 / Math.PI) / 10 : 0 
+            } 
+        }; 
+    } 
+    
+    // The image as a canvas, upright (browsers apply the camera's orientation) and turned 
+    // `quarterTurns` x 90° clockwise 
+    async uprightImage(file, quarterTurns) { 
+        let bitmap; 
+        try { 
+            bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }); 
+        } catch (error) { 
+            throw new Error('The image could not be opened. It may be damaged or in a format the browser cannot show.'); 
+        } 
+        const turns = ((quarterTurns % 4) + 4) % 4; 
+        const canvas = document.createElement('canvas'); 
+        canvas.width = turns % 2 ? bitmap.height : bitmap.width; 
+        canvas.height = turns % 2 ? bitmap.width : bitmap.height; 
+        const context = canvas.getContext('2d'); 
+        context.translate(canvas.width / 2, canvas.height / 2); 
+        context.rotate(turns * Math.PI / 2); 
+        context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2); 
+        bitmap.close(); 
+        return canvas; 
+    } 
+    
+    // One recognition worker is started on first use and kept, since loading the engine and 
+    // the language data takes a few seconds. Its files are resolved against the page, as the 
+    // worker would otherwise look for them next to its own script. 
+    ocrWorker() { 
+        if (!this.ocr) { 
+            const asset = path => new URL(OCR_VENDOR_PATH + path, document.baseURI).href; 
+            this.ocr = Tesseract.createWorker('eng', 1, { 
+                workerPath: asset('worker.min.js'), 
+                corePath: asset('core'), 
+                langPath: asset('lang'), 
+                workerBlobURL: false, 
+                logger: message => { 
+                    if (message.status === 'recognizing text') this.updateStatus('Reading text...', `${Math.round(message.progress * 100)}%`); 
+                } 
+            }).catch(() => { 
+                this.ocr = null; 
+                throw new Error(`Text recognition could not start. Check that its files are in ${OCR_VENDOR_PATH} (see the README).`); 
+            }); 
+        } 
+        return this.ocr; 
     } 
+    
     processText(file) { 
         return new Promise(resolve => { 
             const reader = new FileReader(); 
@@ -96,6 +295,247 @@ class FileProcessingAgent extends EnhancedAIAgent {
             reader.readAsText(file); 
         }); 
     } 
+    
+    // The formats below share one structure: `sections` are the slides, chapters or notebook 
+    // cells as {kind, number, title, start}, `start` being where the section begins in the text 
+    // (sections are separated by a blank line), and `headings` are {text, level, section} with 
+    // the number of the section they are in, or null. 
+    processMarkdown(source) { 
+        const { lines, headings } = this.markdownLines(source); 
+        return { text: lines.join('\n'), structure: { sections: [], headings: headings.map(heading => ({ ...heading, section: null })) } }; 
+    } 
+    
+    processHTML(source) { 
+        const doc = new DOMParser().parseFromString(source, 'text/html'); 
+        const { lines, headings } = this.htmlLines(doc.body); 
+        if (lines.length === 0) throw new Error('The page has no text to read.'); 
+        return { text: lines.join('\n'), structure: { title: doc.title.trim() || null, sections: [], headings: headings.map(heading => ({ ...heading, section: null })) } }; 
+    } 
+    
+    // Slides in presentation order. A slide's title placeholder becomes its heading and the 
+    // first line of its text; speaker notes are left out. 
+    async processPptx(file) { 
+        const zip = await this.openZip(file, 'PowerPoint (.pptx) file'); 
+        const presentation = await this.zipXML(zip, 'ppt/presentation.xml'); 
+        const rels = await this.zipXML(zip, 'ppt/_rels/presentation.xml.rels'); 
+        if (!presentation || !rels) throw new Error('The file is not a valid PowerPoint (.pptx) file, or it is damaged.'); 
+        const targets = new Map([...rels.getElementsByTagName('Relationship')].map(rel => [rel.getAttribute('Id'), this.zipPath('ppt/presentation.xml', rel.getAttribute('Target'))])); 
+        const paths = [...presentation.getElementsByTagNameNS(PRESENTATIONML_NS, 'sldId')] 
+            .map(slide => targets.get(slide.getAttributeNS(RELATIONSHIPS_NS, 'id'))) 
+            .filter(Boolean); 
+        
+        const parts = []; 
+        for (const [i, path] of paths.entries()) { 
+            this.updateStatus('Reading slides...', `Slide ${i + 1} of ${paths.length}`); 
+            const slide = await this.zipXML(zip, path); 
+            if (!slide) continue; 
+            const paragraphText = paragraph => [...paragraph.getElementsByTagNameNS(DRAWINGML_NS, 't')].map(t => t.textContent).join('').replace(/\s+/g, ' ').trim(); 
+            const titleShape = [...slide.getElementsByTagNameNS(PRESENTATIONML_NS, 'sp')].find(shape => [...shape.getElementsByTagNameNS(PRESENTATIONML_NS, 'ph')] 
+                .some(placeholder => ['title', 'ctrTitle'].includes(placeholder.getAttribute('type')))); 
+            const title = titleShape ? [...titleShape.getElementsByTagNameNS(DRAWINGML_NS, 'p')].map(paragraphText).filter(Boolean).join(' ') : ''; 
+            const body = [...slide.getElementsByTagNameNS(DRAWINGML_NS, 'p')] 
+                .filter(paragraph => !titleShape || !titleShape.contains(paragraph)) 
+                .map(paragraphText) 
+                .filter(Boolean); 
+            // Slide numbers follow the deck, so empty slides still count 
+            parts.push({ kind: 'slide', number: i + 1, title: title || null, lines: title ? [title, ...body] : body, headings: title ? [{ text: title, level: 1 }] : [] }); 
+        } 
+        if (!parts.some(part => part.lines.length > 0)) throw new Error('The presentation has no text on its slides.'); 
+        return this.joinSections(parts.filter(part => part.lines.length > 0)); 
+    } 
+    
+    // Chapters in reading order (the spine); each chapter's title is its first heading 
+    async processEpub(file) { 
+        const zip = await this.openZip(file, 'EPUB e-book'); 
+        const container = await this.zipXML(zip, 'META-INF/container.xml'); 
+        const rootfile = container && container.getElementsByTagNameNS('*', 'rootfile')[0]; 
+        const opfPath = rootfile && rootfile.getAttribute('full-path'); 
+        const opf = opfPath && await this.zipXML(zip, opfPath); 
+        if (!opf) throw new Error('The file is not a valid EPUB e-book, or it is damaged.'); 
+        const manifest = new Map([...opf.getElementsByTagNameNS('*', 'item')].map(item => [item.getAttribute('id'), item])); 
+        const chapters = [...opf.getElementsByTagNameNS('*', 'itemref')] 
+            .map(ref => manifest.get(ref.getAttribute('idref'))) 
+            // The navigation document is the table of contents, not a chapter 
+            .filter(item => item && !(item.getAttribute('properties') || '').split(/\s+/).includes('nav')); 
+        // Fonts may be obfuscated too, so only encrypted chapters mean the book is DRM-protected 
+        const encryption = await this.zipXML(zip, 'META-INF/encryption.xml'); 
+        const encrypted = new Set(encryption ? [...encryption.getElementsByTagNameNS('*', 'CipherReference')].map(ref => this.zipPath('', ref.getAttribute('URI'))) : []); 
+        if (zip.file('META-INF/rights.xml') || chapters.some(item => encrypted.has(this.zipPath(opfPath, item.getAttribute('href'))))) { 
+            throw new Error('The e-book is DRM-protected, so its text cannot be read.'); 
+        } 
+        
+        const parts = []; 
+        for (const [i, item] of chapters.entries()) { 
+            this.updateStatus('Reading e-book...', `Section ${i + 1} of ${chapters.length}`); 
+            const entry = zip.file(this.zipPath(opfPath, item.getAttribute('href'))); 
+            if (!entry) continue; 
+            const source = await entry.async('string'); 
+            let doc = new DOMParser().parseFromString(source, 'application/xhtml+xml'); 
+            if (doc.getElementsByTagName('parsererror').length > 0) doc = new DOMParser().parseFromString(source, 'text/html'); 
+            const { lines, headings } = this.htmlLines(doc.getElementsByTagNameNS('*', 'body')[0] || doc.documentElement); 
+            if (lines.length === 0) continue; 
+            parts.push({ kind: 'chapter', title: headings.length > 0 ? headings[0].text : null, lines, headings }); 
+        } 
+        if (parts.length === 0) throw new Error('The e-book has no text to read.'); 
+        const result = this.joinSections(parts.map((part, i) => ({ ...part, number: i + 1 }))); 
+        const title = opf.getElementsByTagNameNS('*', 'title')[0]; 
+        result.structure.title = title ? title.textContent.trim() : null; 
+        return result; 
+    } 
+    
+    // Markdown and code cells stay separate sections, in notebook order; outputs are left out 
+    processNotebook(source) { 
+        let notebook; 
+        try { 
+            notebook = JSON.parse(source); 
+        } catch (error) { 
+            throw new Error('The notebook is not valid JSON, or it is damaged.'); 
+        } 
+        // nbformat 4 lists cells directly; nbformat 3 nests them in worksheets 
+        const cells = notebook.cells || (notebook.worksheets || []).flatMap(sheet => sheet.cells || []); 
+        const cellSource = cell => [].concat(cell.source !== undefined ? cell.source : cell.input || '').join(''); 
+        const parts = cells 
+            .filter(cell => ['markdown', 'code'].includes(cell.cell_type) && cellSource(cell).trim()) 
+            .map(cell => { 
+                if (cell.cell_type === 'markdown') { 
+                    const { lines, headings } = this.markdownLines(cellSource(cell)); 
+                    return { kind: 'markdown', title: headings.length > 0 ? headings[0].text : null, lines, headings }; 
+                } 
+                const lines = cellSource(cell).replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\s+$/, '')).filter(Boolean); 
+                return { kind: 'code', title: null, lines, headings: [] }; 
+            }) 
+            .filter(part => part.lines.length > 0) 
+            .map((part, i) => ({ ...part, number: i + 1 })); 
+        if (parts.length === 0) throw new Error('The notebook has no markdown or code cells.'); 
+        const metadata = notebook.metadata || {}; 
+        const result = this.joinSections(parts); 
+        result.structure.language = (metadata.kernelspec && metadata.kernelspec.language) || (metadata.language_info && metadata.language_info.name) || null; 
+        return result; 
+    } 
+    
+    // Joins sections ({kind, number, title, lines, headings}) into one text, a blank line apart 
+    joinSections(parts) { 
+        let text = ''; 
+        const sections = parts.map(part => { 
+            if (text) text += '\n\n'; 
+            const start = text.length; 
+            text += part.lines.join('\n'); 
+            return { kind: part.kind, number: part.number, title: part.title, start }; 
+        }); 
+        const headings = parts.flatMap(part => part.headings.map(heading => ({ ...heading, section: part.number }))); 
+        return { text, structure: { sections, headings } }; 
+    } 
+    
+    // Markdown as plain lines: heading markers, links, images, emphasis and HTML tags are 
+    // removed; code blocks are kept line for line and never read as headings. Headings are 
+    // {text, level}, from both "# Title" and underlined ("Title" over "===") forms. 
+    markdownLines(source) { 
+        const lines = []; 
+        const headings = []; 
+        let raw = source.replace(/\r\n?/g, '\n').split('\n'); 
+        // Front matter (--- ... --- at the top) is metadata, not text 
+        if (raw[0] === '---' && raw.indexOf('---', 1) > 0) raw = raw.slice(raw.indexOf('---', 1) + 1); 
+        const inline = text => text 
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '') 
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') 
+            .replace(/<[^>]+>/g, '') 
+            .replace(/\*\*|__|`/g, '') 
+            .replace(/^\s*(>\s*)+/, '') 
+            .trim(); 
+        let fence = null; 
+        let paragraph = false; 
+        raw.forEach(line => { 
+            const fenceMark = /^\s*(```|~~~)/.exec(line); 
+            if (fenceMark) { 
+                if (fence === null) fence = fenceMark[1]; 
+                else if (fence === fenceMark[1]) fence = null; 
+                paragraph = false; 
+                return; 
+            } 
+            if (fence !== null) { 
+                if (line.trim()) lines.push(line.replace(/\s+$/, '')); 
+                return; 
+            } 
+            const atx = /^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line); 
+            const underline = /^\s{0,3}(=+|-+)\s*$/.exec(line); 
+            if (atx && inline(atx[2])) { 
+                headings.push({ text: inline(atx[2]), level: atx[1].length }); 
+                lines.push(inline(atx[2])); 
+                paragraph = false; 
+            } else if (underline && paragraph) { 
+                headings.push({ text: lines[lines.length - 1], level: underline[1][0] === '=' ? 1 : 2 }); 
+                paragraph = false; 
+            } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) { 
+                paragraph = false; 
+            } else { 
+                const text = inline(line); 
+                if (text) lines.push(text); 
+                paragraph = Boolean(text); 
+            } 
+        }); 
+        return { lines, headings }; 
+    } 
+    
+    // Text of an HTML element as lines, one per block, with its h1-h6 headings as {text, level}; 
+    // scripts, styles and navigation are left out and preformatted text keeps its lines 
+    htmlLines(root) { 
+        const lines = []; 
+        const headings = []; 
+        let line = ''; 
+        const flush = () => { 
+            const text = line.replace(/\s+/g, ' ').trim(); 
+            if (text) lines.push(text); 
+            line = ''; 
+            return text; 
+        }; 
+        const visit = node => { 
+            if (node.nodeType === Node.TEXT_NODE) { 
+                line += node.textContent; 
+                return; 
+            } 
+            if (node.nodeType !== Node.ELEMENT_NODE) return; 
+            const tag = node.localName.toLowerCase(); 
+            if (HTML_SKIPPED_TAGS.has(tag)) return; 
+            if (tag === 'pre') { 
+                flush(); 
+                node.textContent.split('\n').map(text => text.replace(/\s+$/, '')).filter(text => text.trim()).forEach(text => lines.push(text)); 
+                return; 
+            } 
+            const block = HTML_BLOCK_TAGS.has(tag); 
+            if (block) flush(); 
+            node.childNodes.forEach(visit); 
+            if (!block) return; 
+            const text = flush(); 
+            const level = /^h([1-6])$/.exec(tag); 
+            if (level && text) headings.push({ text, level: Number(level[1]) }); 
+        }; 
+        if (root) visit(root); 
+        flush(); 
+        return { lines, headings }; 
+    } 
+    
+    // PPTX and EPUB files are zip archives of XML parts 
+    async openZip(file, kind) { 
+        if (typeof JSZip === 'undefined') throw new Error('The zip reader has not loaded. Go online once so it can be downloaded and kept for offline use.'); 
+        try { 
+            return await JSZip.loadAsync(await file.arrayBuffer()); 
+        } catch (error) { 
+            throw new Error(`The file is not a valid ${kind}, or it is damaged.`); 
+        } 
+    } 
+    
+    async zipXML(zip, path) { 
+        const entry = zip.file(path); 
+        if (!entry) return null; 
+        const doc = new DOMParser().parseFromString(await entry.async('string'), 'application/xml'); 
+        return doc.getElementsByTagName('parsererror').length > 0 ? null : doc; 
+    } 
+    
+    // Resolves a link inside the archive relative to the part it appears in 
+    zipPath(from, href) { 
+        return decodeURIComponent(new URL(href, `file:///${from}`).pathname.slice(1)); 
+    } 
+    
     async analyzeContent(content) { 
         const words = content.split(/\s+/).length; 
         const topicKeywords={ 
@@ -194,6 +634,815 @@ class ChatbotAgent extends EnhancedAIAgent {
         return response; 
     } 
 } 
+// ---------------------------------------------------------------------------------
+// Persistence: versioned IndexedDB storage with one object store per entity
+// ---------------------------------------------------------------------------------
+const STORAGE_DB_NAME = 'aiStudyNexus';
+const STORAGE_SCHEMA_VERSION = 8;
+const LEGACY_STATE_KEY = 'aiStudyNexusState';
+const BACKUP_FORMAT = 'sched-friend-backup';
+const BACKUP_VERSION = 1;
+// Avatar colours end up in style attributes, so backups and synced profiles must carry hex colours
+const AVATAR_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DEFAULT_AVATAR_COLOR = '#667eea';
+const HISTORY_LIMIT = 50;
+const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+const PROFILE_KDF_ITERATIONS = 250000;
+const PROFILE_VERIFIER = 'sched-friend-profile';
+const AUTO_LOCK_CHECK_MS = 15000;
+// Unreferenced blobs younger than this may belong to an upload another tab has not saved yet
+const BLOB_GC_GRACE_MS = 10 * 60 * 1000;
+const STORAGE_WARNING_RATIO = 0.8;
+const LARGE_MATERIAL_BYTES = 1024 * 1024;
+const STALE_MATERIAL_DAYS = 30;
+// Entities replicated by device sync; undo history stays on the device that made it.
+// Revisions go last, after the records they describe.
+const SYNC_ENTITY_STORES = ['users', 'schedules', 'progress', 'files', 'subjectFiles', 'notes', 'calendarNotes', 'revisions'];
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_POLL_MS = 60000;
+const SYNC_LOCK_NAME = 'sched-friend-sync';
+// Held per profile by the one tab that reschedules its missed sessions
+const RESCHEDULE_LOCK_NAME = 'sched-friend-reschedule';
+
+// Object store name -> EnhancedStudySystem property holding that entity (userId -> value)
+const STORAGE_ENTITY_STORES = {
+    users: 'users',
+    schedules: 'userSchedules',
+    progress: 'userProgress',
+    files: 'uploadedFiles',
+    subjectFiles: 'subjectFiles',
+    notes: 'notes',
+    calendarNotes: 'calendarNotes',
+    history: 'userHistory',
+    revisions: 'recordRevisions'
+};
+
+// Structural upgrades, indexed by the schema version they upgrade *to*
+const STORAGE_UPGRADES = {
+    1: (db) => {
+        ['users', 'schedules', 'progress', 'files', 'subjectFiles', 'notes', 'calendarNotes'].forEach(store => db.createObjectStore(store));
+        db.createObjectStore('settings');
+        db.createObjectStore('meta');
+    },
+    2: (db) => {
+        db.createObjectStore('history');
+    },
+    // File bodies live outside the per-user records: blobs holds the content keyed by
+    // `${owner}/${digest}`, blobIndex holds {owner, size, createdAt, lastAccessed} for it
+    4: (db) => {
+        db.createObjectStore('blobs');
+        db.createObjectStore('blobIndex');
+    },
+    // Per-item revisions of each user's records (see RecordRevisions)
+    7: (db) => {
+        db.createObjectStore('revisions');
+    }
+};
+
+// Data migrations, indexed by the schema version they upgrade *to*.
+// Each receives the loaded state and returns it in the newer shape.
+const STORAGE_MIGRATIONS = {
+    // Version 0 is the JSON blob formerly kept in sessionStorage. JSON.stringify
+    // turned every nested Map into {}, so rebuild those as Maps here.
+    1: (state) => {
+        const toMap = value => value instanceof Map ? value : new Map(Object.entries(value || {}));
+        state.subjectFiles.forEach((files, userId) => state.subjectFiles.set(userId, toMap(files)));
+        state.calendarNotes.forEach((notes, userId) => state.calendarNotes.set(userId, toMap(notes)));
+        state.userProgress.forEach((progress, userId) => {
+            progress.subjectProgress = toMap(progress.subjectProgress);
+            if (progress.subjectProgress.size === 0) {
+                const schedule = state.userSchedules.get(userId) || [];
+                [...new Set(schedule.map(s => s.subject))].forEach(subject => {
+                    const sessions = schedule.filter(s => s.subject === subject);
+                    const completed = sessions.filter(s => s.completed).length;
+                    progress.subjectProgress.set(subject, Math.round((completed / sessions.length) * 100));
+                });
+            }
+        });
+        return state;
+    },
+    // Undo/redo stacks per user
+    2: (state) => {
+        state.users.forEach((user, userId) => {
+            if (!state.userHistory.has(userId)) state.userHistory.set(userId, { undo: [], redo: [] });
+        });
+        return state;
+    },
+    // Sessions get a stable id and revision so concurrent edits can be merged.
+    // (Version 4 only adds the blob stores; inline file content is moved there by
+    // EnhancedStudySystem.externalizeFileContents, which needs async hashing.)
+    3: (state) => {
+        state.userSchedules.forEach(schedule => {
+            schedule.forEach((session, i) => {
+                if (!session.id) session.id = `legacy-${i}`;
+                if (session.rev === undefined) session.rev = 0;
+                if (session.generatedAt === undefined) session.generatedAt = 0;
+            });
+        });
+        return state;
+    },
+    // Sessions carry the calendar date they fall on instead of only a relative day
+    5: (state) => {
+        state.userSchedules.forEach(schedule => {
+            schedule.forEach(session => {
+                if (!session.date) session.date = legacySessionDate(session);
+            });
+        });
+        return state;
+    },
+    // Session length in minutes instead of whole hours
+    6: (state) => {
+        state.userSchedules.forEach(schedule => {
+            schedule.forEach(session => {
+                if (session.durationMinutes === undefined) session.durationMinutes = (session.duration || 1) * 60;
+                delete session.duration;
+            });
+        });
+        return state;
+    },
+    // Undo commands keep only the items they changed instead of whole before/after records
+    8: (state) => {
+        state.userHistory.forEach(history => {
+            ['undo', 'redo'].forEach(stack => {
+                history[stack] = history[stack].map(command => {
+                    if (command.changes) return command;
+                    const changes = command.entities.map((entity, i) => ({ entity, ...recordChanges(entity, command.before[i], command.after[i]) }));
+                    return { id: command.id, label: command.label, changes, at: command.at, size: historySize(changes) };
+                });
+            });
+        });
+        return state;
+    }
+};
+
+// JSON helpers that keep Maps and binary data (encrypted records) intact,
+// for places that must go through text
+function stateReplacer(key, value) {
+    if (value instanceof Map) return { __map: [...value] };
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        return { __bytes: btoa(binary) };
+    }
+    return value;
+}
+function stateReviver(key, value) {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value.__map)) return new Map(value.__map);
+    if (typeof value.__bytes === 'string') return Uint8Array.from(atob(value.__bytes), c => c.charCodeAt(0));
+    return value;
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+async function sha256Hex(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// Sessions from before absolute dates counted `day` from when they were generated
+// (or, with no record of that, from whenever they were looked at)
+function legacySessionDate(session, fallbackStart = Date.now()) {
+    const date = new Date(session.generatedAt || fallbackStart);
+    date.setDate(date.getDate() + (session.day || 1) - 1);
+    return toISODate(date);
+}
+
+function isEncryptedRecord(value) {
+    return Boolean(value && value.encrypted === true && value.data);
+}
+
+class StudyStorage {
+    constructor(dbName = STORAGE_DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+        this.pendingWrite = Promise.resolve();
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORAGE_SCHEMA_VERSION);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                for (let v = e.oldVersion + 1; v <= STORAGE_SCHEMA_VERSION; v++) {
+                    if (STORAGE_UPGRADES[v]) STORAGE_UPGRADES[v](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema; let it proceed and reopen on next use
+                this.db.onversionchange = () => { this.db.close(); this.db = null; };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Storage upgrade blocked by another open tab'));
+        });
+    }
+
+    emptyState() {
+        const state = { settings: {} };
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { state[prop] = new Map(); });
+        return state;
+    }
+
+    async load() {
+        if (!this.available) return this.loadLegacy();
+        try {
+            await this.open();
+        } catch (e) {
+            this.available = false;
+            return this.loadLegacy();
+        }
+        let state = await this.readAll();
+        const version = (await this.readMeta('dataVersion')) || 0;
+        const legacy = version === 0 ? this.loadLegacy() : null;
+        state = legacy || this.migrate(state, version);
+        if (version < STORAGE_SCHEMA_VERSION) {
+            await this.save(state);
+            sessionStorage.removeItem(LEGACY_STATE_KEY);
+        }
+        return state;
+    }
+
+    migrate(state, fromVersion) {
+        // Encrypted records are migrated when their profile is unlocked (see unsealRecords)
+        const sealed = [];
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => {
+            state[prop].forEach((value, userId) => {
+                if (isEncryptedRecord(value)) sealed.push([prop, userId, value]);
+            });
+        });
+        sealed.forEach(([prop, userId]) => state[prop].delete(userId));
+        for (let v = fromVersion + 1; v <= STORAGE_SCHEMA_VERSION; v++) {
+            if (STORAGE_MIGRATIONS[v]) state = STORAGE_MIGRATIONS[v](state);
+        }
+        sealed.forEach(([prop, userId, value]) => state[prop].set(userId, value));
+        return state;
+    }
+
+    loadLegacy() {
+        const stateJSON = sessionStorage.getItem(LEGACY_STATE_KEY);
+        if (!stateJSON) return null;
+        try {
+            const raw = JSON.parse(stateJSON, stateReviver);
+            const state = this.emptyState();
+            Object.values(STORAGE_ENTITY_STORES).forEach(prop => { state[prop] = new Map(raw[prop] || []); });
+            state.settings = raw.settings || {};
+            // Blobs from before IndexedDB carry no version at all
+            return this.migrate(state, raw.dataVersion || 0);
+        } catch (e) {
+            sessionStorage.removeItem(LEGACY_STATE_KEY);
+            return null;
+        }
+    }
+
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async readMeta(key) {
+        await this.open();
+        return this.request(this.db.transaction('meta').objectStore('meta').get(key));
+    }
+
+    async writeMeta(key, value) {
+        await this.open();
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put(value, key);
+        return this.complete(tx);
+    }
+
+    async readAll() {
+        await this.open();
+        return this.readStores(this.db.transaction([...Object.keys(STORAGE_ENTITY_STORES), 'settings']));
+    }
+
+    // Every entity store and the settings, read within `tx`
+    async readStores(tx) {
+        const state = this.emptyState();
+        // Issue every request up front so the transaction stays alive until all resolve
+        const settingsRequest = this.request(tx.objectStore('settings').get('app'));
+        await Promise.all(Object.entries(STORAGE_ENTITY_STORES).map(async ([store, prop]) => {
+            const objectStore = tx.objectStore(store);
+            const [keys, values] = await Promise.all([
+                this.request(objectStore.getAllKeys()),
+                this.request(objectStore.getAll())
+            ]);
+            state[prop] = new Map(keys.map((key, i) => [key, values[i]]));
+        }));
+        state.settings = (await settingsRequest) || {};
+        return state;
+    }
+
+    // Writes are chained so an older snapshot never lands after a newer one.
+    // `state` may be a function returning (a promise of) the state, so work such as
+    // encryption happens in write order rather than call order.
+    // `merge(state, stored)` reconciles the state with what is on disk, read inside the
+    // write transaction, and returns the state to write.
+    save(state, merge = null) {
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(() => typeof state === 'function' ? state() : state)
+            .then(resolved => this.available ? this.writeAll(resolved, merge) : this.saveLegacy(resolved));
+        return this.pendingWrite;
+    }
+
+    async writeAll(state, merge = null) {
+        await this.open();
+        const stores = [...Object.keys(STORAGE_ENTITY_STORES), 'settings', 'meta'];
+        const tx = this.db.transaction(stores, 'readwrite');
+        if (merge) state = merge(state, await this.readStores(tx));
+        Object.entries(STORAGE_ENTITY_STORES).forEach(([store, prop]) => {
+            const objectStore = tx.objectStore(store);
+            objectStore.clear();
+            state[prop].forEach((value, userId) => objectStore.put(value, userId));
+        });
+        tx.objectStore('settings').put(state.settings, 'app');
+        tx.objectStore('meta').put(STORAGE_SCHEMA_VERSION, 'dataVersion');
+        return this.complete(tx);
+    }
+
+    // ----- Blob store ----- 
+    async putBlob(key, value, meta) {
+        await this.open();
+        const tx = this.db.transaction(['blobs', 'blobIndex'], 'readwrite');
+        const index = tx.objectStore('blobIndex');
+        // Content-addressed: an existing blob with the same key already holds this content
+        const existing = await this.request(index.get(key));
+        if (!existing) {
+            tx.objectStore('blobs').put(value, key);
+            index.put({ ...meta, createdAt: Date.now(), lastAccessed: Date.now() }, key);
+        }
+        return this.complete(tx);
+    }
+
+    // `touch` records the read for the storage manager's last-used column
+    async readBlob(key, touch = true) {
+        await this.open();
+        const tx = this.db.transaction(['blobs', 'blobIndex'], 'readwrite');
+        const index = tx.objectStore('blobIndex');
+        const [value, meta] = await Promise.all([
+            this.request(tx.objectStore('blobs').get(key)),
+            this.request(index.get(key))
+        ]);
+        if (meta && touch) index.put({ ...meta, lastAccessed: Date.now() }, key);
+        return value;
+    }
+
+    async listBlobs() {
+        await this.open();
+        const index = this.db.transaction('blobIndex').objectStore('blobIndex');
+        const [keys, values] = await Promise.all([this.request(index.getAllKeys()), this.request(index.getAll())]);
+        return new Map(keys.map((key, i) => [key, values[i]]));
+    }
+
+    async deleteBlobs(keys) {
+        if (keys.length === 0) return;
+        await this.open();
+        const tx = this.db.transaction(['blobs', 'blobIndex'], 'readwrite');
+        keys.forEach(key => {
+            tx.objectStore('blobs').delete(key);
+            tx.objectStore('blobIndex').delete(key);
+        });
+        return this.complete(tx);
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    saveLegacy(state) {
+        const raw = { dataVersion: STORAGE_SCHEMA_VERSION, settings: state.settings };
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { raw[prop] = [...state[prop]]; });
+        sessionStorage.setItem(LEGACY_STATE_KEY, JSON.stringify(raw, stateReplacer));
+    }
+}
+// ---------------------------------------------------------------------------------
+// Cross-tab synchronization over BroadcastChannel
+// ---------------------------------------------------------------------------------
+class TabSync {
+    constructor(channelName, onMessage) {
+        this.tabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+        if (this.channel) {
+            this.channel.onmessage = (e) => {
+                if (e.data && e.data.tabId !== this.tabId) onMessage(e.data);
+            };
+        }
+    }
+
+    post(type, payload = {}) {
+        if (this.channel) this.channel.postMessage({ ...payload, type, tabId: this.tabId, sentAt: Date.now() });
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// Per-item revisions, so records changed in two tabs or on two devices can be merged
+// ---------------------------------------------------------------------------------
+// Per-user records are split into items here, both for merging and for undo history
+// (schedules only for history; they merge in EnhancedStudySystem.mergeSchedules).
+// `split` lists a record's [key, item] pairs, `join` rebuilds the record from a Map of them,
+// and `resolve(key, newer, older)` combines an item changed on both sides (without it the
+// later edit wins).
+const RECORD_TOMBSTONE_DAYS = 90;
+
+function recordFileName(file) {
+    return file.name || (file.metadata && file.metadata.name);
+}
+function unionFilesByName(files = [], others = []) {
+    return [...files, ...others.filter(file => !files.some(other => recordFileName(other) === recordFileName(file)))];
+}
+
+const RECORD_ITEMS = {
+    users: {
+        split: user => [['profile', user]],
+        join: items => items.get('profile')
+    },
+    // Only used for undo history; sessions have their own merge (mergeSchedules)
+    userSchedules: {
+        split: schedule => schedule.map((session, i) => [session.id || `legacy-${i}`, session]),
+        join: items => [...items.values()].sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
+    },
+    userProgress: {
+        split: progress => Object.entries(progress),
+        join: items => Object.fromEntries(items),
+        // Memory is tracked per topic, so keep each topic's most recent review
+        resolve: (key, newer, older) => {
+            if (key !== 'reviewItems' || !(newer instanceof Map) || !(older instanceof Map)) return newer;
+            const later = (a, b) => (a.lastReviewed || '') !== (b.lastReviewed || '')
+                ? (a.lastReviewed || '') > (b.lastReviewed || '')
+                : fingerprint(a) > fingerprint(b);
+            const merged = new Map(newer);
+            older.forEach((item, topic) => {
+                if (!merged.has(topic) || later(item, merged.get(topic))) merged.set(topic, item);
+            });
+            return new Map([...merged].sort(([a], [b]) => a.localeCompare(b)));
+        }
+    },
+    uploadedFiles: {
+        split: files => files.map(file => [recordFileName(file), file]),
+        join: items => [...items.values()]
+    },
+    subjectFiles: {
+        split: subjects => [...subjects].flatMap(([subject, files]) => files.map(file => [JSON.stringify([subject, recordFileName(file)]), { subject, file }])),
+        join: items => {
+            const subjects = new Map();
+            items.forEach(({ subject, file }) => subjects.set(subject, [...(subjects.get(subject) || []), file]));
+            return subjects;
+        }
+    },
+    // A note is known by when it was written, so editing its text keeps it the same note
+    notes: {
+        split: notes => notes.map(note => [note.date, note]),
+        join: items => [...items.values()].sort((a, b) => a.date.localeCompare(b.date))
+    },
+    calendarNotes: {
+        split: days => [...days],
+        join: items => new Map(items),
+        resolve: (key, newer, older) => ({ ...older, ...newer, files: unionFilesByName(newer.files, older.files) })
+    },
+    // Undo runs oldest to newest and redo the other way, so each ends with the next command to replay
+    userHistory: {
+        split: history => ['undo', 'redo'].flatMap(stack => history[stack].map(command => [command.id, { stack, command }])),
+        join: items => {
+            const stack = name => [...items.values()]
+                .filter(item => item.stack === name)
+                .map(item => item.command)
+                .sort((a, b) => (a.at - b.at) || a.id.localeCompare(b.id));
+            return { undo: trimHistory(stack('undo')), redo: stack('redo').reverse() };
+        }
+    }
+};
+// Records whose items carry revisions; the rest of RECORD_ITEMS is only split for history
+const REVISED_RECORDS = Object.keys(RECORD_ITEMS).filter(prop => prop !== 'userSchedules');
+
+// Short content hash (53-bit cyrb53 over the JSON form), enough to notice an item changed
+function fingerprint(value) {
+    const text = JSON.stringify(value, stateReplacer) || '';
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+class RecordRevisions {
+    // Brings `stamps` ({key: {rev, at, by, hash}}) up to date with `record`: an item whose
+    // content changed gets the next revision, and a removed item leaves a tombstone
+    // ({rev, at, by, deleted: true}) so other copies delete it too instead of bringing it back.
+    static stamp(prop, record, stamps = {}, by = null, now = Date.now()) {
+        const items = new Map(record === undefined ? [] : RECORD_ITEMS[prop].split(record));
+        const next = {};
+        items.forEach((item, key) => {
+            const hash = fingerprint(item);
+            const previous = stamps[key];
+            next[key] = previous && !previous.deleted && previous.hash === hash
+                ? previous
+                : { rev: previous ? previous.rev + 1 : 1, at: now, by, hash };
+        });
+        Object.entries(stamps).forEach(([key, previous]) => {
+            if (items.has(key)) return;
+            if (!previous.deleted) next[key] = { rev: previous.rev + 1, at: now, by, deleted: true };
+            else if (now - previous.at < RECORD_TOMBSTONE_DAYS * 86400000) next[key] = previous;
+        });
+        return next;
+    }
+
+    // Merges two copies of a record item by item: the higher revision wins, deletions included.
+    // Items changed on both sides since they last agreed keep an edit over a removal, and two
+    // edits are resolved the same way whichever side runs the merge.
+    // Returns {record, stamps, changed}, `changed` meaning something was taken from `other`.
+    static merge(prop, local, localStamps = {}, other, otherStamps = {}) {
+        const { split, join, resolve } = RECORD_ITEMS[prop];
+        const mine = new Map(local === undefined ? [] : split(local));
+        const theirs = new Map(other === undefined ? [] : split(other));
+        // Items saved before revisions existed count as revision 0
+        const stampOf = (items, stamps, key) => stamps[key] || (items.has(key) ? { rev: 0, at: 0, by: null, hash: fingerprint(items.get(key)) } : null);
+        const later = (a, b) => (a.at - b.at) || String(a.by).localeCompare(String(b.by)) || String(a.hash).localeCompare(String(b.hash));
+        const items = new Map();
+        const stamps = {};
+        let changed = false;
+        const keys = new Set([...mine.keys(), ...Object.keys(localStamps), ...theirs.keys(), ...Object.keys(otherStamps)]);
+        keys.forEach(key => {
+            const a = stampOf(mine, localStamps, key);
+            const b = stampOf(theirs, otherStamps, key);
+            let stamp = a;
+            let item = mine.get(key);
+            const same = a && b && a.rev === b.rev && (a.deleted || b.deleted ? a.deleted && b.deleted : a.hash === b.hash);
+            if (!a || (b && b.rev > a.rev)) {
+                changed = changed || (b.deleted ? mine.has(key) : !a || a.deleted || a.hash !== b.hash);
+                [stamp, item] = [b, theirs.get(key)];
+            } else if (b && a.rev === b.rev && !same) {
+                if (a.deleted || b.deleted) {
+                    item = a.deleted ? theirs.get(key) : mine.get(key);
+                } else {
+                    const [newer, older] = later(a, b) > 0 ? [mine.get(key), theirs.get(key)] : [theirs.get(key), mine.get(key)];
+                    item = resolve ? resolve(key, newer, older) : newer;
+                }
+                stamp = { rev: a.rev + 1, at: Math.max(a.at, b.at), by: 'merge', hash: fingerprint(item) };
+                changed = changed || stamp.hash !== a.hash;
+            }
+            stamps[key] = stamp;
+            if (!stamp.deleted) items.set(key, item);
+        });
+        const record = local === undefined && other === undefined ? undefined : join(items);
+        return { record, stamps, changed };
+    }
+
+    // Sessions carry their own revisions, so a schedule's stamps only remember which session
+    // ids it held ({id: {rev}}) and leave a tombstone ({rev, at, deleted: true}) for one that
+    // went away. A copy without a session then knows whether it deleted it or never saw it.
+    static stampSessions(schedule = [], stamps = {}, now = Date.now()) {
+        const next = {};
+        schedule.forEach(session => {
+            if (session.id) next[session.id] = { rev: session.rev || 0 };
+        });
+        Object.entries(stamps).forEach(([id, previous]) => {
+            if (next[id]) return;
+            if (!previous.deleted) next[id] = { rev: previous.rev, at: now, deleted: true };
+            else if (now - previous.at < RECORD_TOMBSTONE_DAYS * 86400000) next[id] = previous;
+        });
+        return next;
+    }
+}
+
+// The items that differ between two versions of a record, as {before, after} lists of
+// [key, item] pairs; a key listed on one side only was added or removed
+function recordChanges(prop, before, after) {
+    const { split } = RECORD_ITEMS[prop];
+    const old = new Map(before === undefined ? [] : split(before));
+    const now = new Map(after === undefined ? [] : split(after));
+    const keys = [...new Set([...old.keys(), ...now.keys()])]
+        .filter(key => !old.has(key) || !now.has(key) || fingerprint(old.get(key)) !== fingerprint(now.get(key)));
+    return {
+        before: keys.filter(key => old.has(key)).map(key => [key, old.get(key)]),
+        after: keys.filter(key => now.has(key)).map(key => [key, now.get(key)])
+    };
+}
+
+// `record` with one side ('before' or 'after') of a change from recordChanges put back
+function applyRecordChanges(record, change, side) {
+    const { split, join } = RECORD_ITEMS[change.entity];
+    const items = new Map(record === undefined ? [] : split(record));
+    [...change.before, ...change.after].forEach(([key]) => items.delete(key));
+    change[side].forEach(([key, item]) => items.set(key, item));
+    return join(items);
+}
+
+// One side of a change as a record holding only the changed items
+function changedItemsRecord(change, side) {
+    return RECORD_ITEMS[change.entity].join(new Map(change[side]));
+}
+
+function historySize(changes) {
+    return JSON.stringify(changes, stateReplacer).length;
+}
+
+// Keeps the newest commands, up to HISTORY_LIMIT of them and HISTORY_MAX_BYTES of changes
+// (always at least the newest one)
+function trimHistory(commands) {
+    let kept = 0;
+    let bytes = 0;
+    for (let i = commands.length - 1; i >= 0 && kept < HISTORY_LIMIT; i--) {
+        bytes += commands[i].size || 0;
+        if (kept > 0 && bytes > HISTORY_MAX_BYTES) break;
+        kept++;
+    }
+    return commands.slice(commands.length - kept);
+}
+
+// ---------------------------------------------------------------------------------
+// Profile encryption: PBKDF2-derived AES-GCM keys for PIN-protected users
+// ---------------------------------------------------------------------------------
+class ProfileVault {
+    // One PBKDF2 run yields both keys: the first 256 bits encrypt records, the rest
+    // key an HMAC that names the profile's blobs without revealing their contents
+    static async deriveKeys(passphrase, salt, iterations = PROFILE_KDF_ITERATIONS) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 512));
+        const [encryption, naming] = await Promise.all([
+            crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+            crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        ]);
+        return { encryption, naming };
+    }
+
+    static async blobName(keys, digest) {
+        const signature = await crypto.subtle.sign('HMAC', keys.naming, new TextEncoder().encode(digest));
+        return toHex(signature);
+    }
+
+    static async encrypt(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value, stateReplacer));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return { encrypted: true, version: STORAGE_SCHEMA_VERSION, iv, data };
+    }
+
+    // Rejects when the key is wrong or the record was tampered with
+    static async decrypt(key, record) {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+        return JSON.parse(new TextDecoder().decode(plaintext), stateReviver);
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// Syllabus import: course outline text -> [{title, topics: [{topic, hours}]}]
+// ---------------------------------------------------------------------------------
+class SyllabusParser {
+    // Markdown headings, numbered and bulleted lists, and plain lines such as
+    // "Unit 2: Limits" or "WEEK 3" all become outline entries. Deeper entries nest
+    // under shallower ones; each top-level entry with children is a unit whose nested
+    // entries, in outline order, are its topics. Prose lines are skipped.
+    static parse(text) {
+        const root = { level: -1, children: [] };
+        const stack = [root];
+        text.split(/\r?\n/).forEach(line => {
+            const entry = SyllabusParser.parseLine(line);
+            if (!entry) return;
+            while (stack[stack.length - 1].level >= entry.level) stack.pop();
+            stack[stack.length - 1].children.push(entry);
+            stack.push(entry);
+        });
+
+        // A lone top-level heading over several units is the document's title
+        let top = root.children;
+        while (top.length === 1 && top[0].children.some(child => child.children.length > 0)) top = top[0].children;
+
+        const units = [];
+        let loose = null;
+        top.forEach(node => {
+            if (node.children.length === 0) {
+                if (!loose) units.push(loose = { title: 'General', topics: [] });
+                loose.topics.push({ topic: node.title, hours: node.hours });
+                return;
+            }
+            loose = null;
+            const topics = SyllabusParser.descendants(node).map(entry => ({ topic: entry.title, hours: entry.hours }));
+            // Hours given only for the whole unit are shared out between its topics
+            if (node.hours && topics.every(t => !t.hours)) {
+                topics.forEach(t => { t.hours = Math.max(0.5, Math.round(node.hours / topics.length * 2) / 2); });
+            }
+            units.push({ title: node.title, topics });
+        });
+        return units;
+    }
+
+    static descendants(node) {
+        return node.children.flatMap(child => [child, ...SyllabusParser.descendants(child)]);
+    }
+
+    static parseLine(raw) {
+        const text = raw.trim();
+        if (!text) return null;
+        const indent = raw.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        const heading = /^(#{1,6})\s+(.+)$/.exec(text);
+        if (heading) return SyllabusParser.entry(heading[1].length, heading[2]);
+        const item = /^(?:[-*+•]|(\d+(?:\.\d+)+)[.)]?|\d+[.)]|[a-zA-Z][.)]|[ivxIVX]+[.)])\s+(.+)$/.exec(text);
+        if (item) {
+            // "1.2.3" nests by its numbering, anything else by indentation
+            const depth = item[1] ? item[1].split('.').length - 1 : Math.floor(indent / 2);
+            return SyllabusParser.entry(10 + depth, item[2]);
+        }
+        if (/^(unit|module|week|chapter|part|section|lecture|topic)\s*\d*\b/i.test(text) || /:$/.test(text) || (/[A-Z]/.test(text) && !/[a-z]/.test(text))) {
+            return SyllabusParser.entry(7, text.replace(/:$/, ''));
+        }
+        // Sentences describing the course rather than naming a topic
+        if (text.length > 80 || (/[.!?]$/.test(text) && text.split(/\s+/).length > 8)) return null;
+        return SyllabusParser.entry(10 + Math.floor(indent / 2), text);
+    }
+
+    // Splits a trailing hour estimate such as "(3h)", "[1.5 hrs]" or "- 2 hours" off the title
+    static entry(level, text) {
+        let title = text.trim().replace(/^(\*\*|__|\*|_|`)(.+)\1$/, '$2').trim();
+        let hours = null;
+        const estimate = /[\s(\[]*(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\s*[)\]]?\s*$/i.exec(title);
+        if (estimate && estimate.index > 0) {
+            hours = Number(estimate[1]);
+            title = title.slice(0, estimate.index).replace(/[\s\-–—:,]+$/, '');
+        }
+        return title ? { level, title, hours, children: [] } : null;
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// Device sync: records and blobs travel through a pluggable adapter
+// ---------------------------------------------------------------------------------
+class SyncConflictError extends Error {
+    constructor(record) {
+        super('Record changed on the server');
+        this.name = 'SyncConflictError';
+        this.record = record;
+    }
+}
+
+// Talks to server/sync-server.js. Another backend only needs the same four methods:
+//   pullChanges(since) -> {seq, records: [{userId, entity, rev, value}]}
+//   pushRecord(userId, entity, baseRev, value, updatedAt) -> {rev}, or throws SyncConflictError
+//   putBlob(key, value), getBlob(key) -> value or undefined
+class HttpSyncAdapter {
+    constructor(baseUrl, token) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body, stateReplacer)
+        });
+        const text = await response.text();
+        // A proxy or captive portal in between answers with HTML or plain text, which is
+        // reported by its status rather than parsed
+        const type = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+        const data = text && type === 'application/json' ? JSON.parse(text, stateReviver) : null;
+        if (response.status === 409 && data && data.record) throw new SyncConflictError(data.record);
+        if (!response.ok || (text && !data)) {
+            const error = new Error((data && data.error) || `Sync server responded with ${response.status}${response.ok ? ` but sent ${type || 'no content type'} instead of JSON` : ''}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    pullChanges(since) {
+        return this.request('GET', `/api/records?since=${since}`);
+    }
+
+    pushRecord(userId, entity, baseRev, value, updatedAt) {
+        return this.request('PUT', `/api/records/${encodeURIComponent(userId)}/${entity}`, { baseRev, updatedAt, value });
+    }
+
+    putBlob(key, value) {
+        return this.request('PUT', `/api/blobs/${encodeURIComponent(key)}`, { value });
+    }
+
+    async getBlob(key) {
+        try {
+            return (await this.request('GET', `/api/blobs/${encodeURIComponent(key)}`)).value;
+        } catch (error) {
+            if (error.status === 404) return undefined;
+            throw error;
+        }
+    }
+}
+
 class EnhancedStudySystem { 
     constructor() { 
         this.agents = { 
@@ -204,6 +1453,8 @@ class EnhancedStudySystem {
             file: new FileProcessingAgent(), 
             chatbot: new ChatbotAgent() 
         }; 
+        this.storage = new StudyStorage(); 
+        this.tabSync = null; 
         this.users = new Map(); 
         this.currentUser = null; 
         this.userSchedules = new Map(); 
@@ -213,13 +1464,29 @@ class EnhancedStudySystem {
         this.knowledgeBase = new Map(); 
         this.notes = new Map(); 
         this.calendarNotes = new Map(); // userId -> Map<date, {note, files}> 
+        this.userHistory = new Map(); // userId -> {undo: [commands], redo: [commands]} 
+        this.recordRevisions = new Map(); // userId -> {property: {item key: revision}}, see RecordRevisions 
+        this.profileKeys = new Map(); // userId -> {encryption, naming} CryptoKeys, only while unlocked 
+        this.lockedRecords = new Map(); // userId -> {property: encrypted record} while locked 
+        this.sealedRecords = new Map(); // `${userId}/${property}` -> {digest, record}, last ciphertext per record 
+        this.pendingUnlock = null; 
+        this.lastActivity = Date.now(); 
+        this.waitingWorker = null; 
+        this.updateAccepted = false; 
+        this.syncAdapter = null; 
+        this.syncTimer = null; 
+        this.syncRunning = false; 
+        this.syncConflicts = []; 
         this.settings = { 
             darkMode: true, 
             notifications: false, 
             focusMode: false, 
             autoSave: true, 
             smartScheduling: true, 
-            adaptiveLearning: true 
+            adaptiveLearning: true, 
+            autoLockMinutes: 5, 
+            syncUrl: '', 
+            syncToken: '' 
         }; 
         this.currentMonth = new Date(); 
         this.progressChart = null; 
@@ -234,87 +1501,37 @@ class EnhancedStudySystem {
         this.currentSort = 'time'; 
         this.currentNotesFilter = 'all'; 
         this.currentFileTab = 'all'; 
+        this.pendingImport = null; 
+        this.availabilityDraft = null; 
+        this.lastMissedCheck = 0; 
+        this.reschedulingUser = null; 
+        this.reschedulingClaim = null; 
+        this.releaseReschedulingLock = null; 
+        this.lastReschedule = null; 
+        this.pendingRecall = null; 
+        this.currentQuiz = []; 
+        this.syllabusDraft = null; 
+        this.pendingRegeneration = null; 
+        this.pendingRecognition = null; 
+        this.planner = new StudyPlanner(); 
         this.sessionTypes = { 
             learning: { color: '#3b82f6', label: 'Learning' }, 
             practice: { color: '#f59e0b', label: 'Practice' }, 
             review: { color: '#8b5cf6', label: 'Review' } 
         }; 
+        this.confidenceLevels = { 
+            1: 'Struggling', 
+            2: 'Shaky', 
+            3: 'Okay', 
+            4: 'Solid', 
+            5: 'Confident' 
+        }; 
         this.learningStyles = { 
             visual: { icon: 'fa-eye', label: 'Visual' }, 
             auditory: { icon: 'fa-headphones', label: 'Auditory' }, 
             kinesthetic: { icon: 'fa-hand-paper', label: 'Kinesthetic' }, 
             reading: { icon: 'fa-book', label: 'Reading/Writing' } 
         }; 
-        this.studyPreferences = { 
-            morning: { label: 'Morning (6AM-12PM)', hours: [6, 7, 8, 9, 10, 11] }, 
-            afternoon: { label: 'Afternoon (12PM-6PM)', hours: [12, 13, 14, 15, 16, 17] }, 
-            evening: { label: 'Evening (6PM-12AM)', hours: [18, 19, 20, 21, 22, 23] }, 
-            night: { label: 'Night (12AM-6AM)', hours: [0, 1, 2, 3, 4, 5] } 
-        }; 
-        this.topicsDatabase = { 
-            'mathematics': { 
-                'beginner': ['Basic Algebra', 'Geometry Fundamentals', 'Introduction to Statistics'], 
-                'intermediate': ['Calculus I', 'Linear Algebra', 'Probability Theory'], 
-                'advanced': ['Multivariable Calculus', 'Differential Equations', 'Abstract Algebra'] 
-            }, 
-            'physics': { 
-                'beginner': ['Classical Mechanics', 'Thermodynamics Basics', 'Introduction to Waves'], 
-                'intermediate': ['Electromagnetism', 'Quantum Mechanics', 'Relativity'], 
-                'advanced': ['Quantum Field Theory', 'Particle Physics', 'General Relativity'] 
-            }, 
-            'chemistry': { 
-                'beginner': ['Atomic Structure', 'Chemical Bonding', 'Introduction to Organic Chemistry'], 
-                'intermediate': ['Chemical Kinetics', 'Thermodynamics', 'Organic Reactions'], 
-                'advanced': ['Quantum Chemistry', 'Biochemistry', 'Inorganic Complexes'] 
-            }, 
-            'biology': { 
-                'beginner': ['Cell Biology', 'Genetics Basics', 'Introduction to Evolution'], 
-                'intermediate': ['Molecular Biology', 'Physiology', 'Ecology'], 
-                'advanced': ['Bioinformatics', 'Genomics', 'Advanced Genetics'] 
-            }, 
-            'computer science': { 
-                'beginner': ['Programming Fundamentals', 'Data Structures', 'Algorithms Basics'], 
-                'intermediate': ['Object-Oriented Programming', 'Database Systems', 'Software Engineering'], 
-                'advanced': ['Machine Learning', 'Computer Graphics', 'Distributed Systems'] 
-            }, 
-            'operating systems': { 
-                'beginner': ['Introduction to OS', 'Process Management', 'Memory Management Basics'], 
-                'intermediate': ['Process Scheduling', 'File Systems', 'I/O Systems'], 
-                'advanced': ['Distributed Systems', 'Virtualization', 'Security in OS'] 
-            } 
-        }; 
-        this.sessionResources = { 
-            'mathematics': [ 
-                { type: 'video', title: 'Khan Academy - Algebra Basics', url: '#' }, 
-                { type: 'article', title: 'MIT OpenCourseWare - Calculus', url: '#' }, 
-                { type: 'practice', title: 'Brilliant - Math Problems', url: '#' } 
-            ], 
-            'physics': [ 
-                { type: 'video', title: 'Crash Course Physics', url: '#' }, 
-                { type: 'simulation', title: 'PhET Interactive Simulations', url: '#' }, 
-                { type: 'article', title: 'Physics Classroom - Tutorials', url: '#' } 
-            ], 
-            'chemistry': [ 
-                { type: 'video', title: 'Crash Course Chemistry', url: '#' }, 
-                { type: 'simulation', title: 'ChemCollective Virtual Labs', url: '#' }, 
-                { type: 'article', title: 'ChemGuide - Concepts', url: '#' } 
-            ], 
-            'biology': [ 
-                { type: 'video', title: 'Crash Course Biology', url: '#' }, 
-                { type: 'simulation', title: 'BioInteractive Virtual Labs', url: '#' }, 
-                { type: 'article', title: 'Biology Corner - Lessons', url: '#' } 
-            ], 
-            'computer science': [ 
-                { type: 'video', title: 'Harvard CS50', url: '#' }, 
-                { type: 'interactive', title: 'Codecademy - Interactive Coding', url: '#' }, 
-                { type: 'article', title: 'GeeksforGeeks - Algorithms', url: '#' } 
-            ], 
-            'operating systems': [ 
-                { type: 'video', title: 'Operating Systems - Crash Course', url: '#' }, 
-                { type: 'book', title: 'Operating System Concepts by Silberschatz', url: '#' }, 
-                { type: 'simulation', title: 'OS Simulations - Interactive Learning', url: '#' } 
-            ] 
-        }; 
         
         // Quiz question templates
         this.quizTemplates = {
@@ -351,16 +1568,23 @@ class EnhancedStudySystem {
         };
     } 
     
-    initializeSystem() { 
-        this.loadState(); 
+    async initializeSystem() { 
+        await this.loadState(); 
+        this.tabSync = new TabSync(STORAGE_DB_NAME, message => this.handleTabMessage(message)); 
         this.initializeKnowledgeBase(); 
         this.startSystemMonitoring(); 
         this.renderUserCards(); 
+        this.renderWeekdayHours([]); 
         this.initializeCalendar(); 
         this.initializeProgressChart(); 
         this.initializeTimer(); 
         this.initializeSettings(); 
         this.initializeEventListeners(); 
+        this.initializeAutoLock(); 
+        this.initializeOfflineSupport(); 
+        this.prepareFileStore(); 
+        this.initializeSync(); 
+        this.initializeAdaptiveScheduling(); 
         
         // Only show add user option initially 
         if (this.users.size === 0) { 
@@ -371,344 +1595,2599 @@ class EnhancedStudySystem {
         } 
     } 
     
-    saveState() { 
-        const state = { 
-            users: [...this.users], 
-            userSchedules: [...this.userSchedules], 
-            userProgress: [...this.userProgress], 
-            uploadedFiles: [...this.uploadedFiles], 
-            subjectFiles: [...this.subjectFiles], 
-            notes: [...this.notes], 
-            calendarNotes: [...this.calendarNotes], 
-            settings: this.settings 
+    collectState() { 
+        const state = { settings: this.settings }; 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { state[prop] = this[prop]; }); 
+        return state; 
+    } 
+    
+    // Same as collectState, but protected profiles are swapped for their encrypted records 
+    async collectPersistedState() { 
+        // Stamped here, in write order, so revisions describe what actually reaches the disk 
+        this.users.forEach((user, userId) => { 
+            if (!this.isLocked(userId)) this.stampRecords(userId); 
+        }); 
+        const state = this.collectState(); 
+        const protectedUsers = [...this.users.keys()].filter(userId => this.isProtected(userId)); 
+        if (protectedUsers.length === 0) return state; 
+        const persisted = { settings: state.settings }; 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { persisted[prop] = new Map(state[prop]); }); 
+        for (const userId of protectedUsers) { 
+            const keys = this.profileKeys.get(userId); 
+            const records = this.lockedRecords.get(userId) || {}; 
+            for (const prop of Object.values(STORAGE_ENTITY_STORES)) { 
+                if (prop === 'users') continue; 
+                let record = records[prop]; 
+                if (keys) record = this[prop].has(userId) ? await this.sealRecord(userId, prop) : undefined; 
+                if (record) persisted[prop].set(userId, record); 
+                else persisted[prop].delete(userId); 
+            } 
+        } 
+        return persisted; 
+    } 
+    
+    saveState() { 
+        // Records another tab saved since our last write are merged in, not overwritten 
+        const conflicts = []; 
+        let changed = false; 
+        const merge = (state, stored) => { 
+            const written = { settings: state.settings }; 
+            Object.values(STORAGE_ENTITY_STORES).forEach(prop => { written[prop] = new Map(state[prop]); }); 
+            stored.users.forEach((user, userId) => { 
+                const records = this.recordsOf(stored, userId); 
+                // Encrypted records cannot be opened inside the transaction: a profile protected 
+                // in this tab keeps the local copy, one protected elsewhere keeps the stored copy 
+                if (this.isProtected(userId)) return; 
+                if (!state.users.has(userId) || Object.values(records).some(isEncryptedRecord)) { 
+                    Object.entries(records).forEach(([prop, record]) => written[prop].set(userId, record)); 
+                    return; 
+                } 
+                if (this.mergeUserRecords(userId, records, conflicts)) changed = true; 
+                Object.entries(this.recordsOf(this, userId)).forEach(([prop, record]) => written[prop].set(userId, record)); 
+            }); 
+            return written; 
+        }; 
+        return this.storage.save(() => this.collectPersistedState(), merge).then(() => { 
+            if (changed) this.refreshUserViews(); 
+            if (conflicts.length > 0) this.onSyncConflicts(conflicts); 
+            if (this.tabSync) this.tabSync.post('state-saved'); 
+            this.scheduleSync(); 
+        }).catch(error => this.reportStorageError(error)); 
+    } 
+    
+    async loadState() { 
+        try { 
+            const state = await this.storage.load(); 
+            if (!state) return; 
+            await this.openSealedRecords(state); 
+            Object.values(STORAGE_ENTITY_STORES).forEach(prop => { this[prop] = state[prop]; }); 
+            this.settings = { ...this.settings, ...state.settings }; 
+            if (this.users.size > 0) showToast('Welcome back! Your data has been loaded.', 'success'); 
+        } catch (e) { 
+            showToast('Saved data could not be loaded.', 'error'); 
+        } 
+        if (!this.storage.available) { 
+            showToast('IndexedDB is unavailable; data will only last for this tab.', 'warning'); 
+        } 
+    } 
+    
+    // ----- Undo/redo history ----- 
+    // Each command stores, for every entity it touched for one user, the items that changed 
+    // (sessions, notes, files, progress fields) as they were before and after, so it can be 
+    // replayed in either direction and persisted with the rest of the state. 
+    recordChange(label, entities, mutate) { 
+        const userId = this.currentUser; 
+        const before = entities.map(entity => structuredClone(this[entity].get(userId))); 
+        mutate(); 
+        const changes = entities.map((entity, i) => ({ entity, ...structuredClone(recordChanges(entity, before[i], this[entity].get(userId))) })); 
+        const command = { id: `cmd_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`, label, changes, at: Date.now(), size: historySize(changes) }; 
+        const history = this.getHistory(userId); 
+        history.undo = trimHistory([...history.undo, command]); 
+        history.redo = []; 
+        this.updateHistoryButtons(); 
+        return command; 
+    } 
+    
+    getHistory(userId) { 
+        if (!this.userHistory.has(userId)) this.userHistory.set(userId, { undo: [], redo: [] }); 
+        return this.userHistory.get(userId); 
+    } 
+    
+    // Pass a command to undo only if it is still the most recent change (used by toast actions) 
+    undo(expected = null) { 
+        if (!this.currentUser) return; 
+        const history = this.getHistory(this.currentUser); 
+        const command = history.undo[history.undo.length - 1]; 
+        if (!command) return showToast('Nothing to undo', 'info'); 
+        if (expected && command.id !== expected.id) return showToast('Undo the more recent changes first (Ctrl+Z)', 'warning'); 
+        history.undo.pop(); 
+        history.redo.push(command); 
+        this.applySnapshot(command, 'before'); 
+        showToast(`Undid: ${command.label}`, 'info'); 
+    } 
+    
+    redo() { 
+        if (!this.currentUser) return; 
+        const history = this.getHistory(this.currentUser); 
+        const command = history.redo.pop(); 
+        if (!command) return showToast('Nothing to redo', 'info'); 
+        history.undo.push(command); 
+        this.applySnapshot(command, 'after'); 
+        showToast(`Redid: ${command.label}`, 'info'); 
+    } 
+    
+    applySnapshot(command, side) { 
+        command.changes.forEach(change => { 
+            const current = this[change.entity].get(this.currentUser); 
+            const restored = applyRecordChanges(current, structuredClone(change), side); 
+            if (change.entity === 'userSchedules') this.restampRestoredSchedule(restored, current || []); 
+            this[change.entity].set(this.currentUser, restored); 
+        }); 
+        this.loadUserData(this.currentUser); 
+        const { formHistory } = this.userProgress.get(this.currentUser) || {}; 
+        if (formHistory) this.updateUserProgress(formHistory); 
+        if (this.currentSubject) this.updateSubjectMaterialsList(this.currentSubject); 
+        const calendarModal = document.getElementById('calendarDayModal'); 
+        if (calendarModal.style.display === 'flex') this.renderCalendarDayFiles(calendarModal.dataset.dateKey); 
+        this.updateHistoryButtons(); 
+        this.saveState(); 
+    } 
+    
+    undoAction(command) { 
+        return { label: 'Undo', onClick: () => this.undo(command) }; 
+    } 
+    
+    updateHistoryButtons() { 
+        const history = this.currentUser ? this.getHistory(this.currentUser) : { undo: [], redo: [] }; 
+        const undoBtn = document.getElementById('undoBtn'); 
+        const redoBtn = document.getElementById('redoBtn'); 
+        const lastUndo = history.undo[history.undo.length - 1]; 
+        const lastRedo = history.redo[history.redo.length - 1]; 
+        undoBtn.disabled = !lastUndo; 
+        redoBtn.disabled = !lastRedo; 
+        undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo'; 
+        redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'; 
+    } 
+    
+    // ----- Cross-tab synchronization ----- 
+    handleTabMessage(message) { 
+        if (message.type === 'state-saved') this.pullRemoteState(); 
+        else if (message.type === 'timer') this.applyRemoteTimer(message); 
+        else if (message.type === 'activity') this.lastActivity = Math.max(this.lastActivity, message.at); 
+    } 
+    
+    // Another tab committed a save: read it back and fold it into this tab's state 
+    async pullRemoteState() { 
+        if (!this.storage.available) return; 
+        await this.storage.pendingWrite.catch(() => {}); 
+        const remote = await this.storage.readAll(); 
+        await this.openSealedRecords(remote); 
+        const conflicts = []; 
+        remote.users.forEach((user, userId) => { 
+            // Locked (here or by a key this tab lacks): only the public profile is in memory 
+            if (user.lock && !this.profileKeys.has(userId)) { 
+                Object.values(STORAGE_ENTITY_STORES).forEach(prop => { 
+                    if (prop !== 'users') this[prop].delete(userId); 
+                }); 
+                this.users.set(userId, user); 
+                return; 
+            } 
+            this.mergeUserRecords(userId, this.recordsOf(remote, userId), conflicts); 
+        }); 
+        const themeChanged = remote.settings.darkMode !== undefined && remote.settings.darkMode !== this.settings.darkMode; 
+        const syncChanged = remote.settings.syncUrl !== this.settings.syncUrl || remote.settings.syncToken !== this.settings.syncToken; 
+        this.settings = { ...this.settings, ...remote.settings }; 
+        this.refreshSettingsUI(); 
+        if (themeChanged) this.applyTheme(); 
+        if (syncChanged) this.configureSync(); 
+        
+        this.refreshUserViews(); 
+        if (conflicts.length > 0) { 
+            this.onSyncConflicts(conflicts); 
+            this.saveState(); 
+        } 
+    } 
+    
+    // One user's records out of a state (or this system), keyed by property 
+    recordsOf(state, userId) { 
+        const records = {}; 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { 
+            if (state[prop].has(userId)) records[prop] = state[prop].get(userId); 
+        }); 
+        return records; 
+    } 
+    
+    // Gives each item of the user's records that changed since the last save a new revision 
+    stampRecords(userId) { 
+        const revisions = this.recordRevisions.get(userId) || {}; 
+        const by = this.tabSync ? this.tabSync.tabId : null; 
+        REVISED_RECORDS.forEach(prop => { 
+            revisions[prop] = RecordRevisions.stamp(prop, this[prop].get(userId), revisions[prop], by); 
+        }); 
+        revisions.userSchedules = RecordRevisions.stampSessions(this.userSchedules.get(userId), revisions.userSchedules); 
+        this.recordRevisions.set(userId, revisions); 
+    } 
+    
+    // Folds another copy of a user's records (another tab's save, or the server's) into this 
+    // tab: sessions by id and revision, everything else item by item. Returns whether 
+    // anything here changed. 
+    mergeUserRecords(userId, other, conflicts) { 
+        this.stampRecords(userId); 
+        const revisions = this.recordRevisions.get(userId); 
+        const otherRevisions = other.recordRevisions || {}; 
+        let changed = false; 
+        if (other.userSchedules) { 
+            const local = this.userSchedules.get(userId); 
+            const { schedule, stamps } = this.mergeSchedules(local, other.userSchedules, conflicts, revisions.userSchedules, otherRevisions.userSchedules); 
+            changed = fingerprint(schedule) !== fingerprint(local); 
+            this.userSchedules.set(userId, schedule); 
+            revisions.userSchedules = stamps; 
+        } 
+        REVISED_RECORDS.forEach(prop => { 
+            const merged = RecordRevisions.merge(prop, this[prop].get(userId), revisions[prop], other[prop], otherRevisions[prop]); 
+            revisions[prop] = merged.stamps; 
+            // Untouched records keep their identity; only what came from elsewhere is replaced 
+            if (!merged.changed) return; 
+            if (merged.record === undefined) this[prop].delete(userId); 
+            else this[prop].set(userId, merged.record); 
+            changed = true; 
+        }); 
+        return changed; 
+    } 
+    
+    // Re-renders after users or their records changed underneath this tab 
+    refreshUserViews() { 
+        this.renderUserCards(); 
+        if (this.currentUser && this.users.has(this.currentUser)) { 
+            document.querySelectorAll('.user-card').forEach(c => c.classList.toggle('active', c.dataset.user === this.currentUser)); 
+            if (!this.isLocked(this.currentUser)) this.renderUserViews(this.currentUser); 
+        } else if (this.users.size > 0 && !this.pendingUnlock) { 
+            this.switchUser(this.users.keys().next().value); 
+        } 
+    } 
+    
+    // ----- Offline support ----- 
+    initializeOfflineSupport() { 
+        window.addEventListener('online', () => this.updateConnectionStatus(true)); 
+        window.addEventListener('offline', () => this.updateConnectionStatus(true)); 
+        this.updateConnectionStatus(false); 
+        this.registerServiceWorker(); 
+    } 
+    
+    updateConnectionStatus(announce) { 
+        const online = navigator.onLine; 
+        const indicator = document.getElementById('connectionStatus'); 
+        indicator.classList.toggle('offline', !online); 
+        indicator.innerHTML = `<i class="fas ${online ? 'fa-wifi' : 'fa-plane'}"></i> <span>${online ? 'Online' : 'Offline'}</span>`; 
+        indicator.title = online ? 'Connected' : 'Working offline. Changes are saved on this device.'; 
+        if (announce) { 
+            showToast(online ? 'Back online.' : 'You are offline. Everything keeps working and is saved on this device.', online ? 'success' : 'warning'); 
+        } 
+    } 
+    
+    async registerServiceWorker() { 
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return; 
+        navigator.serviceWorker.addEventListener('controllerchange', () => { 
+            if (this.updateAccepted) return location.reload(); 
+            // First install, or another tab accepted the update; the banner now just reloads 
+            this.waitingWorker = null; 
+        }); 
+        try { 
+            const registration = await navigator.serviceWorker.register('sw.js'); 
+            const promptIfWaiting = () => { 
+                if (registration.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt(registration.waiting); 
+            }; 
+            promptIfWaiting(); 
+            registration.addEventListener('updatefound', () => { 
+                const worker = registration.installing; 
+                worker.addEventListener('statechange', () => { 
+                    if (worker.state === 'installed') promptIfWaiting(); 
+                }); 
+            }); 
+            // Long-lived tabs look for a new deployment every hour 
+            setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000); 
+        } catch (e) { 
+            console.warn('Service worker registration failed:', e); 
+        } 
+    } 
+    
+    showUpdatePrompt(worker) { 
+        this.waitingWorker = worker; 
+        document.getElementById('updateBanner').classList.add('show'); 
+    } 
+    
+    applyUpdate() { 
+        this.updateAccepted = true; 
+        document.getElementById('updateBanner').classList.remove('show'); 
+        if (this.waitingWorker) this.waitingWorker.postMessage({ type: 'skip-waiting' }); 
+        else location.reload(); 
+    } 
+    
+    // Merges two copies of a schedule. The newer plan wins outright; within one plan sessions 
+    // merge by id and revision. A session only one copy holds was added there, unless the 
+    // other copy's stamps (see RecordRevisions.stampSessions) show it deleted the session at 
+    // that revision or later; an edit made after the deletion brings it back. 
+    // Returns {schedule, stamps}. 
+    mergeSchedules(local, stored, conflicts, localStamps = {}, storedStamps = {}) { 
+        const tombstones = {}; 
+        [localStamps, storedStamps].forEach(stamps => Object.entries(stamps || {}).forEach(([id, stamp]) => { 
+            if (stamp.deleted && !(tombstones[id] && tombstones[id].rev >= stamp.rev)) tombstones[id] = stamp; 
+        })); 
+        const result = schedule => ({ schedule, stamps: RecordRevisions.stampSessions(schedule, tombstones) }); 
+        if (!stored) return result(local); 
+        if (!local) return result(stored); 
+        const generation = schedule => schedule.reduce((max, s) => Math.max(max, s.generatedAt || 0), 0); 
+        const localGeneration = generation(local); 
+        const storedGeneration = generation(stored); 
+        if (localGeneration !== storedGeneration) { 
+            return result(localGeneration > storedGeneration ? local : stored); 
+        } 
+        
+        const deletedBy = (stamps, session) => Boolean(stamps && stamps[session.id] && stamps[session.id].deleted && stamps[session.id].rev >= (session.rev || 0)); 
+        const storedById = new Map(stored.map(s => [s.id, s])); 
+        const merged = []; 
+        local.forEach(session => { 
+            const other = storedById.get(session.id); 
+            storedById.delete(session.id); 
+            if (!other) { 
+                if (!deletedBy(storedStamps, session)) merged.push(session); 
+            } else if (other.rev < session.rev) { 
+                merged.push(session); 
+            } else if (other.rev > session.rev) { 
+                merged.push(other); 
+            } else if (this.sameSessionContent(session, other)) { 
+                merged.push(session); 
+            } else { 
+                conflicts.push({ local: session, remote: other }); 
+                merged.push(this.resolveSessionConflict(session, other)); 
+            } 
+        }); 
+        storedById.forEach(session => { 
+            if (!deletedBy(localStamps, session)) merged.push(session); 
+        }); 
+        return result(merged); 
+    } 
+    
+    sameSessionContent(a, b) { 
+        const ignored = ['rev', 'updatedAt', 'updatedBy']; 
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]); 
+        return [...keys].every(k => ignored.includes(k) || JSON.stringify(a[k]) === JSON.stringify(b[k])); 
+    } 
+    
+    // Symmetric on purpose: both tabs resolve the same pair to the same session 
+    resolveSessionConflict(a, b) { 
+        const aFirst = (a.updatedAt || 0) < (b.updatedAt || 0) || 
+            ((a.updatedAt || 0) === (b.updatedAt || 0) && (a.updatedBy || '') <= (b.updatedBy || '')); 
+        const [older, newer] = aFirst ? [a, b] : [b, a]; 
+        return { 
+            ...older, 
+            ...newer, 
+            completed: Boolean(a.completed || b.completed), 
+            notes: [...new Set([older.notes, newer.notes].filter(Boolean))].join('\n'), 
+            rev: Math.max(a.rev, b.rev) + 1, 
+            updatedAt: Math.max(a.updatedAt || 0, b.updatedAt || 0), 
+            updatedBy: 'merge' 
+        }; 
+    } 
+    
+    onSyncConflicts(conflicts, where = 'in another tab') { 
+        const mine = conflicts.filter(c => (this.userSchedules.get(this.currentUser) || []).some(s => s.id === c.local.id)); 
+        if (mine.length === 0) return; 
+        this.renderUserViews(this.currentUser); 
+        const topics = [...new Set(mine.map(c => c.local.topic))].join(', '); 
+        showToast(`Merged edits made ${where} at the same time (${topics})`, 'warning'); 
+    } 
+    
+    // Marks a session as edited in this tab so other tabs can order the change 
+    touchSession(session) { 
+        session.rev = (session.rev || 0) + 1; 
+        session.updatedAt = Date.now(); 
+        session.updatedBy = this.tabSync ? this.tabSync.tabId : null; 
+    } 
+    
+    // Restoring an older snapshot must still look newer than what other tabs hold 
+    restampRestoredSchedule(restored, current) { 
+        const generation = schedule => schedule.reduce((max, s) => Math.max(max, s.generatedAt || 0), 0); 
+        if (generation(restored) !== generation(current)) { 
+            const now = Date.now(); 
+            restored.forEach(s => { s.generatedAt = now; }); 
+            return; 
+        } 
+        const currentById = new Map(current.map(s => [s.id, s])); 
+        restored.forEach(session => { 
+            const existing = currentById.get(session.id); 
+            if (existing && this.sameSessionContent(session, existing)) return; 
+            // Only the revision moves on: a session the plan placed stays unlocked. A session 
+            // brought back this way also outranks the tombstone its removal left. 
+            const edited = (session.rev || 0) > (session.planRev || 0); 
+            this.touchSession(session); 
+            if (existing) session.rev = Math.max(session.rev, existing.rev + 1); 
+            if (!edited) session.planRev = session.rev; 
+        }); 
+    } 
+    
+    addUser(id, name, avatarColor) { 
+        if ([...this.users.values()].some(u => u.name.toLowerCase() === name.toLowerCase())) { 
+            showToast(`User "${name}" already exists.`, 'error'); return null; 
+        } 
+        this.users.set(id, { id, name, avatarColor }); 
+        this.initializeUserRecords(id); 
+        this.saveState(); 
+        return this.users.get(id); 
+    } 
+    
+    // Fills in any entity a user is missing, e.g. a protected profile that was never saved 
+    initializeUserRecords(id) { 
+        const defaults = { 
+            userSchedules: () => [], 
+            uploadedFiles: () => [], 
+            subjectFiles: () => new Map(), 
+            userProgress: () => ({  
+                completionRate: 0,  
+                studyStreak: 0,  
+                totalHours: 0,  
+                daysLeft: 0,  
+                formHistory: null, 
+                subjectProgress: new Map() 
+            }), 
+            notes: () => [], 
+            calendarNotes: () => new Map(), 
+            userHistory: () => ({ undo: [], redo: [] }), 
+            recordRevisions: () => ({}) 
+        }; 
+        Object.entries(defaults).forEach(([prop, create]) => { 
+            if (!this[prop].has(id)) this[prop].set(id, create()); 
+        }); 
+    } 
+    
+    // ----- PIN-protected profiles ----- 
+    // A protected user keeps name, color and key-derivation parameters in plaintext; 
+    // every other record is encrypted with a key derived from the PIN and only 
+    // decrypted into memory while the profile is unlocked. 
+    isProtected(userId) { 
+        return Boolean(this.users.get(userId)?.lock); 
+    } 
+    
+    isLocked(userId) { 
+        return this.isProtected(userId) && !this.profileKeys.has(userId); 
+    } 
+    
+    async protectUser(userId, passphrase) { 
+        const salt = crypto.getRandomValues(new Uint8Array(16)); 
+        const keys = await ProfileVault.deriveKeys(passphrase, salt, PROFILE_KDF_ITERATIONS); 
+        const verifier = await ProfileVault.encrypt(keys.encryption, PROFILE_VERIFIER); 
+        this.profileKeys.set(userId, keys); 
+        this.users.get(userId).lock = { salt, iterations: PROFILE_KDF_ITERATIONS, verifier }; 
+        return this.saveState(); 
+    } 
+    
+    async unlockUser(userId, passphrase) { 
+        const { lock } = this.users.get(userId); 
+        const keys = await ProfileVault.deriveKeys(passphrase, lock.salt, lock.iterations); 
+        try { 
+            await ProfileVault.decrypt(keys.encryption, lock.verifier); 
+        } catch (e) { 
+            return false; 
+        } 
+        const state = this.collectState(); 
+        await this.unsealRecords(userId, keys.encryption, state); 
+        // Keys and records change hands together so a save in between sees one or the other 
+        this.profileKeys.set(userId, keys); 
+        this.lockedRecords.delete(userId); 
+        this.initializeUserRecords(userId); 
+        // Records encrypted before the blob store existed still carry file content inline 
+        this.externalizeFileContents(userId) 
+            .then(moved => moved > 0 && this.saveState()) 
+            .catch(error => this.reportStorageError(error)); 
+        return true; 
+    } 
+    
+    // Encrypts one record, reusing the last ciphertext while the plaintext is unchanged 
+    // so that untouched records stay byte-identical (and are not re-synced) 
+    async sealRecord(userId, prop) { 
+        const value = this[prop].get(userId); 
+        const digest = await sha256Hex(JSON.stringify(value, stateReplacer)); 
+        const cached = this.sealedRecords.get(`${userId}/${prop}`); 
+        if (cached && cached.digest === digest) return cached.record; 
+        const record = await ProfileVault.encrypt(this.profileKeys.get(userId).encryption, value); 
+        this.sealedRecords.set(`${userId}/${prop}`, { digest, record }); 
+        return record; 
+    } 
+    
+    async lockUser(userId) { 
+        if (this.isLocked(userId) || !this.isProtected(userId)) return; 
+        const records = {}; 
+        for (const prop of Object.values(STORAGE_ENTITY_STORES)) { 
+            if (prop !== 'users' && this[prop].has(userId)) records[prop] = await this.sealRecord(userId, prop); 
+        } 
+        this.lockedRecords.set(userId, records); 
+        this.profileKeys.delete(userId); 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => this.sealedRecords.delete(`${userId}/${prop}`)); 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { 
+            if (prop !== 'users') this[prop].delete(userId); 
+        }); 
+        this.renderUserCards(); 
+        if (this.currentUser === userId) { 
+            this.currentUser = null; 
+            this.clearUserViews(); 
+            this.promptUnlock(userId); 
+        } 
+        await this.saveState(); 
+    } 
+    
+    // Moves encrypted records out of a freshly read state, decrypting those of 
+    // profiles this tab has unlocked 
+    async openSealedRecords(state) { 
+        for (const [userId, user] of state.users) { 
+            if (!user.lock) continue; 
+            const records = {}; 
+            Object.values(STORAGE_ENTITY_STORES).forEach(prop => { 
+                if (prop !== 'users' && isEncryptedRecord(state[prop].get(userId))) { 
+                    records[prop] = state[prop].get(userId); 
+                    state[prop].delete(userId); 
+                } 
+            }); 
+            const keys = this.profileKeys.get(userId); 
+            if (!keys) { 
+                this.lockedRecords.set(userId, records); 
+                continue; 
+            } 
+            try { 
+                await this.unsealRecords(userId, keys.encryption, state, records); 
+            } catch (e) { 
+                // Written with a key this tab does not hold; keep it sealed 
+                this.lockedRecords.set(userId, records); 
+                this.profileKeys.delete(userId); 
+            } 
+        } 
+    } 
+    
+    // Decrypts a user's records into `state`, migrating them from the schema 
+    // version they were encrypted under 
+    async unsealRecords(userId, key, state, records = this.lockedRecords.get(userId) || {}) { 
+        let opened = this.storage.emptyState(); 
+        opened.users.set(userId, state.users.get(userId)); 
+        let version = STORAGE_SCHEMA_VERSION; 
+        for (const [prop, record] of Object.entries(records)) { 
+            const value = await ProfileVault.decrypt(key, record); 
+            opened[prop].set(userId, value); 
+            this.sealedRecords.set(`${userId}/${prop}`, { digest: await sha256Hex(JSON.stringify(value, stateReplacer)), record }); 
+            version = Math.min(version, record.version || 0); 
+        } 
+        opened = this.storage.migrate(opened, version); 
+        Object.values(STORAGE_ENTITY_STORES).forEach(prop => { 
+            if (prop !== 'users' && opened[prop].has(userId)) state[prop].set(userId, opened[prop].get(userId)); 
+        }); 
+    } 
+    
+    promptUnlock(userId) { 
+        this.pendingUnlock = userId; 
+        document.getElementById('unlockUserName').textContent = this.users.get(userId).name; 
+        document.getElementById('unlockPin').value = ''; 
+        openModal('unlockModal'); 
+        document.getElementById('unlockPin').focus(); 
+    } 
+    
+    async submitUnlock(passphrase) { 
+        const userId = this.pendingUnlock; 
+        if (!userId || !this.users.has(userId)) return closeModal('unlockModal'); 
+        if (!this.isLocked(userId) || await this.unlockUser(userId, passphrase)) { 
+            this.pendingUnlock = null; 
+            this.noteActivity(); 
+            closeModal('unlockModal'); 
+            this.renderUserCards(); 
+            this.switchUser(userId); 
+        } else { 
+            showToast('Incorrect PIN or passphrase.', 'error'); 
+        } 
+    } 
+    
+    initializeAutoLock() { 
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(evt => { 
+            document.addEventListener(evt, () => this.noteActivity(), { passive: true }); 
+        }); 
+        setInterval(() => this.checkAutoLock(), AUTO_LOCK_CHECK_MS); 
+    } 
+    
+    // Every tab locks the same profiles, so activity in one keeps the others unlocked too. 
+    // It is passed on at most once per check, which is all the precision locking needs. 
+    noteActivity(at = Date.now()) { 
+        this.lastActivity = at; 
+        if (!this.tabSync || at - (this.lastActivityShared || 0) < AUTO_LOCK_CHECK_MS) return; 
+        this.lastActivityShared = at; 
+        this.tabSync.post('activity', { at }); 
+    } 
+    
+    async checkAutoLock() { 
+        const minutes = Number(this.settings.autoLockMinutes); 
+        if (!minutes || this.profileKeys.size === 0 || this.autoLocking) return; 
+        if (Date.now() - this.lastActivity < minutes * 60000) return; 
+        this.autoLocking = true; 
+        try { 
+            const userIds = [...this.profileKeys.keys()]; 
+            const results = await Promise.allSettled(userIds.map(userId => this.lockUser(userId))); 
+            const failed = userIds.filter((userId, i) => results[i].status === 'rejected'); 
+            if (failed.length === 0) return showToast('Protected profiles were locked after inactivity.', 'info'); 
+            results.forEach(result => result.status === 'rejected' && console.error(result.reason)); 
+            showToast(`Could not lock ${failed.map(userId => this.users.get(userId).name).join(', ')} after inactivity.`, 'error'); 
+        } finally { 
+            this.autoLocking = false; 
+        } 
+    } 
+    
+    lockCurrentUser() { 
+        if (!this.currentUser) return; 
+        if (!this.isProtected(this.currentUser)) return showToast('This profile has no PIN to lock it with.', 'info'); 
+        this.lockUser(this.currentUser).catch(error => { 
+            console.error(error); 
+            showToast('Could not lock this profile.', 'error'); 
+        }); 
+    } 
+    
+    // Removes the previous user's data from the page while their profile is locked 
+    clearUserViews() { 
+        document.querySelectorAll('.user-card').forEach(c => c.classList.remove('active')); 
+        ['editModal', 'fileModal', 'quizModal', 'subjectMaterialModal', 'calendarDayModal', 'sessionDetailsModal', 'statsModal', 'importModal', 'storageModal', 'availabilityModal', 'rescheduleModal', 'recallModal', 'topicGraphModal', 'syllabusModal', 'regenerationModal', 'strategyModal', 'whatIfModal'].forEach(closeModal); 
+        if (this.pendingRecognition) this.pendingRecognition.resolve(null); 
+        this.closeRecognition(); 
+        this.pendingRegeneration = null; 
+        this.pendingRecall = null; 
+        this.syllabusDraft = null; 
+        this.lastReschedule = null; 
+        this.availabilityDraft = null; 
+        document.getElementById('studyGoals').value = ''; 
+        updateSubjectTags(''); 
+        this.updateScheduleUI([]); 
+        document.getElementById('allocationReasoning').hidden = true; 
+        this.updateProgressUI({ completionRate: 0, studyStreak: 0, totalHours: 0, daysLeft: 0 }); 
+        document.getElementById('filesGrid').innerHTML = ''; 
+        document.getElementById('notesList').innerHTML = ''; 
+        document.getElementById('subjectProgressContainer').innerHTML = ''; 
+        document.getElementById('readinessContainer').innerHTML = ''; 
+        document.getElementById('readinessBasis').textContent = ''; 
+        this.updateCalendar(); 
+        this.updateAvailabilitySummary(); 
+        if (this.progressChart) { 
+            this.progressChart.data.labels = []; 
+            this.progressChart.data.datasets[0].data = []; 
+            this.progressChart.update(); 
+        } 
+        this.updateHistoryButtons(); 
+    } 
+    
+    // ----- File content store ----- 
+    // File records keep a blobKey plus digest and size; the extracted text lives in the 
+    // blob store and is only read when something needs it. Blobs are named 
+    // `${owner}/${digest}` (an HMAC of the digest for protected profiles, whose blobs 
+    // are encrypted too), so identical content is stored once per user. 
+    async storeFileContent(userId, content) { 
+        const contentDigest = await sha256Hex(content); 
+        const contentSize = new TextEncoder().encode(content).length; 
+        // Without IndexedDB there is no blob store and the content stays inline 
+        if (!this.storage.available) return { content, contentDigest, contentSize }; 
+        const keys = this.profileKeys.get(userId); 
+        if (this.isProtected(userId) && !keys) throw new Error('Profile is locked'); 
+        const blobKey = `${userId}/${keys ? await ProfileVault.blobName(keys, contentDigest) : contentDigest}`; 
+        const value = keys ? await ProfileVault.encrypt(keys.encryption, content) : content; 
+        await this.storage.putBlob(blobKey, value, { owner: userId, size: contentSize }); 
+        return { blobKey, contentDigest, contentSize }; 
+    } 
+    
+    async getFileContent(file) { 
+        if (typeof file.content === 'string') return file.content; 
+        if (!file.blobKey || !this.storage.available) return ''; 
+        let value = await this.storage.readBlob(file.blobKey); 
+        if (value === undefined && this.syncAdapter && navigator.onLine) { 
+            // Added on another device: fetch it once and keep a local copy 
+            value = await this.syncAdapter.getBlob(file.blobKey).catch(() => undefined); 
+            if (value !== undefined) await this.storage.putBlob(file.blobKey, value, { owner: file.blobKey.split('/')[0], size: file.contentSize || 0 }); 
+        } 
+        if (value === undefined) return ''; 
+        if (!isEncryptedRecord(value)) return value; 
+        const keys = this.profileKeys.get(file.blobKey.split('/')[0]); 
+        return keys ? ProfileVault.decrypt(keys.encryption, value) : ''; 
+    } 
+    
+    // [file, containing array] pairs for every file record in one entity value 
+    fileRecordsIn(entity, value) { 
+        if (!value) return []; 
+        const lists = []; 
+        if (entity === 'uploadedFiles') lists.push(value); 
+        else if (entity === 'subjectFiles') value.forEach(files => lists.push(files)); 
+        else if (entity === 'calendarNotes') value.forEach(day => lists.push(day.files || [])); 
+        return lists.flatMap(list => list.map(file => [file, list])); 
+    } 
+    
+    // Live records, plus by default those only reachable through undo/redo snapshots 
+    allFileRecords(userId, includeHistory = true) { 
+        const records = ['uploadedFiles', 'subjectFiles', 'calendarNotes'].flatMap(entity => this.fileRecordsIn(entity, this[entity].get(userId))); 
+        if (!includeHistory) return records; 
+        const history = this.userHistory.get(userId) || { undo: [], redo: [] }; 
+        [...history.undo, ...history.redo].forEach(command => { 
+            command.changes.forEach(change => { 
+                records.push(...['before', 'after'].flatMap(side => this.fileRecordsIn(change.entity, changedItemsRecord(change, side)))); 
+            }); 
+        }); 
+        return records; 
+    } 
+    
+    // Moves inline content (data from before the blob store, imported backups) out of the records 
+    async externalizeFileContents(userId) { 
+        if (this.isLocked(userId)) return 0; 
+        const inline = this.allFileRecords(userId) 
+            .map(([file]) => file) 
+            .filter(file => typeof file.content === 'string' && (this.storage.available || !file.contentDigest)); 
+        const references = new Map(); // content -> reference, so duplicates are stored once 
+        for (const file of inline) { 
+            if (!references.has(file.content)) references.set(file.content, await this.storeFileContent(userId, file.content)); 
+            const reference = references.get(file.content); 
+            Object.assign(file, reference); 
+            if (!('content' in reference)) delete file.content; 
+        } 
+        return inline.length; 
+    } 
+    
+    async prepareFileStore() { 
+        try { 
+            let moved = 0; 
+            for (const userId of [...this.users.keys()]) moved += await this.externalizeFileContents(userId); 
+            if (moved > 0) await this.saveState(); 
+            await this.collectBlobGarbage(); 
+        } catch (error) { 
+            this.reportStorageError(error); 
+        } 
+        this.updateStorageSummary(true); 
+    } 
+    
+    // Deletes blobs no record points at any more. Blobs of locked profiles are skipped 
+    // because their records cannot be read; `removed` bypasses the grace period. 
+    async collectBlobGarbage(removed = new Set()) { 
+        if (!this.storage.available) return 0; 
+        const referenced = new Set(); 
+        this.users.forEach((user, userId) => { 
+            this.allFileRecords(userId).forEach(([file]) => { 
+                if (file.blobKey) referenced.add(file.blobKey); 
+            }); 
+        }); 
+        const now = Date.now(); 
+        const blobs = await this.storage.listBlobs(); 
+        const garbage = [...blobs] 
+            .filter(([key, meta]) => !referenced.has(key) && !this.isLocked(meta.owner) && (removed.has(key) || now - meta.createdAt > BLOB_GC_GRACE_MS)) 
+            .map(([key]) => key); 
+        await this.storage.deleteBlobs(garbage); 
+        return garbage.length; 
+    } 
+    
+    reportStorageError(error) { 
+        const quota = error && error.name === 'QuotaExceededError'; 
+        showToast(quota ? 'Storage is full. Remove some materials to keep saving.' : 'Could not save your data.', 'error', 
+            quota ? { label: 'Manage', onClick: () => this.showStorageManager() } : null); 
+    } 
+    
+    // ----- Storage manager ----- 
+    async estimateStorage() { 
+        if (!navigator.storage || !navigator.storage.estimate) return { usage: 0, quota: 0 }; 
+        try { 
+            return await navigator.storage.estimate(); 
+        } catch (e) { 
+            return { usage: 0, quota: 0 }; 
+        } 
+    } 
+    
+    async updateStorageSummary(warn = false) { 
+        const { usage, quota } = await this.estimateStorage(); 
+        const summary = document.getElementById('storageSummary'); 
+        summary.textContent = quota ? `${this.formatFileSize(usage)} of ${this.formatFileSize(quota)} used` : 'Usage is not reported by this browser'; 
+        if (warn && quota && usage / quota > STORAGE_WARNING_RATIO) { 
+            showToast(`Storage is ${Math.round((usage / quota) * 100)}% full. Prune old materials to keep saving.`, 'warning', 
+                { label: 'Manage', onClick: () => this.showStorageManager() }); 
+        } 
+    } 
+    
+    storedFileSize(file) { 
+        if (file.contentSize !== undefined) return file.contentSize; 
+        return typeof file.content === 'string' ? new TextEncoder().encode(file.content).length : 0; 
+    } 
+    
+    // Approximate size of a user's records (schedule, notes, history...) without file bodies 
+    recordsSize(userId) { 
+        const encoder = new TextEncoder(); 
+        if (this.isLocked(userId)) { 
+            return Object.values(this.lockedRecords.get(userId) || {}).reduce((sum, record) => sum + record.data.byteLength, 0); 
+        } 
+        return Object.values(STORAGE_ENTITY_STORES) 
+            .filter(prop => prop !== 'users' && this[prop].has(userId)) 
+            .reduce((sum, prop) => sum + encoder.encode(JSON.stringify(this[prop].get(userId), stateReplacer) || '').length, 0); 
+    } 
+    
+    async showStorageManager() { 
+        const [{ usage, quota }, blobs] = await Promise.all([ 
+            this.estimateStorage(), 
+            this.storage.available ? this.storage.listBlobs() : Promise.resolve(new Map()) 
+        ]); 
+        const percent = quota ? Math.min(100, Math.round((usage / quota) * 100)) : 0; 
+        document.getElementById('storageOverview').innerHTML = quota ? ` 
+            <div class="storage-meter"><div class="storage-meter-fill${percent > STORAGE_WARNING_RATIO * 100 ? ' warning' : ''}" style="width:${percent}%"></div></div> 
+            <p>${this.formatFileSize(usage)} of ${this.formatFileSize(quota)} used (${percent}%)</p> 
+        ` : '<p>This browser does not report storage usage.</p>'; 
+        
+        const row = (label, size, total) => ` 
+            <div class="storage-row"> 
+                <span>${label}</span> 
+                <span>${this.formatFileSize(size)}</span> 
+                <div class="storage-meter small"><div class="storage-meter-fill" style="width:${total ? Math.round((size / total) * 100) : 0}%"></div></div> 
+            </div>`; 
+        
+        const blobTotals = new Map(); 
+        blobs.forEach(meta => blobTotals.set(meta.owner, (blobTotals.get(meta.owner) || 0) + meta.size)); 
+        const byUser = [...this.users.values()].map(user => { 
+            const files = this.storage.available 
+                ? blobTotals.get(user.id) || 0 
+                : this.allFileRecords(user.id, false).reduce((sum, [file]) => sum + this.storedFileSize(file), 0); 
+            return { label: `${escapeHTML(user.name)}${this.isLocked(user.id) ? ' <i class="fas fa-lock"></i>' : ''}`, size: files + this.recordsSize(user.id) }; 
+        }); 
+        const userTotal = byUser.reduce((sum, u) => sum + u.size, 0); 
+        document.getElementById('storageByUser').innerHTML = byUser.map(u => row(u.label, u.size, userTotal)).join('') || '<p>No users yet.</p>'; 
+        
+        // Materials of the current profile, grouped the way they were uploaded 
+        this.storageMaterials = []; 
+        if (this.currentUser) { 
+            const add = (where, files) => files.forEach(file => this.storageMaterials.push({ file, list: files, where })); 
+            add('General materials', this.uploadedFiles.get(this.currentUser) || []); 
+            (this.subjectFiles.get(this.currentUser) || new Map()).forEach((files, subject) => add(subject, files)); 
+            (this.calendarNotes.get(this.currentUser) || new Map()).forEach((day, dateKey) => add(`Calendar ${dateKey}`, day.files || [])); 
+        } 
+        const bySubject = new Map(); 
+        this.storageMaterials.forEach(({ file, where }) => { 
+            const group = where.startsWith('Calendar ') ? 'Calendar attachments' : where; 
+            bySubject.set(group, (bySubject.get(group) || 0) + this.storedFileSize(file)); 
+        }); 
+        const subjectTotal = [...bySubject.values()].reduce((sum, size) => sum + size, 0); 
+        document.getElementById('storageBySubject').innerHTML = [...bySubject] 
+            .sort((a, b) => b[1] - a[1]) 
+            .map(([subject, size]) => row(escapeHTML(subject), size, subjectTotal)).join('') || '<p>No materials uploaded.</p>'; 
+        
+        const lastUsed = file => blobs.get(file.blobKey)?.lastAccessed || file.addedAt || 0; 
+        this.storageMaterials.sort((a, b) => this.storedFileSize(b.file) - this.storedFileSize(a.file)); 
+        document.getElementById('storageMaterials').innerHTML = this.storageMaterials.map(({ file, where }, i) => ` 
+            <label class="storage-material"> 
+                <input type="checkbox" value="${i}" data-size="${this.storedFileSize(file)}" data-last-used="${lastUsed(file)}"> 
+                <span class="storage-material-name">${escapeHTML(file.metadata ? file.metadata.name : file.name)}</span> 
+                <span class="storage-material-meta">${escapeHTML(where)} • ${this.formatFileSize(this.storedFileSize(file))} • ${lastUsed(file) ? `last used ${new Date(lastUsed(file)).toLocaleDateString()}` : 'never opened'}</span> 
+            </label> 
+        `).join('') || '<p>No materials to prune.</p>'; 
+        openModal('storageModal'); 
+    } 
+    
+    selectStorageMaterials(kind) { 
+        const staleBefore = Date.now() - STALE_MATERIAL_DAYS * 86400000; 
+        document.querySelectorAll('#storageMaterials input[type="checkbox"]').forEach(box => { 
+            box.checked = kind === 'large' 
+                ? Number(box.dataset.size) > LARGE_MATERIAL_BYTES 
+                : Number(box.dataset.lastUsed) < staleBefore; 
+        }); 
+    } 
+    
+    async pruneMaterials(indices) { 
+        const selected = indices.map(i => this.storageMaterials[i]).filter(Boolean); 
+        if (selected.length === 0) return showToast('Select materials to remove first.', 'info'); 
+        if (!confirm(`Remove ${selected.length} material${selected.length === 1 ? '' : 's'}? This frees their space and cannot be undone.`)) return; 
+        const removed = new Set(); 
+        selected.forEach(({ file, list }) => { 
+            const index = list.indexOf(file); 
+            if (index > -1) list.splice(index, 1); 
+            if (file.blobKey) removed.add(file.blobKey); 
+        }); 
+        // Undo entries that could bring a pruned material back would point at deleted content 
+        const history = this.getHistory(this.currentUser); 
+        const keep = command => !command.changes.some(change => ['before', 'after'].some(side => 
+            this.fileRecordsIn(change.entity, changedItemsRecord(change, side)).some(([file]) => removed.has(file.blobKey)))); 
+        history.undo = history.undo.filter(keep); 
+        history.redo = history.redo.filter(keep); 
+        
+        this.renderUserViews(this.currentUser); 
+        if (this.currentSubject) this.updateSubjectMaterialsList(this.currentSubject); 
+        await this.saveState(); 
+        const freed = selected.reduce((sum, { file }) => sum + this.storedFileSize(file), 0); 
+        await this.collectBlobGarbage(removed); 
+        showToast(`Removed ${selected.length} material${selected.length === 1 ? '' : 's'} (${this.formatFileSize(freed)})`, 'success'); 
+        this.updateStorageSummary(); 
+        this.showStorageManager(); 
+    } 
+    
+    // ----- Device sync ----- 
+    // The meta store keeps {seq, records: {'userId/entity': {rev, hash}}, blobs} for the 
+    // configured server. A record whose fingerprint differs from the hash last exchanged 
+    // with the server has unsent changes, so the outgoing queue survives reloads and 
+    // offline periods without keeping a second copy of anything. 
+    initializeSync() { 
+        window.addEventListener('online', () => this.scheduleSync(0)); 
+        setInterval(() => { 
+            if (document.visibilityState !== 'hidden') this.scheduleSync(0); 
+        }, SYNC_POLL_MS); 
+        this.configureSync(); 
+    } 
+    
+    configureSync() { 
+        const { syncUrl, syncToken } = this.settings; 
+        this.syncAdapter = syncUrl && syncToken ? new HttpSyncAdapter(syncUrl, syncToken) : null; 
+        if (this.syncAdapter) this.scheduleSync(0); 
+        else this.setSyncStatus('Not connected. Data stays on this device.'); 
+    } 
+    
+    scheduleSync(delay = SYNC_DEBOUNCE_MS) { 
+        if (!this.syncAdapter || !this.storage.available) return; 
+        clearTimeout(this.syncTimer); 
+        this.syncTimer = setTimeout(() => this.syncNow(), delay); 
+    } 
+    
+    setSyncStatus(text, state = 'idle') { 
+        const status = document.getElementById('syncStatus'); 
+        if (!status) return; 
+        status.textContent = text; 
+        status.dataset.state = state; 
+    } 
+    
+    async syncNow() { 
+        if (!this.syncAdapter || !this.storage.available) return; 
+        // A run already in flight picks up anything saved meanwhile on the next round 
+        if (this.syncRunning) return this.scheduleSync(); 
+        if (!navigator.onLine) { 
+            const pending = await this.countPendingChanges(); 
+            return this.setSyncStatus(`Offline. ${pending} change${pending === 1 ? '' : 's'} waiting to sync.`, 'offline'); 
+        } 
+        this.syncRunning = true; 
+        this.setSyncStatus('Syncing...', 'busy'); 
+        try { 
+            // Tabs share one sync state, so only one of them talks to the server at a time 
+            const run = () => this.runSync(); 
+            const { conflicts } = navigator.locks ? await navigator.locks.request(SYNC_LOCK_NAME, run) : await run(); 
+            this.setSyncStatus(`Synced at ${new Date().toLocaleTimeString()}`, 'ok'); 
+            if (conflicts > 0) this.scheduleSync(0); 
+        } catch (error) { 
+            const pending = await this.countPendingChanges().catch(() => 0); 
+            const reason = error.status === 401 ? 'the server rejected the token' : error.message; 
+            this.setSyncStatus(`Sync failed: ${reason}. ${pending} change${pending === 1 ? '' : 's'} waiting.`, 'error'); 
+        } finally { 
+            this.syncRunning = false; 
+        } 
+    } 
+    
+    async readSyncState() { 
+        return { revisions: {}, ...((await this.storage.readMeta('syncState')) || { seq: 0, records: {}, blobs: [] }) }; 
+    } 
+    
+    recordFingerprint(value) { 
+        return sha256Hex(JSON.stringify(value, stateReplacer)); 
+    } 
+    
+    async countPendingChanges() { 
+        const syncState = await this.readSyncState(); 
+        const persisted = await this.collectPersistedState(); 
+        let pending = 0; 
+        // Revisions only describe the other records, so they are not a change of their own 
+        for (const store of SYNC_ENTITY_STORES.filter(store => store !== 'revisions')) { 
+            for (const [userId, value] of persisted[STORAGE_ENTITY_STORES[store]]) { 
+                const meta = syncState.records[`${userId}/${store}`]; 
+                if (!meta || meta.hash !== await this.recordFingerprint(value)) pending++; 
+            } 
+        } 
+        return pending; 
+    } 
+    
+    async runSync() { 
+        const syncState = await this.readSyncState(); 
+        let changed = false; 
+        this.syncConflicts = []; 
+        
+        // Pull first so pushes are based on the newest revisions. Profiles come before 
+        // their records so protected ones are known to be protected, and item revisions 
+        // before the records they are needed to merge. 
+        const { seq, records } = await this.syncAdapter.pullChanges(syncState.seq); 
+        const order = entity => ['users', 'revisions'].includes(entity) ? ['users', 'revisions'].indexOf(entity) : 2; 
+        records.sort((a, b) => order(a.entity) - order(b.entity)); 
+        for (const remote of records) { 
+            if (await this.receiveRemoteRecord(remote, syncState)) changed = true; 
+        } 
+        syncState.seq = Math.max(syncState.seq, seq); 
+        
+        // Push every record the server has not confirmed, after the blobs it points at 
+        const localBlobs = await this.storage.listBlobs(); 
+        const uploaded = new Set(syncState.blobs.filter(key => localBlobs.has(key))); 
+        const persisted = await this.collectPersistedState(); 
+        let conflicts = 0; 
+        for (const store of SYNC_ENTITY_STORES) { 
+            for (const [userId, value] of persisted[STORAGE_ENTITY_STORES[store]]) { 
+                const key = `${userId}/${store}`; 
+                const meta = syncState.records[key] || { rev: 0, hash: null }; 
+                const hash = await this.recordFingerprint(value); 
+                if (hash === meta.hash) continue; 
+                for (const [blobKey, blobMeta] of localBlobs) { 
+                    if (blobMeta.owner !== userId || uploaded.has(blobKey)) continue; 
+                    await this.syncAdapter.putBlob(blobKey, await this.storage.readBlob(blobKey, false)); 
+                    uploaded.add(blobKey); 
+                } 
+                try { 
+                    const { rev } = await this.syncAdapter.pushRecord(userId, store, meta.rev, value, Date.now()); 
+                    syncState.records[key] = { rev, hash }; 
+                } catch (error) { 
+                    if (!(error instanceof SyncConflictError)) throw error; 
+                    // Another device got there first: fold its copy in and push the merge next round 
+                    if (await this.receiveRemoteRecord(error.record, syncState)) changed = true; 
+                    conflicts++; 
+                } 
+            } 
+        } 
+        syncState.blobs = [...uploaded]; 
+        await this.storage.writeMeta('syncState', syncState); 
+        if (changed) { 
+            this.users.forEach((user, userId) => { 
+                if (!this.isLocked(userId)) this.initializeUserRecords(userId); 
+            }); 
+            this.refreshUserViews(); 
+            if (this.syncConflicts.length > 0) this.onSyncConflicts(this.syncConflicts, 'on another device'); 
+            await this.saveState(); 
+        } 
+        return { conflicts }; 
+    } 
+    
+    // Applies one server record. Returns true when in-memory state changed. 
+    async receiveRemoteRecord(remote, syncState) { 
+        const { userId, entity, rev } = remote; 
+        let { value } = remote; 
+        const prop = STORAGE_ENTITY_STORES[entity]; 
+        const key = `${userId}/${entity}`; 
+        const meta = syncState.records[key] || { rev: 0, hash: null }; 
+        if (!SYNC_ENTITY_STORES.includes(entity)) return false; 
+        if (value === undefined) { 
+            // The server lost the record; the next push recreates it 
+            delete syncState.records[key]; 
+            return false; 
+        } 
+        if (rev <= meta.rev) return false; 
+        if (entity === 'revisions') { 
+            // The other device's item revisions are only read when merging its records; this 
+            // device's own revisions are pushed as they are 
+            syncState.revisions[userId] = value; 
+            syncState.records[key] = { rev, hash: meta.hash }; 
+            return false; 
+        } 
+        // A colour that is not a hex colour is replaced; the corrected profile is pushed back 
+        if (entity === 'users' && !AVATAR_COLOR_PATTERN.test(value.avatarColor)) value = { ...value, avatarColor: DEFAULT_AVATAR_COLOR }; 
+        const remoteHash = await this.recordFingerprint(value); 
+        const local = await this.persistedRecord(userId, prop); 
+        const localHash = local === undefined ? null : await this.recordFingerprint(local); 
+        if (localHash === remoteHash) { 
+            syncState.records[key] = { rev, hash: remoteHash }; 
+            return false; 
+        } 
+        if (local === undefined || localHash === meta.hash) { 
+            // Untouched here since the last sync: take the server's copy 
+            await this.adoptRecord(userId, prop, value); 
+            if (REVISED_RECORDS.includes(prop) && !this.isLocked(userId)) { 
+                const revisions = this.recordRevisions.get(userId) || {}; 
+                revisions[prop] = this.remoteStamps(prop, this[prop].get(userId), await this.remoteRevisions(userId, syncState)); 
+                this.recordRevisions.set(userId, revisions); 
+            } 
+            syncState.records[key] = { rev, hash: remoteHash }; 
+        } else { 
+            // Edited on both sides: merge now, and the merge is pushed against the new revision 
+            await this.reconcileRecord(userId, prop, value, syncState); 
+            syncState.records[key] = { rev, hash: meta.hash }; 
+        } 
+        return true; 
+    } 
+    
+    // The record as it is written to disk, encrypted for protected profiles 
+    async persistedRecord(userId, prop) { 
+        if (prop === 'users' || !this.isProtected(userId)) return this[prop].get(userId); 
+        if (this.isLocked(userId)) return (this.lockedRecords.get(userId) || {})[prop]; 
+        return this[prop].has(userId) ? this.sealRecord(userId, prop) : undefined; 
+    } 
+    
+    async adoptRecord(userId, prop, value) { 
+        if (isEncryptedRecord(value)) { 
+            const keys = this.profileKeys.get(userId); 
+            if (!keys) { 
+                if (!this.lockedRecords.has(userId)) this.lockedRecords.set(userId, {}); 
+                this.lockedRecords.get(userId)[prop] = value; 
+                return; 
+            } 
+            const plain = await ProfileVault.decrypt(keys.encryption, value); 
+            // Reuse the server's ciphertext until the record changes, so it is not re-uploaded 
+            this.sealedRecords.set(`${userId}/${prop}`, { digest: await this.recordFingerprint(plain), record: value }); 
+            value = plain; 
+        } 
+        this[prop].set(userId, value); 
+    } 
+    
+    async reconcileRecord(userId, prop, value, syncState) { 
+        const keys = this.profileKeys.get(userId); 
+        // A locked profile has no local edits to keep 
+        if (isEncryptedRecord(value) && !keys) return this.adoptRecord(userId, prop, value); 
+        const remote = isEncryptedRecord(value) ? await ProfileVault.decrypt(keys.encryption, value) : value; 
+        const revisions = await this.remoteRevisions(userId, syncState); 
+        this[prop].set(userId, this.mergeRecord(userId, prop, this[prop].get(userId), remote, revisions)); 
+    } 
+    
+    // Merges a record edited on two devices: sessions by id and revision, everything else 
+    // item by item (see RecordRevisions), so removals and edits on either side both carry over 
+    mergeRecord(userId, prop, local, remote, remoteRevisions = {}) { 
+        if (prop === 'userSchedules') { 
+            if (local === undefined) return remote; 
+            this.stampRecords(userId); 
+            const revisions = this.recordRevisions.get(userId); 
+            const remoteStamps = RecordRevisions.stampSessions(remote, remoteRevisions.userSchedules); 
+            const { schedule, stamps } = this.mergeSchedules(local, remote, this.syncConflicts, revisions.userSchedules, remoteStamps); 
+            revisions.userSchedules = stamps; 
+            return schedule; 
+        } 
+        if (!REVISED_RECORDS.includes(prop)) return local === undefined ? remote : local; 
+        this.stampRecords(userId); 
+        const revisions = this.recordRevisions.get(userId); 
+        const merged = RecordRevisions.merge(prop, local, revisions[prop], remote, this.remoteStamps(prop, remote, remoteRevisions)); 
+        revisions[prop] = merged.stamps; 
+        return merged.record; 
+    } 
+    
+    // The item revisions another device last pushed for a user ({property: stamps}) 
+    async remoteRevisions(userId, syncState) { 
+        let value = syncState.revisions[userId]; 
+        if (isEncryptedRecord(value)) { 
+            const keys = this.profileKeys.get(userId); 
+            value = keys ? await ProfileVault.decrypt(keys.encryption, value).catch(() => null) : null; 
+        } 
+        return value || {}; 
+    } 
+    
+    // Revisions are pushed after the records they describe, so a record can arrive before its 
+    // revisions do (or with none, from an older copy): restamping it against the last ones 
+    // seen counts whatever it changed since as edits and removals made on that device 
+    remoteStamps(prop, record, remoteRevisions) { 
+        return RecordRevisions.stamp(prop, record, remoteRevisions[prop], 'remote'); 
+    } 
+    
+    async saveSyncSettings(url, token) { 
+        try { 
+            const parsed = new URL(url); 
+            if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(); 
+        } catch (e) { 
+            return showToast('Enter the full server address, e.g. https://sync.example.com', 'error'); 
+        } 
+        const changed = url !== this.settings.syncUrl || token !== this.settings.syncToken; 
+        this.settings.syncUrl = url; 
+        this.settings.syncToken = token; 
+        // Revisions from another server or account mean nothing here 
+        if (changed && this.storage.available) await this.storage.writeMeta('syncState', null); 
+        await this.saveState(); 
+        this.configureSync(); 
+        closeModal('syncModal'); 
+        showToast('Device sync connected. Syncing now...', 'success'); 
+    } 
+    
+    async disconnectSync() { 
+        this.settings.syncUrl = ''; 
+        this.settings.syncToken = ''; 
+        clearTimeout(this.syncTimer); 
+        if (this.storage.available) await this.storage.writeMeta('syncState', null); 
+        await this.saveState(); 
+        this.configureSync(); 
+        closeModal('syncModal'); 
+        showToast('Device sync disconnected. Data on this device is kept.', 'info'); 
+    } 
+    
+    renderUserCards() { 
+        const selector = document.querySelector('.user-selector'); 
+        selector.querySelectorAll('.user-card:not([data-user="add-user"])').forEach(c => c.remove()); 
+        const addCard = selector.querySelector('[data-user="add-user"]'); 
+        this.users.forEach(user => { 
+            const card = document.createElement('div'); 
+            card.className = 'user-card'; 
+            card.dataset.user = user.id; 
+            card.onclick = () => this.switchUser(user.id); 
+            const lockIcon = user.lock ? ` <i class="fas ${this.isLocked(user.id) ? 'fa-lock' : 'fa-lock-open'}" title="PIN protected"></i>` : ''; 
+            const color = AVATAR_COLOR_PATTERN.test(user.avatarColor) ? user.avatarColor : DEFAULT_AVATAR_COLOR; 
+            card.innerHTML = `<div class="user-avatar" style="background:${color}">${escapeHTML(user.name.charAt(0).toUpperCase())}</div><div>${escapeHTML(user.name)}${lockIcon}</div>`; 
+            selector.insertBefore(card, addCard); 
+        }); 
+    } 
+    
+    switchUser(userId) { 
+        if (!this.users.has(userId)) return; 
+        if (this.isLocked(userId)) return this.promptUnlock(userId); 
+        this.currentUser = userId; 
+        document.querySelectorAll('.user-card').forEach(c => c.classList.toggle('active', c.dataset.user === userId)); 
+        this.loadUserData(userId); 
+        this.claimReschedulingLock(userId); 
+        this.rescheduleMissedSessions(); 
+        const user = this.users.get(userId); 
+        this.agents.planner.updateStatus('User switched', `Loading ${user.name}'s profile`); 
+        this.agents.monitor.updateStatus('Monitoring user', `Tracking ${user.name}'s progress`); 
+        showToast(`Switched to ${user.name}'s profile`, 'info'); 
+    } 
+    
+    loadUserData(userId) { 
+        const { formHistory } = this.userProgress.get(userId); 
+        document.getElementById('examDate').value = formHistory?.examDate || document.getElementById('examDate').value; 
+        document.getElementById('studyGoals').value = formHistory?.studyGoals || ''; 
+        
+        // Rows typed for the previous user must not carry over 
+        document.getElementById('subjectExams').innerHTML = ''; 
+        updateSubjectTags(formHistory?.subjects || ''); 
+        updateCustomSelect('studyHours', formHistory?.studyHours || '4'); 
+        updateCustomSelect('sessionLength', formHistory?.sessionLength || '50'); 
+        updateCustomSelect('breakMinutes', formHistory?.breakMinutes || '10'); 
+        updateCustomSelect('maxContinuous', formHistory?.maxContinuous || '120'); 
+        this.renderWeekdayHours(formHistory?.weekdayHours || []); 
+        updateCustomSelect('difficulty', formHistory?.difficulty || 'intermediate'); 
+        updateCustomSelect('strategy', formHistory?.strategy || 'proximity'); 
+        
+        // Load learning style 
+        if (formHistory?.learningStyle) { 
+            document.querySelectorAll('.learning-style').forEach(style => { 
+                style.classList.toggle('active', style.dataset.style === formHistory.learningStyle); 
+            }); 
+            document.getElementById('learningStyle').value = formHistory.learningStyle; 
+        } 
+        
+        // Load study preferences 
+        if (formHistory?.studyPreferences) { 
+            document.querySelectorAll('input[name="studyTime"]').forEach(checkbox => { 
+                checkbox.checked = formHistory.studyPreferences.includes(checkbox.value); 
+            }); 
+        } 
+        this.updateAvailabilitySummary(); 
+        
+        this.renderUserViews(userId); 
+    } 
+    
+    renderUserViews(userId) { 
+        this.updateScheduleUI(this.userSchedules.get(userId) || []); 
+        this.updateAllocationReasoning(); 
+        this.updateProgressUI(this.userProgress.get(userId)); 
+        this.updateFilesUI(); 
+        this.updateNotesUI(); 
+        this.updateCalendar(); 
+        this.updateProgressChart(); 
+        this.updateSubjectProgress(); 
+        this.updateReadinessForecast(this.userProgress.get(userId).formHistory); 
+        this.updateHistoryButtons(); 
+    } 
+    
+    // Checks the plan settings and completes them with the last exam date and the seed. Shows 
+    // what is wrong and returns null when no plan can be made from them. 
+    preparePlan(formData) { 
+        const fail = message => { 
+            showToast(message, 'error'); 
+            return null; 
+        }; 
+        if (!this.currentUser) return fail('No user selected.'); 
+        const problems = this.planner.checkPlan(formData); 
+        if (problems.length > 0) return fail(problems[0]); 
+        const subjects = formData.subjects.replace(/,/g, ' ').split(/\s+/).filter(Boolean); 
+        const exams = this.planner.getSubjectExams(formData); 
+        // The plan runs until the last exam. The seed is kept, so the same inputs always give 
+        // the same plan. 
+        const previous = this.userProgress.get(this.currentUser).formHistory; 
+        const seed = (previous && previous.seed) || Math.floor(Math.random() * 4294967296); 
+        return { subjects, formData: { ...formData, examDate: exams.map(exam => exam.examDate).sort().pop(), seed } }; 
+    } 
+    
+    async generateSchedule(formData) { 
+        const plan = this.preparePlan(formData); 
+        if (!plan) return; 
+        const { subjects } = plan; 
+        formData = plan.formData; 
+        const strategy = SCHEDULING_STRATEGIES[formData.strategy] || SCHEDULING_STRATEGIES.proximity; 
+        
+        try { 
+            await this.runAgentTask(this.agents.planner, 'Analyzing requirements...', 1000); 
+            
+            // Check if we have subject-specific files 
+            const subjectFilesMap = this.subjectFiles.get(this.currentUser) || new Map(); 
+            const hasSubjectFiles = subjects.some(subject => subjectFilesMap.has(subject) && subjectFilesMap.get(subject).length > 0); 
+            
+            if (hasSubjectFiles) { 
+                await this.runAgentTask(this.agents.planner, 'Analyzing subject materials...', 1500); 
+            } else if ((this.uploadedFiles.get(this.currentUser) || []).length > 0) { 
+                await this.runAgentTask(this.agents.planner, 'Analyzing materials...', 1500); 
+            } 
+            
+            await this.runAgentTask(this.agents.planner, `Optimizing learning paths (${strategy.label})...`, 1500); 
+            const report = {}; 
+            const current = this.userSchedules.get(this.currentUser) || []; 
+            const locked = this.lockedSessions(); 
+            const schedule = this.createEnhancedSchedule({ ...formData, subjects }, report, locked); 
+            if (schedule.length === 0 && locked.length === 0) { 
+                showToast(report.unplaced > 0 
+                    ? 'No free time left in your preferred hours. Adjust your availability, preferences or session length.' 
+                    : 'Could not generate schedule. Is the exam date in the future, and does your weekly pattern leave a study day?', 'warning'); 
+                this.agents.planner.updateStatus('Idle', 'Generation failed'); 
+                return; 
+            } 
+            this.agents.planner.updateStatus('Schedule optimized', `Generated ${schedule.length} sessions`); 
+            await this.runAgentTask(this.agents.executor, `Implementing ${schedule.length} sessions...`, 1000); 
+            
+            if (current.length > 0) { 
+                // Regenerating never replaces the plan wholesale: the changes are offered for review 
+                this.previewRegeneration({ formData, report, current, proposed: schedule }); 
+                return; 
+            } 
+            this.recordChange('Generate schedule', ['userSchedules', 'userProgress'], () => { 
+                const progress = this.userProgress.get(this.currentUser); 
+                progress.formHistory = formData; 
+                progress.allocation = report.allocation; 
+                this.userSchedules.set(this.currentUser, schedule); 
+            }); 
+            this.refreshAfterGeneration(formData); 
+            this.agents.executor.updateStatus('Implementation complete', 'Schedule is live'); 
+            showToast('AI-optimized schedule generated!', 'success'); 
+            this.reportPlanShortfall(report); 
+        } catch (error) { 
+            showToast('An unexpected error occurred.', 'error'); 
+            this.agents.planner.updateStatus('Error', 'Generation failed'); 
+        } 
+    } 
+    
+    // Warns about sessions that found no free time and subjects that cannot be covered in time 
+    reportPlanShortfall(report) { 
+        if (report.unplaced > 0) { 
+            showToast(`${report.unplaced} session${report.unplaced === 1 ? '' : 's'} did not fit into your free time and were left out.`, 'warning'); 
+        } 
+        if (report.uncovered && report.uncovered.length > 0) { 
+            const gaps = report.uncovered.map(gap => `${gap.subject} (${gap.topics} topic${gap.topics === 1 ? '' : 's'} left before ${this.formatSessionDate(gap.examDate)})`); 
+            showToast(`Not enough study time to cover every topic: ${gaps.join(', ')}. Add hours or give up a rest day or day off.`, 'error'); 
+        } 
+    } 
+    
+    async runAgentTask(agent, status, duration) { 
+        agent.isActive = true; 
+        agent.updateStatus(status, 'AI processing...'); 
+        await agent.delay(duration); 
+        agent.isActive = false; 
+        agent.updateUI(); 
+    } 
+    
+    // ----- Planning ----- 
+    // What the planner knows about a user: their sessions, memory model, confidence ratings, 
+    // syllabi, availability and the topics found in their study materials 
+    planningProfile(userId) { 
+        const subjectFiles = this.subjectFiles.get(userId) || new Map(); 
+        return { 
+            schedule: this.userSchedules.get(userId) || [], 
+            reviewItems: this.getReviewItems(userId), 
+            topicConfidence: this.getTopicConfidence(userId), 
+            syllabi: this.getSyllabi(userId), 
+            availability: this.getAvailability(userId), 
+            materialTopics: new Map([...subjectFiles].map(([subject, files]) => [subject, files.flatMap(file => (file.analysis && file.analysis.topics) || [])])) 
+        }; 
+    } 
+    
+    createEnhancedSchedule(formData, report = {}, locked = []) { 
+        return this.planner.createSchedule(formData, this.planningProfile(this.currentUser), report, { locked }); 
+    } 
+    
+    buildTopicGraph(subject, difficulty, sessionLength = 60) { 
+        return this.planner.buildTopicGraph(subject, difficulty, this.planningProfile(this.currentUser), sessionLength); 
+    } 
+    
+    topicStatuses(subject, nodes) { 
+        return this.planner.topicStatuses(subject, nodes, this.planningProfile(this.currentUser)); 
+    } 
+    
+    // ----- Text recognition ----- 
+    // Text read from an image is shown block by block, with Tesseract's confidence, for the 
+    // student to correct before it is saved. Resolves with the result to keep, or null when 
+    // the file is discarded; other files pass straight through. 
+    reviewProcessedFile(file, result) { 
+        if (!result.success || !result.structure || !result.structure.blocks) return Promise.resolve(result); 
+        return new Promise(resolve => { 
+            this.pendingRecognition = { file, result, resolve, preview: URL.createObjectURL(file) }; 
+            this.renderRecognizedText(); 
+            openModal('ocrModal'); 
+        }); 
+    } 
+    
+    renderRecognizedText() { 
+        const { file, result, preview } = this.pendingRecognition; 
+        const { blocks, confidence, skew, quarterTurns } = result.structure; 
+        const image = document.getElementById('ocrImage'); 
+        image.src = preview; 
+        image.style.transform = `rotate(${quarterTurns * 90}deg)`; 
+        const low = blocks.filter(block => block.confidence < OCR_LOW_CONFIDENCE).length; 
+        document.getElementById('ocrSummary').textContent = blocks.length === 0 
+            ? `No text was found in ${file.name}. If the photo is sideways or upside down, rotate it to read it again.` 
+            : `${blocks.length} block${blocks.length === 1 ? '' : 's'} read with ${confidence}% confidence${skew ? `, straightened by ${Math.abs(skew)}°` : ''}.${low > 0 ? ` Check the ${low} highlighted block${low === 1 ? '' : 's'} against the image.` : ''}`; 
+        document.getElementById('ocrBlocks').innerHTML = blocks.map((block, i) => ` 
+            <div class="ocr-block${block.confidence < OCR_LOW_CONFIDENCE ? ' ocr-block-low' : ''}"> 
+                <div class="ocr-block-meta">Block ${i + 1} • ${block.confidence}% confident</div> 
+                <textarea data-block="${i}" rows="${Math.min(8, block.text.split('\n').length + 1)}" aria-label="Recognized text, block ${i + 1}">${escapeHTML(block.text)}</textarea> 
+            </div> 
+        `).join(''); 
+    } 
+    
+    // Reads the image again a quarter turn further round; corrections typed so far are lost 
+    async rotateRecognizedImage(direction) { 
+        const pending = this.pendingRecognition; 
+        if (!pending) return; 
+        showToast('Reading the rotated image...', 'info'); 
+        const result = await this.agents.file.processFile(pending.file, { quarterTurns: pending.result.structure.quarterTurns + direction }); 
+        if (this.pendingRecognition !== pending) return; 
+        if (!result.success) return showToast(`Could not read the rotated image: ${result.error}`, 'error'); 
+        pending.result = result; 
+        this.renderRecognizedText(); 
+    } 
+    
+    async saveRecognizedText() { 
+        const pending = this.pendingRecognition; 
+        if (!pending) return; 
+        const { result } = pending; 
+        const blocks = result.structure.blocks 
+            .map((block, i) => ({ ...block, text: document.querySelector(`#ocrBlocks textarea[data-block="${i}"]`).value.trim() })) 
+            .filter(block => block.text); 
+        if (blocks.length === 0) return showToast('There is no text to save. Rotate the image or discard the file.', 'warning'); 
+        const content = blocks.map(block => block.text).join('\n\n'); 
+        const analysis = await this.agents.file.analyzeContent(content); 
+        this.closeRecognition(); 
+        pending.resolve({ ...result, content, analysis, structure: { ...result.structure, blocks, corrected: content !== result.content } }); 
+    } 
+    
+    cancelRecognizedText() { 
+        const pending = this.pendingRecognition; 
+        if (!pending) return closeModal('ocrModal'); 
+        this.closeRecognition(); 
+        showToast(`${pending.file.name} was not added.`, 'info'); 
+        pending.resolve(null); 
+    } 
+    
+    closeRecognition() { 
+        if (this.pendingRecognition) URL.revokeObjectURL(this.pendingRecognition.preview); 
+        this.pendingRecognition = null; 
+        closeModal('ocrModal'); 
+    } 
+
+    // ----- Strategy comparison ----- 
+    // The plan settings as currently entered in the form 
+    readPlanForm() { 
+        return { 
+            examDate: document.getElementById('examDate').value, 
+            subjects: document.getElementById('subjects').value, 
+            studyHours: document.getElementById('studyHours').value, 
+            sessionLength: document.getElementById('sessionLength').value, 
+            breakMinutes: document.getElementById('breakMinutes').value, 
+            maxContinuous: document.getElementById('maxContinuous').value, 
+            difficulty: document.getElementById('difficulty').value, 
+            studyGoals: document.getElementById('studyGoals').value, 
+            learningStyle: document.getElementById('learningStyle').value, 
+            strategy: document.getElementById('strategy').value, 
+            studyPreferences: [...document.querySelectorAll('input[name="studyTime"]:checked')].map(checkbox => checkbox.value), 
+            weekdayHours: this.readWeekdayHours(), 
+            exams: this.readSubjectExams() 
+        }; 
+    } 
+    
+    // Figures a plan is compared on. `load` is the study hours of every day with sessions. 
+    planMetrics(schedule, report) { 
+        const byDate = groupBy(schedule, 'date'); 
+        const load = Object.keys(byDate).sort().map(date => ({ date, hours: byDate[date].reduce((sum, s) => sum + s.durationMinutes, 0) / 60 })); 
+        // Neighbouring sessions of a day, to see how often the subject changes 
+        const pairs = Object.values(byDate).flatMap(day => { 
+            const ordered = [...day].sort((a, b) => a.time.localeCompare(b.time)); 
+            return ordered.slice(1).map((s, i) => [ordered[i], s]); 
+        }); 
+        return { 
+            sessions: schedule.length, 
+            coverage: report.coverage.total > 0 ? Math.round((report.coverage.covered / report.coverage.total) * 100) : 100, 
+            reviews: schedule.filter(s => s.sessionType === 'review').length, 
+            averageLoad: load.length > 0 ? load.reduce((sum, day) => sum + day.hours, 0) / load.length : 0, 
+            peakLoad: Math.max(0, ...load.map(day => day.hours)), 
+            mixing: pairs.length > 0 ? Math.round((pairs.filter(([a, b]) => a.subject !== b.subject).length / pairs.length) * 100) : 0, 
+            uncovered: report.uncovered.length, 
+            load 
+        }; 
+    } 
+    
+    openStrategyComparison() { 
+        if (!this.currentUser) return showToast('Please select a user first.', 'warning'); 
+        const chosen = document.getElementById('strategy').value; 
+        const other = Object.keys(SCHEDULING_STRATEGIES).find(id => id !== chosen); 
+        if (this.compareStrategies(chosen, other)) openModal('strategyModal'); 
+    } 
+    
+    // Plans the current settings with two strategies, without changing anything, and shows 
+    // them side by side 
+    compareStrategies(first, second) { 
+        const plan = this.preparePlan(this.readPlanForm()); 
+        if (!plan) return false; 
+        const locked = this.lockedSessions(); 
+        const sides = [first, second].map(id => { 
+            const report = {}; 
+            const schedule = this.createEnhancedSchedule({ ...plan.formData, subjects: plan.subjects, strategy: id }, report, locked); 
+            return { strategy: SCHEDULING_STRATEGIES[id], metrics: this.planMetrics([...locked, ...schedule], report) }; 
+        }); 
+        const rows = [ 
+            { label: 'Sessions', value: m => m.sessions }, 
+            { label: 'Topic coverage', value: m => m.coverage, format: v => `${v}%`, better: 'higher' }, 
+            { label: 'Reviews', value: m => m.reviews, better: 'higher' }, 
+            { label: 'Average day', value: m => m.averageLoad, format: v => this.formatDuration(Math.round(v * 60)) }, 
+            { label: 'Busiest day', value: m => m.peakLoad, format: v => this.formatDuration(Math.round(v * 60)), better: 'lower' }, 
+            { label: 'Subject switches', value: m => m.mixing, format: v => `${v}%` }, 
+            { label: 'Subjects not covered in time', value: m => m.uncovered, better: 'lower' } 
+        ]; 
+        const options = selected => Object.values(SCHEDULING_STRATEGIES) 
+            .map(strategy => `<option value="${strategy.id}"${strategy.id === selected ? ' selected' : ''}>${strategy.label}</option>`).join(''); 
+        const cell = (row, k) => { 
+            const [mine, theirs] = [sides[k], sides[1 - k]].map(side => row.value(side.metrics)); 
+            const wins = row.better && mine !== theirs && (row.better === 'higher' ? mine > theirs : mine < theirs); 
+            return `<td class="${wins ? 'strategy-better' : ''}">${row.format ? row.format(mine) : mine}</td>`; 
+        }; 
+        const peak = Math.max(1, ...sides.map(side => side.metrics.peakLoad)); 
+        const bars = metrics => `<div class="strategy-load">${metrics.load.map(day => `<span style="height: ${Math.round((day.hours / peak) * 100)}%" title="${this.formatSessionDate(day.date)}: ${this.formatDuration(Math.round(day.hours * 60))}"></span>`).join('')}</div>`; 
+        document.getElementById('strategyComparison').innerHTML = ` 
+            <table class="strategy-table"> 
+                <thead> 
+                    <tr> 
+                        <th></th> 
+                        ${sides.map((side, k) => `<th><select class="strategy-pick" aria-label="Strategy ${k + 1}" onchange="compareStrategies()">${options(side.strategy.id)}</select></th>`).join('')} 
+                    </tr> 
+                </thead> 
+                <tbody> 
+                    <tr><th></th>${sides.map(side => `<td class="strategy-description">${side.strategy.description}</td>`).join('')}</tr> 
+                    ${rows.map(row => `<tr><th>${row.label}</th>${cell(row, 0)}${cell(row, 1)}</tr>`).join('')} 
+                    <tr><th>Daily load</th>${sides.map(side => `<td>${bars(side.metrics)}</td>`).join('')}</tr> 
+                </tbody> 
+                <tfoot> 
+                    <tr><td></td>${sides.map(side => `<td><button type="button" class="btn btn-small" onclick="useStrategy('${side.strategy.id}')">Use ${side.strategy.label}</button></td>`).join('')}</tr> 
+                </tfoot> 
+            </table> 
+        `; 
+        return true; 
+    } 
+    
+    // Picks the strategy and generates with it; an existing plan still goes through the change review 
+    useStrategy(id) { 
+        updateCustomSelect('strategy', id); 
+        closeModal('strategyModal'); 
+        this.generateSchedule(this.readPlanForm()); 
+    } 
+    
+    // ----- Readiness forecast ----- 
+    // Share of the sessions planned before today that were completed. Forecasts assume the 
+    // student keeps this pace; with nothing behind them yet, every session counts. 
+    followThrough() { 
+        const today = toISODate(new Date()); 
+        const past = (this.userSchedules.get(this.currentUser) || []).filter(s => s.date < today); 
+        return past.length > 0 ? past.filter(s => s.completed).length / past.length : 1; 
+    } 
+    
+    readinessForecast(schedule, formData) { 
+        const today = toISODate(new Date()); 
+        return this.planner.forecast(schedule, formData, this.planningProfile(this.currentUser), { followThrough: this.followThrough() }) 
+            .filter(forecast => forecast.examDate > today); 
+    } 
+    
+    readinessBasis() { 
+        const pace = this.followThrough(); 
+        return pace < 1 
+            ? `Projected to each exam day, assuming you keep completing ${Math.round(pace * 100)}% of your sessions as you have so far.` 
+            : 'Projected to each exam day, assuming you complete every planned session.'; 
+    } 
+    
+    updateReadinessForecast(formData) { 
+        const container = document.getElementById('readinessContainer'); 
+        const basis = document.getElementById('readinessBasis'); 
+        const schedule = this.userSchedules.get(this.currentUser) || []; 
+        const forecast = formData && schedule.length > 0 ? this.readinessForecast(schedule, formData) : []; 
+        if (forecast.length === 0) { 
+            basis.textContent = ''; 
+            container.innerHTML = '<p style="text-align: center; color: rgba(255,255,255,0.6);">Generate a schedule to see how ready you will be for each exam</p>'; 
+            return; 
+        } 
+        const percent = value => Math.round(value * 100); 
+        basis.textContent = this.readinessBasis(); 
+        container.innerHTML = forecast.map(f => ` 
+            <div class="subject-progress-item"> 
+                <div class="subject-progress-header"> 
+                    <div class="subject-progress-name">${escapeHTML(f.subject)}</div> 
+                    <div class="subject-progress-percentage">${percent(f.readiness)}% ready</div> 
+                </div> 
+                <div class="subject-progress-bar"> 
+                    <div class="subject-progress-fill readiness-fill readiness-${f.readiness >= 0.7 ? 'good' : f.readiness >= 0.4 ? 'fair' : 'low'}" style="width: ${percent(f.readiness)}%"></div> 
+                </div> 
+                <div class="readiness-detail">${f.learned}/${f.topics} topics learned by ${this.formatSessionDate(f.examDate)} • ${percent(f.retention)}% of them remembered${f.beyondPlan ? ' • study days after this plan are not counted yet' : ''}</div> 
+            </div> 
+        `).join(''); 
+    } 
+    
+    // What-if: the saved plan settings with other daily hours, rest days or subjects, planned 
+    // again and forecast next to the current plan. Nothing is saved unless the student copies 
+    // the settings into the study form. 
+    openWhatIf() { 
+        if (!this.currentUser) return showToast('Please select a user first.', 'warning'); 
+        const { formHistory } = this.userProgress.get(this.currentUser) || {}; 
+        if (!formHistory || (this.userSchedules.get(this.currentUser) || []).length === 0) return showToast('Generate a schedule first, then try changes against it.', 'warning'); 
+        const settings = this.planner.sessionSettings(formHistory); 
+        const hours = settings.budget / 60; 
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']; 
+        document.getElementById('whatIfHours').innerHTML = [...new Set([2, 4, 6, 8, hours])].sort((a, b) => a - b) 
+            .map(value => `<option value="${value}"${value === hours ? ' selected' : ''}>${value} hrs</option>`).join(''); 
+        document.getElementById('whatIfRestDays').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(weekday => ` 
+            <label class="what-if-option"><input type="checkbox" value="${weekday}"${settings.weekdayBudgets[weekday] === 0 ? ' checked' : ''} onchange="runWhatIf()"> ${days[weekday]}</label> 
+        `).join(''); 
+        document.getElementById('whatIfSubjects').innerHTML = this.planner.getSubjectExams(formHistory).map(exam => ` 
+            <label class="what-if-option"><input type="checkbox" value="${encodeURIComponent(exam.subject)}" checked onchange="runWhatIf()"> ${escapeHTML(exam.subject)}</label> 
+        `).join(''); 
+        this.runWhatIf(); 
+        openModal('whatIfModal'); 
+    } 
+    
+    // The saved plan settings with the what-if inputs applied. Rest days get no hours; a day 
+    // that stops being a rest day takes the daily hours. 
+    readWhatIf(formData) { 
+        const rest = new Set([...document.querySelectorAll('#whatIfRestDays input:checked')].map(input => Number(input.value))); 
+        const pattern = formData.weekdayHours || []; 
+        return { 
+            ...formData, 
+            subjects: [...document.querySelectorAll('#whatIfSubjects input:checked')].map(input => decodeURIComponent(input.value)), 
+            studyHours: document.getElementById('whatIfHours').value, 
+            weekdayHours: [0, 1, 2, 3, 4, 5, 6].map(weekday => { 
+                if (rest.has(weekday)) return '0'; 
+                return pattern[weekday] == null || String(pattern[weekday]) === '0' ? '' : pattern[weekday]; 
+            }) 
+        }; 
+    } 
+    
+    runWhatIf() { 
+        if (!this.currentUser) return; 
+        const { formHistory } = this.userProgress.get(this.currentUser); 
+        const scenario = this.readWhatIf(formHistory); 
+        const current = this.readinessForecast(this.userSchedules.get(this.currentUser) || [], formHistory); 
+        let proposed = []; 
+        if (scenario.subjects.length > 0) { 
+            const locked = this.lockedSessions().filter(s => scenario.subjects.includes(s.subject)); 
+            const schedule = this.createEnhancedSchedule(scenario, {}, locked); 
+            proposed = this.readinessForecast([...locked, ...schedule], scenario); 
+        } 
+        const percent = value => `${Math.round(value * 100)}%`; 
+        const cell = f => (f 
+            ? `<strong>${percent(f.readiness)}</strong><div class="strategy-description">${f.learned}/${f.topics} topics • ${percent(f.retention)} remembered</div>` 
+            : '<span class="strategy-description">Dropped</span>'); 
+        const change = (before, after) => { 
+            if (!before || !after) return ''; 
+            const points = Math.round((after.readiness - before.readiness) * 100); 
+            return points === 0 ? '±0' : `<span class="${points > 0 ? 'strategy-better' : 'what-if-worse'}">${points > 0 ? '+' : ''}${points}</span>`; 
+        }; 
+        document.getElementById('whatIfResults').innerHTML = ` 
+            <p class="strategy-help">${this.readinessBasis()}</p> 
+            <table class="strategy-table"> 
+                <thead> 
+                    <tr><th>Exam readiness</th><th>Current plan</th><th>What if</th><th>Change (points)</th></tr> 
+                </thead> 
+                <tbody> 
+                    ${current.map(before => { 
+                        const after = proposed.find(f => f.subject === before.subject); 
+                        return `<tr><th>${escapeHTML(before.subject)}</th><td>${cell(before)}</td><td>${cell(after)}</td><td>${change(before, after)}</td></tr>`; 
+                    }).join('')} 
+                </tbody> 
+                <tfoot> 
+                    <tr><td colspan="4"><button type="button" class="btn btn-small" onclick="useWhatIf()"${scenario.subjects.length === 0 ? ' disabled' : ''}>Copy these settings to the study form</button></td></tr> 
+                </tfoot> 
+            </table> 
+        `; 
+    } 
+    
+    // Puts the what-if settings into the study form; generating from there updates the plan 
+    useWhatIf() { 
+        const { formHistory } = this.userProgress.get(this.currentUser); 
+        const scenario = this.readWhatIf(formHistory); 
+        updateSubjectTags(scenario.subjects.join(' ')); 
+        updateCustomSelect('studyHours', scenario.studyHours); 
+        this.renderWeekdayHours(scenario.weekdayHours); 
+        closeModal('whatIfModal'); 
+        showToast('Settings copied to the study form. Generate your schedule to use them.', 'info'); 
+    } 
+
+    // ----- Regeneration ----- 
+    // A session the student has touched since it was planned (completed, edited, given a note, 
+    // pinned or rescheduled) is locked: regenerating plans around it and never moves it. 
+    // `planRev` is the revision a session had when a plan last placed it. 
+    isLockedSession(session) { 
+        return Boolean(session.completed || session.pinned || (session.rev || 0) > (session.planRev || 0)); 
+    } 
+    
+    // Upcoming sessions a new plan has to leave where they are 
+    lockedSessions() { 
+        return (this.userSchedules.get(this.currentUser) || []).filter(s => s.date >= toISODate(new Date()) && this.isLockedSession(s)); 
+    } 
+    
+    // Compares the upcoming unlocked sessions with a freshly generated plan. A session whose 
+    // subject, topic and type reappear at the same time is unchanged; otherwise it is paired, 
+    // in date order, with a new session for the same work elsewhere (moved). Whatever is left 
+    // over is removed or added. 
+    diffSchedules(current, proposed) { 
+        const today = toISODate(new Date()); 
+        const byTime = (a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time); 
+        const work = s => `${s.subject}\n${s.topic}\n${s.sessionType}`; 
+        const slot = s => `${s.date} ${s.time} ${s.durationMinutes}`; 
+        const open = current.filter(s => s.date >= today && !this.isLockedSession(s)).sort(byTime); 
+        const fresh = [...proposed].sort(byTime); 
+        const matched = new Set(); 
+        const unchanged = new Set(); 
+        fresh.forEach(next => { 
+            const same = open.find(s => !matched.has(s) && work(s) === work(next) && slot(s) === slot(next)); 
+            if (!same) return; 
+            matched.add(same); 
+            unchanged.add(next); 
+        }); 
+        const changes = []; 
+        fresh.filter(next => !unchanged.has(next)).forEach(next => { 
+            const old = open.find(s => !matched.has(s) && work(s) === work(next)); 
+            if (old) { 
+                matched.add(old); 
+                changes.push({ kind: 'moved', session: old, to: next }); 
+            } else { 
+                changes.push({ kind: 'added', session: next }); 
+            } 
+        }); 
+        open.filter(s => !matched.has(s)).forEach(session => changes.push({ kind: 'removed', session })); 
+        const order = { moved: 0, added: 1, removed: 2 }; 
+        return changes.sort((a, b) => order[a.kind] - order[b.kind] || byTime(a.to || a.session, b.to || b.session)); 
+    } 
+    
+    previewRegeneration({ formData, report, current, proposed }) { 
+        const changes = this.diffSchedules(current, proposed); 
+        const kept = this.lockedSessions().length; 
+        this.pendingRegeneration = { userId: this.currentUser, formData, report, changes, kept }; 
+        if (changes.length === 0) { 
+            this.applyRegeneration(false); 
+            return; 
+        } 
+        const describe = s => `${escapeHTML(s.subject)} – ${escapeHTML(s.topic)} <em>(${s.sessionType})</em>`; 
+        const when = s => `${this.formatSessionDate(s.date)} ${s.time} · ${this.formatDuration(s.durationMinutes)}`; 
+        const count = kind => changes.filter(change => change.kind === kind).length; 
+        document.getElementById('regenerationSummary').textContent = 
+            `${count('added')} added, ${count('removed')} removed, ${count('moved')} moved.` + 
+            (kept > 0 ? ` ${kept} completed or edited session${kept === 1 ? '' : 's'} will stay as they are.` : ''); 
+        document.getElementById('regenerationChanges').innerHTML = changes.map((change, i) => ` 
+            <label class="regeneration-change ${change.kind}"> 
+                <input type="checkbox" data-change="${i}" checked> 
+                <span class="regeneration-kind">${change.kind}</span> 
+                <strong>${describe(change.session)}</strong> 
+                <span>${change.kind === 'moved' ? `${when(change.session)} → ${when(change.to)}` : when(change.session)}</span> 
+            </label> 
+        `).join(''); 
+        openModal('regenerationModal'); 
+        this.agents.executor.updateStatus('Awaiting review', `${changes.length} change${changes.length === 1 ? '' : 's'} proposed`); 
+    } 
+    
+    setRegenerationSelection(checked) { 
+        document.querySelectorAll('#regenerationChanges input[type="checkbox"]').forEach(box => { box.checked = checked; }); 
+    } 
+    
+    // Applies the ticked changes (or none, when `selectedOnly` is false and there were none to 
+    // review). The new settings take effect either way; rejected changes leave sessions as they were. 
+    applyRegeneration(selectedOnly = true) { 
+        const pending = this.pendingRegeneration; 
+        if (!pending || pending.userId !== this.currentUser) return closeModal('regenerationModal'); 
+        this.pendingRegeneration = null; 
+        closeModal('regenerationModal'); 
+        const accepted = selectedOnly 
+            ? pending.changes.filter((change, i) => document.querySelector(`#regenerationChanges input[data-change="${i}"]`).checked) 
+            : []; 
+        const placements = this.placeRegeneration(accepted, pending.formData); 
+        const applied = accepted.filter(change => change.kind === 'removed' || placements.has(change)); 
+        const refitted = applied.filter(change => change.kind !== 'removed' && placements.get(change).refitted).length; 
+        const command = this.recordChange('Regenerate schedule', ['userSchedules', 'userProgress'], () => { 
+            const progress = this.userProgress.get(this.currentUser); 
+            progress.formHistory = pending.formData; 
+            progress.allocation = pending.report.allocation; 
+            const removed = new Set(applied.filter(change => change.kind === 'removed').map(change => change.session)); 
+            const schedule = (this.userSchedules.get(this.currentUser) || []).filter(s => !removed.has(s)); 
+            applied.forEach(change => { 
+                if (change.kind === 'removed') return; 
+                const { date, time } = placements.get(change); 
+                if (change.kind === 'added') schedule.push(Object.assign(change.session, { date, time })); 
+                if (change.kind === 'moved') { 
+                    const { day, durationMinutes, priority } = change.to; 
+                    Object.assign(change.session, { day, date, time, durationMinutes, priority }); 
+                    this.touchSession(change.session); 
+                    change.session.planRev = change.session.rev; 
+                } 
+            }); 
+            schedule.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time)); 
+            this.userSchedules.set(this.currentUser, schedule); 
+        }); 
+        this.refreshAfterGeneration(pending.formData); 
+        this.agents.executor.updateStatus('Implementation complete', 'Schedule is live'); 
+        const skipped = pending.changes.length - accepted.length; 
+        const unplaced = accepted.length - applied.length; 
+        const notes = []; 
+        if (skipped > 0) notes.push(`kept ${skipped} as before`); 
+        if (refitted > 0) notes.push(`moved ${refitted} to other free time`); 
+        if (unplaced > 0) notes.push(`${unplaced} could not be fitted in before the exam`); 
+        showToast(pending.changes.length === 0 
+            ? 'Your schedule already matches these settings.' 
+            : `Applied ${applied.length} change${applied.length === 1 ? '' : 's'}${notes.map(note => `, ${note}`).join('')}.`, unplaced > 0 ? 'warning' : 'success', this.undoAction(command)); 
+        this.reportPlanShortfall(pending.report); 
+    } 
+    
+    // Where each accepted addition or move goes. The plan counted on its removals and moves 
+    // freeing their slots, so a rejected one can leave a session in the way: that change goes 
+    // to the first free slot before its exam instead. With no room left, an addition is dropped 
+    // and a move is undone, its session staying put (which can block others, so placing starts over). 
+    placeRegeneration(accepted, formData) { 
+        const schedule = this.userSchedules.get(this.currentUser) || []; 
+        const leaving = new Set(accepted.filter(change => change.kind !== 'added').map(change => change.session)); 
+        const stuck = new Set(); 
+        const byTime = (a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time); 
+        const placing = accepted.filter(change => change.kind !== 'removed').sort((a, b) => byTime(a.to || a.session, b.to || b.session)); 
+        const overlaps = (sessions, target) => { 
+            const { start, end } = this.planner.sessionInterval(target); 
+            return sessions.some(s => { 
+                const other = this.planner.sessionInterval(s); 
+                return other.start < end && start < other.end; 
+            }); 
+        }; 
+        const options = { 
+            from: new Date(), 
+            hours: this.planner.preferredHours(formData.studyPreferences), 
+            settings: this.planner.sessionSettings(formData), 
+            availability: this.getAvailability(this.currentUser) 
+        }; 
+        const examDates = new Map(this.planner.getSubjectExams(formData).map(exam => [exam.subject, exam.examDate])); 
+        for (;;) { 
+            const occupied = groupBy(schedule.filter(s => !leaving.has(s) || stuck.has(s)), 'date'); 
+            const placements = new Map(); 
+            let blocked = null; 
+            for (const change of placing.filter(change => !stuck.has(change.session))) { 
+                const target = change.to || change.session; 
+                let slot = { date: target.date, time: target.time, refitted: false }; 
+                if (overlaps(occupied[slot.date] || [], { ...slot, durationMinutes: target.durationMinutes })) { 
+                    const free = this.planner.findFreeSlot(occupied, { ...options, length: target.durationMinutes, until: examDates.get(target.subject) || formData.examDate }); 
+                    if (!free && change.kind === 'moved') { 
+                        blocked = change; 
+                        break; 
+                    } 
+                    if (!free) continue; 
+                    slot = { ...free, refitted: true }; 
+                } 
+                placements.set(change, slot); 
+                (occupied[slot.date] = occupied[slot.date] || []).push({ time: slot.time, durationMinutes: target.durationMinutes }); 
+            } 
+            if (!blocked) return placements; 
+            stuck.add(blocked.session); 
+        } 
+    } 
+    
+    cancelRegeneration() { 
+        this.pendingRegeneration = null; 
+        closeModal('regenerationModal'); 
+        this.agents.executor.updateStatus('Idle', 'Regeneration discarded'); 
+        showToast('Regeneration discarded. Your schedule is unchanged.', 'info'); 
+    } 
+    
+    refreshAfterGeneration(formData) { 
+        const schedule = this.userSchedules.get(this.currentUser); 
+        this.updateScheduleUI(schedule); 
+        this.updateAllocationReasoning(); 
+        this.updateUserProgress(formData); 
+        this.updateCalendar(); 
+        this.updateProgressChart(); 
+        this.updateSubjectProgress(); 
+        this.saveState(); 
+    } 
+    
+    // ----- Confidence ----- 
+    // progress.topicConfidence maps a topic key to a 1-5 rating. The student can set it in the 
+    // topic map; recall ratings and quiz answers move it halfway towards the new result. 
+    getTopicConfidence(userId) { 
+        const progress = this.userProgress.get(userId); 
+        if (!(progress.topicConfidence instanceof Map)) progress.topicConfidence = new Map(); 
+        return progress.topicConfidence; 
+    } 
+    
+    updateTopicConfidence(subject, topic, quality) { 
+        const confidence = this.getTopicConfidence(this.currentUser); 
+        const key = SpacedRepetition.key(subject, topic); 
+        const previous = confidence.get(key); 
+        const rating = Math.min(5, Math.max(1, quality)); 
+        confidence.set(key, previous === undefined ? rating : Math.round((previous + rating) / 2 * 10) / 10); 
+    } 
+    
+    setTopicConfidence(subject, topic, rating) { 
+        const command = this.recordChange('Rate topic confidence', ['userProgress'], () => { 
+            const confidence = this.getTopicConfidence(this.currentUser); 
+            const key = SpacedRepetition.key(subject, topic); 
+            if (rating) confidence.set(key, rating); 
+            else confidence.delete(key); 
+        }); 
+        this.saveState(); 
+        showToast(`Confidence in ${topic} saved. It applies from the next schedule you generate.`, 'success', this.undoAction(command)); 
+    } 
+    
+    // Shows how the last generated plan divided sessions between subjects, and why 
+    updateAllocationReasoning() { 
+        const panel = document.getElementById('allocationReasoning'); 
+        const progress = this.currentUser && this.userProgress.get(this.currentUser); 
+        const allocation = progress && progress.allocation; 
+        const total = allocation ? allocation.reduce((sum, a) => sum + a.sessions, 0) : 0; 
+        panel.hidden = total === 0; 
+        if (total === 0) return; 
+        panel.innerHTML = ` 
+            <summary>Why this split?</summary> 
+            <p class="allocation-help">A subject gets more time the higher its credit weight and target grade, the less confident you are in it, and the sooner its exam is.</p> 
+            ${allocation.map(a => { 
+                const share = Math.round(a.sessions / total * 100); 
+                const grade = this.planner.targetGrades[a.targetGrade] || this.planner.targetGrades.B; 
+                return ` 
+                    <div class="allocation-row"> 
+                        <div class="allocation-header"> 
+                            <span class="allocation-subject">${escapeHTML(a.subject)}</span> 
+                            <span>${share}% • ${a.sessions} session${a.sessions === 1 ? '' : 's'}</span> 
+                        </div> 
+                        <div class="subject-progress-bar"><div class="subject-progress-fill" style="width: ${share}%"></div></div> 
+                        <small>weight ${a.weight} × ${grade.label.toLowerCase()} (×${grade.effort}) × confidence ${a.confidence.toFixed(1)}/5 (×${a.weakness.toFixed(2)}) • exam in ${a.horizon} day${a.horizon === 1 ? '' : 's'}</small> 
+                    </div> 
+                `; 
+            }).join('')} 
+        `; 
+    } 
+    
+    // ----- Topic graph ----- 
+    openTopicGraph(subject) { 
+        const { formHistory } = this.userProgress.get(this.currentUser); 
+        const subjects = [...(this.userProgress.get(this.currentUser).subjectProgress || new Map()).keys()]; 
+        document.getElementById('topicGraphSubjects').innerHTML = subjects.map(name => ` 
+            <button type="button" class="btn btn-small${name === subject ? '' : ' btn-secondary'}" data-subject="${encodeURIComponent(name)}" onclick="openTopicGraph(decodeURIComponent(this.dataset.subject))">${escapeHTML(name)}</button> 
+        `).join(''); 
+        this.renderTopicGraph(subject, this.buildTopicGraph(subject, (formHistory && formHistory.difficulty) || 'intermediate', this.planner.sessionSettings(formHistory || {}).length)); 
+        openModal('topicGraphModal'); 
+    } 
+    
+    // Draws prerequisites left to right: one column per prerequisite depth, an arrow per edge 
+    renderTopicGraph(subject, nodes) { 
+        const statuses = this.topicStatuses(subject, nodes); 
+        const depths = TopicGraph.depths(nodes); 
+        const columns = []; 
+        TopicGraph.order(nodes).forEach(node => { 
+            const depth = depths.get(node.topic); 
+            (columns[depth] = columns[depth] || []).push(node); 
+        }); 
+        const nodeWidth = 190, nodeHeight = 46, columnGap = 60, rowGap = 14; 
+        const position = new Map(); 
+        columns.forEach((column, c) => column.forEach((node, r) => { 
+            position.set(node.topic, { x: c * (nodeWidth + columnGap), y: r * (nodeHeight + rowGap) }); 
+        })); 
+        const width = columns.length * (nodeWidth + columnGap) - columnGap; 
+        const height = Math.max(...columns.map(column => column.length)) * (nodeHeight + rowGap) - rowGap; 
+        
+        const edges = nodes.flatMap(node => node.requires.filter(topic => position.has(topic)).map(topic => { 
+            const from = position.get(topic), to = position.get(node.topic); 
+            const x1 = from.x + nodeWidth, y1 = from.y + nodeHeight / 2, x2 = to.x, y2 = to.y + nodeHeight / 2; 
+            return `<path class="topic-edge" d="M${x1},${y1} C${x1 + columnGap / 2},${y1} ${x2 - columnGap / 2},${y2} ${x2 - 6},${y2}" marker-end="url(#topicArrow)"></path>`; 
+        })); 
+        const shorten = text => text.length > 24 ? `${text.slice(0, 23)}…` : text; 
+        const boxes = nodes.map(node => { 
+            const { x, y } = position.get(node.topic); 
+            const status = statuses.get(node.topic); 
+            return ` 
+                <g class="topic-node ${status.state}" transform="translate(${x},${y})"> 
+                    <title>${node.unit ? `${escapeHTML(node.unit)}: ` : ''}${escapeHTML(node.topic)}${node.requires.length > 0 ? ` (needs ${escapeHTML(node.requires.join(', '))})` : ''}</title> 
+                    <rect width="${nodeWidth}" height="${nodeHeight}" rx="8"></rect> 
+                    <text x="10" y="19">${escapeHTML(shorten(node.topic))}</text> 
+                    <text class="topic-node-meta" x="10" y="36">${Math.min(status.learnedSessions, node.effort)}/${node.effort} sessions • ${status.state.replace('-', ' ')}</text> 
+                </g> 
+            `; 
+        }); 
+        
+        const counts = ['mastered', 'in-progress', 'unlocked', 'locked'] 
+            .map(state => [state, [...statuses.values()].filter(status => status.state === state).length]) 
+            .filter(([, count]) => count > 0) 
+            .map(([state, count]) => `<span class="topic-legend ${state}">${count} ${state.replace('-', ' ')}</span>`); 
+        document.getElementById('topicGraphSummary').innerHTML = counts.join(''); 
+        const confidence = this.getTopicConfidence(this.currentUser); 
+        document.getElementById('topicConfidence').innerHTML = TopicGraph.order(nodes).map(node => { 
+            const rating = confidence.get(SpacedRepetition.key(subject, node.topic)); 
+            return ` 
+                <label class="topic-confidence"> 
+                    <span title="${escapeHTML(node.topic)}">${escapeHTML(node.topic)}</span> 
+                    <select data-subject="${encodeURIComponent(subject)}" data-topic="${encodeURIComponent(node.topic)}" onchange="setTopicConfidence(this)"> 
+                        <option value=""${rating === undefined ? ' selected' : ''}>Not rated</option> 
+                        ${Object.entries(this.confidenceLevels).map(([value, label]) => `<option value="${value}"${rating !== undefined && Math.round(rating) === Number(value) ? ' selected' : ''}>${value} ${label}${rating !== undefined && Math.round(rating) === Number(value) && rating !== Number(value) ? ` (${rating})` : ''}</option>`).join('')} 
+                    </select> 
+                </label> 
+            `; 
+        }).join(''); 
+        document.getElementById('topicGraph').innerHTML = ` 
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"> 
+                <defs> 
+                    <marker id="topicArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto"> 
+                        <path d="M0,0 L10,5 L0,10 z"></path> 
+                    </marker> 
+                </defs> 
+                ${edges.join('')} 
+                ${boxes.join('')} 
+            </svg> 
+        `; 
+    } 
+    
+    // ----- Syllabus import ----- 
+    // progress.syllabi maps a subject to {units: [{title, topics: [{topic, hours}]}]}. A subject 
+    // with a syllabus is taught from it unit by unit; a topic's hours become learning sessions. 
+    getSyllabi(userId) { 
+        const progress = this.userProgress.get(userId); 
+        if (!(progress.syllabi instanceof Map)) progress.syllabi = new Map(); 
+        return progress.syllabi; 
+    } 
+    
+    openSyllabusEditor(subject) { 
+        if (!this.currentUser) return showToast('Please select a user first.', 'warning'); 
+        const saved = this.getSyllabi(this.currentUser).get(subject); 
+        this.syllabusDraft = { subject, units: saved ? structuredClone(saved.units) : [] }; 
+        document.getElementById('syllabusSubject').textContent = subject; 
+        document.getElementById('syllabusText').value = ''; 
+        this.renderSyllabusTree(); 
+        openModal('syllabusModal'); 
+    } 
+    
+    async loadSyllabusFile(file) { 
+        const fileProcessor = this.agents.file; 
+        const text = fileProcessor.getFileType(file.name) === 'docx' 
+            ? await fileProcessor.processDocx(file) 
+            : await fileProcessor.processText(file); 
+        document.getElementById('syllabusText').value = text; 
+        this.buildSyllabusTree(); 
+    } 
+    
+    buildSyllabusTree() { 
+        const units = SyllabusParser.parse(document.getElementById('syllabusText').value); 
+        if (units.length === 0) return showToast('No units or topics found. Use headings, numbered or bulleted lines.', 'warning'); 
+        this.syllabusDraft.units = units; 
+        this.renderSyllabusTree(); 
+        const topics = units.reduce((sum, unit) => sum + unit.topics.length, 0); 
+        showToast(`Found ${units.length} unit${units.length === 1 ? '' : 's'} and ${topics} topic${topics === 1 ? '' : 's'}. Review them before applying.`, 'info'); 
+    } 
+    
+    renderSyllabusTree() { 
+        const { units } = this.syllabusDraft; 
+        const container = document.getElementById('syllabusTree'); 
+        if (units.length === 0) { 
+            container.innerHTML = '<p class="syllabus-empty">No syllabus yet. Paste or upload one, or start with an empty unit.</p><button type="button" class="btn btn-small btn-secondary" onclick="editSyllabus(\'addUnit\')">+ Add Unit</button>'; 
+            return; 
+        } 
+        container.innerHTML = units.map((unit, u) => ` 
+            <div class="syllabus-unit"> 
+                <div class="syllabus-row"> 
+                    <input type="text" class="syllabus-unit-title" value="${escapeHTML(unit.title)}" aria-label="Unit title"> 
+                    <button type="button" class="btn btn-small btn-secondary" onclick="editSyllabus('removeUnit', ${u})" title="Remove unit">✕</button> 
+                </div> 
+                ${unit.topics.map((t, i) => ` 
+                    <div class="syllabus-row syllabus-topic"> 
+                        <input type="text" class="syllabus-topic-title" value="${escapeHTML(t.topic)}" aria-label="Topic"> 
+                        <input type="number" class="syllabus-topic-hours" min="0" max="200" step="0.5" value="${t.hours || ''}" placeholder="h" title="Estimated hours" aria-label="Estimated hours"> 
+                        <button type="button" class="btn btn-small btn-secondary" onclick="editSyllabus('removeTopic', ${u}, ${i})" title="Remove topic">✕</button> 
+                    </div> 
+                `).join('')} 
+                <button type="button" class="btn btn-small btn-secondary syllabus-add-topic" onclick="editSyllabus('addTopic', ${u})">+ Add Topic</button> 
+            </div> 
+        `).join('') + '<button type="button" class="btn btn-small btn-secondary" onclick="editSyllabus(\'addUnit\')">+ Add Unit</button>'; 
+    } 
+    
+    // Reads the editor back so typed changes survive adding or removing rows 
+    readSyllabusTree() { 
+        return [...document.querySelectorAll('#syllabusTree .syllabus-unit')].map(unit => ({ 
+            title: unit.querySelector('.syllabus-unit-title').value.trim(), 
+            topics: [...unit.querySelectorAll('.syllabus-topic')].map(row => ({ 
+                topic: row.querySelector('.syllabus-topic-title').value.trim(), 
+                hours: Number(row.querySelector('.syllabus-topic-hours').value) || null 
+            })) 
+        })); 
+    } 
+    
+    editSyllabus(action, unitIndex, topicIndex) { 
+        const units = this.readSyllabusTree(); 
+        if (action === 'addUnit') units.push({ title: `Unit ${units.length + 1}`, topics: [{ topic: '', hours: null }] }); 
+        if (action === 'removeUnit') units.splice(unitIndex, 1); 
+        if (action === 'addTopic') units[unitIndex].topics.push({ topic: '', hours: null }); 
+        if (action === 'removeTopic') units[unitIndex].topics.splice(topicIndex, 1); 
+        this.syllabusDraft.units = units; 
+        this.renderSyllabusTree(); 
+    } 
+    
+    saveSyllabus() { 
+        if (!this.currentUser || !this.syllabusDraft) return; 
+        const { subject } = this.syllabusDraft; 
+        const units = this.readSyllabusTree() 
+            .map(unit => ({ ...unit, topics: unit.topics.filter(t => t.topic) })) 
+            .filter(unit => unit.topics.length > 0); 
+        if (units.length === 0) return showToast('Add at least one topic, or remove the syllabus instead.', 'warning'); 
+        const names = units.flatMap(unit => unit.topics.map(t => t.topic.toLowerCase())); 
+        const repeated = names.find((name, i) => names.indexOf(name) !== i); 
+        if (repeated) return showToast(`"${repeated}" appears more than once. Give each topic its own name.`, 'warning'); 
+        const command = this.recordChange('Import syllabus', ['userProgress'], () => { 
+            this.getSyllabi(this.currentUser).set(subject, { units, importedAt: Date.now() }); 
+        }); 
+        this.syllabusDraft = null; 
+        this.renderSubjectExams(Object.keys(this.readSubjectExams())); 
+        this.saveState(); 
+        closeModal('syllabusModal'); 
+        showToast(`Syllabus saved for ${subject}. Regenerate the schedule to use it.`, 'success', this.undoAction(command)); 
+    } 
+    
+    removeSyllabus() { 
+        if (!this.currentUser || !this.syllabusDraft) return; 
+        const { subject } = this.syllabusDraft; 
+        this.syllabusDraft = null; 
+        closeModal('syllabusModal'); 
+        if (!this.getSyllabi(this.currentUser).has(subject)) return; 
+        const command = this.recordChange('Remove syllabus', ['userProgress'], () => { 
+            this.getSyllabi(this.currentUser).delete(subject); 
+        }); 
+        this.renderSubjectExams(Object.keys(this.readSubjectExams())); 
+        this.saveState(); 
+        showToast(`Syllabus removed for ${subject}.`, 'info', this.undoAction(command)); 
+    } 
+    
+    // ----- Spaced repetition ----- 
+    // progress.reviewItems (key -> SM-2 item) is the memory model. Completed sessions and 
+    // quiz answers update it; schedule generation projects it forward to place reviews. 
+    getReviewItems(userId) { 
+        const progress = this.userProgress.get(userId); 
+        if (!(progress.reviewItems instanceof Map)) progress.reviewItems = new Map(); 
+        return progress.reviewItems; 
+    } 
+    
+    promptRecallRating(session) { 
+        this.pendingRecall = session; 
+        const items = this.getReviewItems(this.currentUser); 
+        const item = items.get(SpacedRepetition.key(session.subject, session.topic)) || SpacedRepetition.createItem(session.subject, session.topic); 
+        const today = toISODate(new Date()); 
+        document.getElementById('recallTopic').textContent = `${session.subject} – ${session.topic}`; 
+        document.getElementById('recallOptions').innerHTML = Object.entries(RECALL_GRADES).map(([grade, { quality, label, hint }]) => { 
+            const { interval } = SpacedRepetition.review(item, quality, today); 
+            return ` 
+                <button type="button" class="btn btn-secondary recall-option" onclick="rateRecall('${grade}')"> 
+                    <strong>${label}</strong> 
+                    <span>${hint}</span> 
+                    <small>Next review in ${interval} day${interval === 1 ? '' : 's'}</small> 
+                </button> 
+            `; 
+        }).join(''); 
+        openModal('recallModal'); 
+    } 
+    
+    rateRecall(grade) { 
+        const session = this.pendingRecall; 
+        this.pendingRecall = null; 
+        closeModal('recallModal'); 
+        if (!session || !RECALL_GRADES[grade]) return; 
+        const command = this.recordChange('Rate recall', ['userProgress', 'userSchedules'], () => { 
+            this.recordRecall(session.subject, session.topic, RECALL_GRADES[grade].quality); 
+        }); 
+        const item = this.getReviewItems(this.currentUser).get(SpacedRepetition.key(session.subject, session.topic)); 
+        this.updateScheduleUI(this.userSchedules.get(this.currentUser) || []); 
+        this.updateCalendar(); 
+        this.saveState(); 
+        showToast(`${session.topic}: next review ${this.formatSessionDate(item.due)}`, 'info', this.undoAction(command)); 
+    } 
+    
+    // Applies one recall result and keeps the next review session in line with the new due date 
+    recordRecall(subject, topic, quality) { 
+        const items = this.getReviewItems(this.currentUser); 
+        const key = SpacedRepetition.key(subject, topic); 
+        const item = SpacedRepetition.review(items.get(key) || SpacedRepetition.createItem(subject, topic), quality, toISODate(new Date())); 
+        items.set(key, item); 
+        this.updateTopicConfidence(subject, topic, quality); 
+        this.alignReviewSession(item); 
+    } 
+    
+    // Moves the next upcoming review of the topic to the first free slot on or after its due date 
+    alignReviewSession(item) { 
+        const schedule = this.userSchedules.get(this.currentUser) || []; 
+        const { formHistory } = this.userProgress.get(this.currentUser) || {}; 
+        const now = new Date(); 
+        const next = schedule 
+            .filter(s => s.sessionType === 'review' && s.subject === item.subject && s.topic === item.topic && !s.completed && !s.pinned && this.planner.sessionStart(s) > now) 
+            .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time))[0]; 
+        if (!next || next.date === item.due || !formHistory) return; 
+        const dueStart = parseISODate(item.due); 
+        const exam = this.planner.getSubjectExams(formHistory).find(e => e.subject === item.subject); 
+        const slot = this.planner.findFreeSlot(groupBy(schedule.filter(s => s !== next), 'date'), { 
+            from: dueStart > now ? dueStart : now, 
+            until: exam ? exam.examDate : formHistory.examDate, 
+            hours: this.planner.preferredHours(formHistory.studyPreferences), 
+            settings: this.planner.sessionSettings(formHistory), 
+            length: next.durationMinutes, 
+            availability: this.getAvailability(this.currentUser) 
+        }); 
+        if (!slot) return; 
+        // Following the memory model is still the plan's doing, so an unedited review stays unlocked 
+        const edited = this.isLockedSession(next); 
+        next.date = slot.date; 
+        next.time = slot.time; 
+        this.touchSession(next); 
+        if (!edited) next.planRev = next.rev; 
+    } 
+    
+    // A correct answer counts as a good recall, a wrong one as forgotten 
+    recordQuizResults(results) { 
+        if (!this.currentUser || results.length === 0) return; 
+        this.recordChange('Quiz results', ['userProgress', 'userSchedules'], () => { 
+            results.forEach(({ subject, topic, correct }) => { 
+                this.recordRecall(subject, topic, correct ? RECALL_GRADES.good.quality : RECALL_GRADES.again.quality); 
+            }); 
+        }); 
+        this.updateScheduleUI(this.userSchedules.get(this.currentUser) || []); 
+        this.saveState(); 
+    } 
+    
+    // ----- Adaptive rescheduling ----- 
+    // With smart scheduling on, a session whose time has passed without being completed is 
+    // missed and moves to the earliest free slot before its subject's exam. Completed and 
+    // pinned sessions never move. Only sessions that passed since the last check are looked 
+    // at, so undoing a reschedule sticks until the profile is opened again. 
+    initializeAdaptiveScheduling() { 
+        setInterval(() => { 
+            if (this.reschedulingUser === this.currentUser) this.rescheduleMissedSessions(this.lastMissedCheck); 
+        }, 60 * 1000); 
+    } 
+    
+    // The periodic check runs in one tab per profile: whichever holds the profile's lock. 
+    // Other tabs showing the profile queue for it and take over when that tab closes or 
+    // switches away, so a missed session is moved (and announced) once. 
+    claimReschedulingLock(userId) { 
+        if (this.reschedulingClaim === userId) return; 
+        this.reschedulingClaim = userId; 
+        if (this.releaseReschedulingLock) this.releaseReschedulingLock(); 
+        this.reschedulingUser = null; 
+        if (!navigator.locks) { 
+            this.reschedulingUser = userId; 
+            return; 
+        } 
+        let release; 
+        const held = new Promise(resolve => { release = resolve; }); 
+        this.releaseReschedulingLock = release; 
+        navigator.locks.request(`${RESCHEDULE_LOCK_NAME}/${userId}`, () => { 
+            // Granted after switching away: `held` is already settled, so the lock goes straight back 
+            if (this.releaseReschedulingLock === release) this.reschedulingUser = userId; 
+            return held; 
+        }); 
+    } 
+    
+    rescheduleMissedSessions(since = 0) { 
+        const userId = this.currentUser; 
+        const now = new Date(); 
+        this.lastMissedCheck = now.getTime(); 
+        if (!this.settings.smartScheduling || !userId) return; 
+        const schedule = this.userSchedules.get(userId) || []; 
+        const { formHistory } = this.userProgress.get(userId) || {}; 
+        if (!formHistory || schedule.length === 0) return; 
+        
+        const missed = schedule 
+            .filter(s => !s.completed && !s.pinned && s.date && this.planner.sessionEnd(s) <= now && this.planner.sessionEnd(s).getTime() > since) 
+            .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time)); 
+        if (missed.length === 0) return; 
+        
+        const options = { 
+            from: now, 
+            hours: this.planner.preferredHours(formHistory.studyPreferences), 
+            settings: this.planner.sessionSettings(formHistory), 
+            availability: this.getAvailability(userId) 
         }; 
-        sessionStorage.setItem('aiStudyNexusState', JSON.stringify(state)); 
+        const examDates = new Map(this.planner.getSubjectExams(formHistory).map(exam => [exam.subject, exam.examDate])); 
+        const occupied = groupBy(schedule.filter(s => !missed.includes(s)), 'date'); 
+        const moves = []; 
+        const unplaced = []; 
+        missed.forEach(session => { 
+            const slot = this.planner.findFreeSlot(occupied, { ...options, length: session.durationMinutes, until: examDates.get(session.subject) || formHistory.examDate }); 
+            if (!slot) { 
+                if (!session.missed) unplaced.push(session); 
+                return; 
+            } 
+            moves.push({ session, from: { date: session.date, time: session.time }, to: slot }); 
+            (occupied[slot.date] = occupied[slot.date] || []).push({ time: slot.time, durationMinutes: session.durationMinutes }); 
+        }); 
+        if (moves.length === 0 && unplaced.length === 0) return; 
+        
+        const command = this.recordChange('Reschedule missed sessions', ['userSchedules'], () => { 
+            moves.forEach(({ session, to }) => { 
+                if (!session.rescheduledFrom) session.rescheduledFrom = `${session.date} ${session.time}`; 
+                session.date = to.date; 
+                session.time = to.time; 
+                session.missed = false; 
+                this.touchSession(session); 
+            }); 
+            // Sessions with no room left stay where they were, flagged so they are reported once 
+            unplaced.forEach(session => { 
+                session.missed = true; 
+                this.touchSession(session); 
+            }); 
+        }); 
+        this.lastReschedule = { moves, unplaced, command }; 
+        this.updateScheduleUI(schedule); 
+        this.updateCalendar(); 
+        this.updateProgressChart(); 
+        this.saveState(); 
+        const parts = []; 
+        if (moves.length > 0) parts.push(`Moved ${moves.length} missed session${moves.length === 1 ? '' : 's'} to upcoming free time`); 
+        if (unplaced.length > 0) parts.push(`${unplaced.length} could not be fitted in before the exam`); 
+        showToast(`${parts.join('; ')}.`, unplaced.length > 0 ? 'warning' : 'info', { label: 'Details', onClick: () => this.showRescheduleSummary() }); 
     } 
     
-    loadState() { 
-        const stateJSON = sessionStorage.getItem('aiStudyNexusState'); 
-        if (stateJSON) { 
-            try { 
-                const state = JSON.parse(stateJSON); 
-                this.users = new Map(state.users || []); 
-                this.userSchedules = new Map(state.userSchedules || []); 
-                this.userProgress = new Map(state.userProgress || []); 
-                this.uploadedFiles = new Map(state.uploadedFiles || []); 
-                this.subjectFiles = new Map(state.subjectFiles || []); 
-                this.notes = new Map(state.notes || []); 
-                this.calendarNotes = new Map(state.calendarNotes || []); 
-                this.settings = { ...this.settings, ...(state.settings || {}) }; 
-                showToast('Welcome back! Your data has been loaded.', 'success'); 
-            } catch (e) { 
-                sessionStorage.removeItem('aiStudyNexusState'); 
-            } 
-        } 
+    showRescheduleSummary() { 
+        if (!this.lastReschedule) return; 
+        const { moves, unplaced } = this.lastReschedule; 
+        const describe = s => `${escapeHTML(s.subject)} – ${escapeHTML(s.topic)}`; 
+        const when = ({ date, time }) => `${this.formatSessionDate(date)} ${time}`; 
+        document.getElementById('rescheduleSummary').innerHTML = ` 
+            ${moves.map(({ session, from, to }) => ` 
+                <div class="reschedule-item"> 
+                    <strong>${describe(session)}</strong> 
+                    <span>${when(from)} → ${when(to)}</span> 
+                </div> 
+            `).join('')} 
+            ${unplaced.map(session => ` 
+                <div class="reschedule-item unplaced"> 
+                    <strong>${describe(session)}</strong> 
+                    <span>${when(session)}: no free slot left before the exam</span> 
+                </div> 
+            `).join('')} 
+        `; 
+        openModal('rescheduleModal'); 
     } 
     
-    addUser(id, name, avatarColor) { 
-        if ([...this.users.values()].some(u => u.name.toLowerCase() === name.toLowerCase())) { 
-            showToast(`User "${name}" already exists.`, 'error'); return null; 
-        } 
-        this.users.set(id, { id, name, avatarColor }); 
-        this.userSchedules.set(id, []); 
-        this.uploadedFiles.set(id, []); 
-        this.subjectFiles.set(id, new Map()); 
-        this.userProgress.set(id, {  
-            completionRate: 0,  
-            studyStreak: 0,  
-            totalHours: 0,  
-            daysLeft: 0,  
-            formHistory: null, 
-            subjectProgress: new Map() 
-        }); 
-        this.notes.set(id, []); 
-        this.calendarNotes.set(id, new Map()); 
-        this.saveState(); 
-        return this.users.get(id); 
+    undoReschedule() { 
+        closeModal('rescheduleModal'); 
+        if (this.lastReschedule) this.undo(this.lastReschedule.command); 
     } 
     
-    renderUserCards() { 
-        const selector = document.querySelector('.user-selector'); 
-        selector.querySelectorAll('.user-card:not([data-user="add-user"])').forEach(c => c.remove()); 
-        const addCard = selector.querySelector('[data-user="add-user"]'); 
-        this.users.forEach(user => { 
-            const card = document.createElement('div'); 
-            card.className = 'user-card'; 
-            card.dataset.user = user.id; 
-            card.onclick = () => this.switchUser(user.id); 
-            card.innerHTML = `<div class="user-avatar" style="background:${user.avatarColor}">${user.name[0].toUpperCase()}</div><div>${user.name}</div>`; 
-            selector.insertBefore(card, addCard); 
+    togglePinSession(date, index) { 
+        const schedule = this.userSchedules.get(this.currentUser) || []; 
+        const session = (groupBy(schedule, 'date')[date] || [])[index]; 
+        if (!session) return; 
+        const command = this.recordChange(session.pinned ? 'Unpin session' : 'Pin session', ['userSchedules'], () => { 
+            session.pinned = !session.pinned; 
+            this.touchSession(session); 
         }); 
+        this.updateScheduleUI(schedule); 
+        this.saveState(); 
+        showToast(session.pinned ? 'Session pinned. Smart scheduling will leave it where it is.' : 'Session unpinned.', 'info', this.undoAction(command)); 
     } 
     
-    switchUser(userId) { 
-        if (!this.users.has(userId)) return; 
-        this.currentUser = userId; 
-        document.querySelectorAll('.user-card').forEach(c => c.classList.toggle('active', c.dataset.user === userId)); 
-        this.loadUserData(userId); 
-        const user = this.users.get(userId); 
-        this.agents.planner.updateStatus('User switched', `Loading ${user.name}'s profile`); 
-        this.agents.monitor.updateStatus('Monitoring user', `Tracking ${user.name}'s progress`); 
-        showToast(`Switched to ${user.name}'s profile`, 'info'); 
+    // ----- Exams ----- 
+    // Rows of the study form's exam list follow the subject tags. Values typed for a 
+    // subject survive re-rendering; new subjects start from the saved plan or the default date. 
+    renderSubjectExams(subjects) { 
+        const container = document.getElementById('subjectExams'); 
+        const typed = this.readSubjectExams(); 
+        const progress = this.currentUser && this.userProgress.get(this.currentUser); 
+        const saved = (progress && progress.formHistory && progress.formHistory.exams) || {}; 
+        const fallback = { examDate: document.getElementById('examDate').value, weight: 1, targetGrade: 'B', confidence: 3 }; 
+        const syllabi = progress ? this.getSyllabi(this.currentUser) : new Map(); 
+        container.innerHTML = subjects.length === 0 
+            ? '<p class="subject-exams-empty">Add subjects to give each its own exam date, credit weight and target grade.</p>' 
+            : subjects.map(subject => { 
+                const exam = typed[subject] || saved[subject] || fallback; 
+                // Escaped for attributes as well: subjects and saved exams can come from backups and other devices 
+                const name = escapeHTML(subject); 
+                return ` 
+                    <div class="subject-exam" data-subject="${encodeURIComponent(subject)}"> 
+                        <span class="subject-exam-name" title="${name}">${name}</span> 
+                        <input type="date" class="exam-date" value="${escapeHTML(exam.examDate || fallback.examDate)}" aria-label="${name} exam date"> 
+                        <input type="number" class="exam-weight" min="0.5" max="20" step="0.5" value="${escapeHTML(exam.weight)}" title="Credit weight" aria-label="${name} credit weight"> 
+                        <select class="exam-target" title="Target grade" aria-label="${name} target grade"> 
+                            ${Object.entries(this.planner.targetGrades).map(([grade, { label }]) => `<option value="${grade}"${grade === exam.targetGrade ? ' selected' : ''}>${label}</option>`).join('')} 
+                        </select> 
+                        <select class="exam-confidence" title="How confident you are in this subject" aria-label="${name} confidence"> 
+                            ${Object.entries(this.confidenceLevels).map(([rating, label]) => `<option value="${rating}"${Number(rating) === (Number(exam.confidence) || 3) ? ' selected' : ''}>${rating} ${label}</option>`).join('')} 
+                        </select> 
+                        <button type="button" class="btn btn-small btn-secondary exam-syllabus${syllabi.has(subject) ? ' has-syllabus' : ''}" onclick="openSyllabusEditor(decodeURIComponent(this.closest('.subject-exam').dataset.subject))" title="${syllabi.has(subject) ? 'Edit syllabus' : 'Import syllabus'}" aria-label="${name} syllabus"><i class="fas fa-list-ul"></i></button> 
+                    </div> 
+                `; 
+            }).join(''); 
     } 
     
-    loadUserData(userId) { 
-        const schedule = this.userSchedules.get(userId) || []; 
+    readSubjectExams() { 
+        const exams = {}; 
+        document.querySelectorAll('#subjectExams .subject-exam').forEach(row => { 
+            exams[decodeURIComponent(row.dataset.subject)] = { 
+                examDate: row.querySelector('.exam-date').value, 
+                weight: Number(row.querySelector('.exam-weight').value) || 1, 
+                targetGrade: row.querySelector('.exam-target').value, 
+                confidence: Number(row.querySelector('.exam-confidence').value) || 3 
+            }; 
+        }); 
+        return exams; 
+    } 
+    
+    // ----- Availability ----- 
+    // Recurring busy blocks ({weekday, start, end, label}; weekday 0 is Sunday) and one-off 
+    // exceptions ({date, start, end, kind: 'busy' | 'free', label}) live on the user's 
+    // progress next to formHistory. Times are 'HH:MM'; an end of '24:00' means midnight. 
+    getAvailability(userId) { 
         const progress = this.userProgress.get(userId); 
-        const { formHistory } = progress; 
-        document.getElementById('examDate').value = formHistory?.examDate || document.getElementById('examDate').value; 
-        document.getElementById('studyGoals').value = formHistory?.studyGoals || ''; 
-        
-        updateSubjectTags(formHistory?.subjects || ''); 
-        updateCustomSelect('studyHours', formHistory?.studyHours || '4'); 
-        updateCustomSelect('difficulty', formHistory?.difficulty || 'intermediate'); 
-        
-        // Load learning style 
-        if (formHistory?.learningStyle) { 
-            document.querySelectorAll('.learning-style').forEach(style => { 
-                style.classList.toggle('active', style.dataset.style === formHistory.learningStyle); 
-            }); 
-            document.getElementById('learningStyle').value = formHistory.learningStyle; 
-        } 
-        
-        // Load study preferences 
-        if (formHistory?.studyPreferences) { 
-            document.querySelectorAll('input[name="studyTime"]').forEach(checkbox => { 
-                checkbox.checked = formHistory.studyPreferences.includes(checkbox.value); 
-            }); 
-        } 
-        
-        this.updateScheduleUI(schedule); 
-        this.updateProgressUI(progress); 
-        this.updateFilesUI(); 
-        this.updateNotesUI(); 
+        return (progress && progress.availability) || { busy: [], exceptions: [] }; 
+    } 
+    
+    toggleDayOff(dateKey) { 
+        if (!this.currentUser) return; 
+        const progress = this.userProgress.get(this.currentUser); 
+        const off = this.planner.isDayOff(dateKey, this.getAvailability(this.currentUser)); 
+        const command = this.recordChange(off ? 'Clear day off' : 'Mark day off', ['userProgress'], () => { 
+            const { busy, exceptions } = this.getAvailability(this.currentUser); 
+            progress.availability = { 
+                busy, 
+                exceptions: off 
+                    ? exceptions.filter(e => !(e.date === dateKey && e.kind === 'busy' && e.start === '00:00' && e.end === '24:00')) 
+                    : [...exceptions, { id: `exc_${Date.now().toString(36)}`, date: dateKey, start: '00:00', end: '24:00', kind: 'busy', label: 'Day off' }] 
+                        .sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start)) 
+            }; 
+        }); 
+        this.updateAvailabilitySummary(); 
+        this.updateDayOffButton(dateKey); 
         this.updateCalendar(); 
-        this.updateProgressChart(); 
-        this.updateSubjectProgress(); 
+        this.saveState(); 
+        const planned = (this.userSchedules.get(this.currentUser) || []).filter(s => s.date === dateKey && !s.completed).length; 
+        showToast(off 
+            ? `${this.formatSessionDate(dateKey)} is a study day again.` 
+            : `${this.formatSessionDate(dateKey)} is a day off.${planned > 0 ? ` Generate again to move the ${planned} session${planned === 1 ? '' : 's'} planned for it.` : ''}`, 'success', this.undoAction(command)); 
     } 
     
-    async generateSchedule(formData) { 
-        if (!this.currentUser) return showToast('No user selected.', 'error'); 
-        const subjects = formData.subjects.replace(/,/g, ' ').split(/\s+/).filter(Boolean); 
-        if (subjects.length === 0) return showToast('Please add at least one subject.', 'error'); 
-        
-        try { 
-            const progress = this.userProgress.get(this.currentUser); 
-            progress.formHistory = formData; 
-            await this.runAgentTask(this.agents.planner, 'Analyzing requirements...', 1000); 
-            
-            // Check if we have subject-specific files 
-            const subjectFilesMap = this.subjectFiles.get(this.currentUser) || new Map(); 
-            const hasSubjectFiles = subjects.some(subject => subjectFilesMap.has(subject) && subjectFilesMap.get(subject).length > 0); 
-            
-            if (hasSubjectFiles) { 
-                await this.runAgentTask(this.agents.planner, 'Analyzing subject materials...', 1500); 
-            } else if ((this.uploadedFiles.get(this.currentUser) || []).length > 0) { 
-                await this.runAgentTask(this.agents.planner, 'Analyzing materials...', 1500); 
-            } 
-            
-            await this.runAgentTask(this.agents.planner, 'Optimizing learning paths...', 1500); 
-            const schedule = this.createEnhancedSchedule({ ...formData, subjects }); 
-            if (schedule.length === 0) { 
-                showToast('Could not generate schedule. Is the exam date in the future?', 'warning'); 
-                this.agents.planner.updateStatus('Idle', 'Generation failed'); 
-                return; 
-            } 
-            this.agents.planner.updateStatus('Schedule optimized', `Generated ${schedule.length} sessions`); 
-            await this.runAgentTask(this.agents.executor, `Implementing ${schedule.length} sessions...`, 1000); 
-            
-            this.userSchedules.set(this.currentUser, schedule); 
-            this.updateScheduleUI(schedule); 
-            this.updateUserProgress(formData); 
-            this.updateCalendar(); 
-            this.updateProgressChart(); 
-            this.updateSubjectProgress(); 
-            this.saveState(); 
-            this.agents.executor.updateStatus('Implementation complete', 'Schedule is live'); 
-            showToast('AI-optimized schedule generated!', 'success'); 
-        } catch (error) { 
-            showToast('An unexpected error occurred.', 'error'); 
-            this.agents.planner.updateStatus('Error', 'Generation failed'); 
-        } 
+    updateDayOffButton(dateKey) { 
+        const button = document.getElementById('calendarDayOff'); 
+        const off = Boolean(this.currentUser) && this.planner.isDayOff(dateKey, this.getAvailability(this.currentUser)); 
+        button.innerHTML = off ? '<i class="fas fa-book"></i> Make it a study day' : '<i class="fas fa-umbrella-beach"></i> Mark as day off'; 
+        button.classList.toggle('active', off); 
     } 
     
-    async runAgentTask(agent, status, duration) { 
-        agent.isActive = true; 
-        agent.updateStatus(status, 'AI processing...'); 
-        await agent.delay(duration); 
-        agent.isActive = false; 
-        agent.updateUI(); 
+    // Weekly pattern: one select per weekday with the hours to study that day 
+    renderWeekdayHours(pattern) { 
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']; 
+        const options = ['', '0', '1', '2', '3', '4', '5', '6', '7', '8']; 
+        const label = value => (value === '' ? 'Default' : value === '0' ? 'Rest' : `${value}h`); 
+        // Monday first, as in most timetables 
+        document.getElementById('weekdayHours').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(weekday => ` 
+            <label class="weekday-hours-day"> 
+                <span>${days[weekday]}</span> 
+                <select data-weekday="${weekday}" aria-label="${days[weekday]} study hours"> 
+                    ${options.map(value => `<option value="${value}"${String(pattern[weekday] == null ? '' : pattern[weekday]) === value ? ' selected' : ''}>${label(value)}</option>`).join('')} 
+                </select> 
+            </label> 
+        `).join(''); 
     } 
     
-    generateGenericTopics(subject) { 
-        const formatted = subject.split(' ').map(w => w[0].toUpperCase() + w.substring(1)).join(' '); 
-        return [ 
-            `Introduction to ${formatted}`,  
-            `Core Concepts of ${formatted}`,  
-            `Advanced ${formatted} Principles`,  
-            `Practice Problems for ${formatted}` 
-        ]; 
+    readWeekdayHours() { 
+        const pattern = ['', '', '', '', '', '', '']; 
+        document.querySelectorAll('#weekdayHours select').forEach(select => { pattern[select.dataset.weekday] = select.value; }); 
+        return pattern; 
     } 
     
-    createEnhancedSchedule(formData) { 
-        const { subjects, examDate, studyHours, difficulty, learningStyle, studyPreferences } = formData; 
-        const totalDays = this.calculateDaysUntilExam(examDate); 
-        if (totalDays <= 0) return []; 
-        
-        let schedule = []; 
-        const daysToPlan = Math.min(totalDays, 30); 
-        
-        // Get subject-specific files if available 
-        const subjectFilesMap = this.subjectFiles.get(this.currentUser) || new Map(); 
-        
-        // Get available study hours based on preferences 
-        let availableHours = []; 
-        if (studyPreferences && studyPreferences.length > 0) { 
-            studyPreferences.forEach(pref => { 
-                if (this.studyPreferences[pref]) { 
-                    availableHours = [...availableHours, ...this.studyPreferences[pref].hours]; 
-                } 
-            }); 
-        } else { 
-            // Default hours if no preference selected 
-            availableHours = [9, 10, 11, 14, 15, 16, 19, 20, 21]; 
-        } 
-        
-        // Create a pool of topics for each subject 
-        const subjectTopics = {}; 
-        subjects.forEach(subject => { 
-            const subjectLower = subject.toLowerCase(); 
-            
-            // Get topics based on subject and difficulty 
-            let topics; 
-            if (this.topicsDatabase[subjectLower] && this.topicsDatabase[subjectLower][difficulty]) { 
-                topics = this.topicsDatabase[subjectLower][difficulty]; 
-            } else { 
-                topics = this.generateGenericTopics(subject); 
-            } 
-            
-            // If we have subject-specific files, prioritize topics from those files 
-            const subjectFiles = subjectFilesMap.get(subject) || []; 
-            if (subjectFiles.length > 0) { 
-                // Extract topics from files (simplified for demo) 
-                const fileTopics = []; 
-                subjectFiles.forEach(file => { 
-                    if (file.analysis && file.analysis.topics) { 
-                        file.analysis.topics.forEach(topic => { 
-                            if (!fileTopics.includes(topic)) { 
-                                fileTopics.push(topic); 
-                            } 
-                        }); 
-                    } 
-                }); 
-                
-                if (fileTopics.length > 0) { 
-                    // Use file topics instead of generic topics 
-                    topics = fileTopics; 
-                } 
+    formatDuration(minutes) { 
+        if (minutes < 60) return `${minutes} min`; 
+        return minutes % 60 === 0 ? `${minutes / 60}h` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`; 
+    } 
+    
+    updateAvailabilitySummary() { 
+        const summary = document.getElementById('availabilitySummary'); 
+        const { busy, exceptions } = this.getAvailability(this.currentUser); 
+        const busyHours = busy.reduce((sum, block) => sum + (this.planner.toMinutes(block.end) - this.planner.toMinutes(block.start)) / 60, 0); 
+        summary.textContent = busy.length === 0 && exceptions.length === 0 
+            ? 'No busy time set. Sessions can go anywhere in your preferred hours.' 
+            : `${busyHours}h busy each week${exceptions.length > 0 ? ` • ${exceptions.length} one-off exception${exceptions.length === 1 ? '' : 's'}` : ''}`; 
+    } 
+    
+    openAvailabilityEditor() { 
+        if (!this.currentUser) return showToast('Please select a user first.', 'warning'); 
+        const { busy, exceptions } = this.getAvailability(this.currentUser); 
+        // The editor paints whole hours; `cells` maps 'weekday-hour' to the block's label 
+        const cells = new Map(); 
+        busy.forEach(block => { 
+            for (let hour = 0; hour < 24; hour++) { 
+                if (this.planner.toMinutes(block.start) < (hour + 1) * 60 && this.planner.toMinutes(block.end) > hour * 60) cells.set(`${block.weekday}-${hour}`, block.label || ''); 
             } 
-            
-            subjectTopics[subject] = topics; 
-        }); 
-        
-        // Create a spaced repetition system 
-        const reviewQueue = {}; 
-        subjects.forEach(subject => { 
-            reviewQueue[subject] = []; 
         }); 
-        
-        // Generate schedule day by day 
-        for (let day = 1; day <= daysToPlan; day++) { 
-            const sessionsForDay = []; 
-            
-            // Determine session types for the day based on learning style and day number 
-            const sessionTypesForDay = this.getSessionTypesForDay(day, daysToPlan, learningStyle); 
-            
-            // Assign sessions based on available hours 
-            for (let i = 0; i < Math.min(parseInt(studyHours), availableHours.length); i++) { 
-                const hour = availableHours[i % availableHours.length]; 
-                const time = `${String(hour).padStart(2, '0')}:00`; 
-                
-                // Determine subject for this session 
-                const subjectIndex = (day + i - 1) % subjects.length; 
-                const subject = subjects[subjectIndex]; 
-                
-                // Determine session type 
-                const sessionType = sessionTypesForDay[i % sessionTypesForDay.length]; 
-                
-                let topic; 
-                if (sessionType === 'review' && reviewQueue[subject].length > 0) { 
-                    // Get a topic from the review queue 
-                    topic = reviewQueue[subject].shift(); 
-                } else { 
-                    // Get a new topic 
-                    const topics = subjectTopics[subject]; 
-                    topic = topics[Math.floor(Math.random() * topics.length)]; 
-                    
-                    // Schedule this topic for review in the future 
-                    if (sessionType === 'learning') { 
-                        const reviewDays = [day + 1, day + 3, day + 7, day + 14, day + 30]; 
-                        reviewDays.forEach(reviewDay => { 
-                            if (reviewDay <= daysToPlan) { 
-                                reviewQueue[subject].push(topic); 
-                            } 
-                        }); 
-                    } 
-                } 
-                
-                // Assign priority based on topic complexity and proximity to exam 
-                let priority; 
-                if (day <= totalDays * 0.3) { 
-                    priority = 'low'; 
-                } else if (day <= totalDays * 0.7) { 
-                    priority = 'medium'; 
-                } else { 
-                    priority = 'high'; 
-                } 
-                
-                sessionsForDay.push({ 
-                    day,  
-                    time,  
-                    subject,  
-                    topic,  
-                    sessionType, 
-                    priority, 
-                    completed: false,  
-                    duration: 1, 
-                    notes: '', 
-                    resources: this.sessionResources[subject.toLowerCase()] || [] 
-                }); 
-            } 
-            
-            // Add sessions to the schedule 
-            schedule = [...schedule, ...sessionsForDay]; 
+        this.availabilityDraft = { cells, exceptions: exceptions.map(e => ({ ...e })), painting: null }; 
+        this.renderAvailabilityGrid(); 
+        this.renderAvailabilityExceptions(); 
+        openModal('availabilityModal'); 
+    } 
+    
+    renderAvailabilityGrid() { 
+        const { cells } = this.availabilityDraft; 
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']; 
+        let html = `<div></div>${days.map(day => `<div class="availability-day">${day}</div>`).join('')}`; 
+        for (let hour = 0; hour < 24; hour++) { 
+            html += `<div class="availability-hour">${String(hour).padStart(2, '0')}:00</div>`; 
+            days.forEach((day, weekday) => { 
+                const slot = `${weekday}-${hour}`; 
+                const label = cells.get(slot); 
+                html += `<div class="availability-cell${label !== undefined ? ' busy' : ''}" data-slot="${slot}" title="${label !== undefined ? escapeHTML(label || 'Busy') : 'Free'}">${label ? escapeHTML(label) : ''}</div>`; 
+            }); 
         } 
-        
-        return schedule; 
+        document.getElementById('availabilityGrid').innerHTML = html; 
     } 
     
-    getSessionTypesForDay(day, totalDays, learningStyle) { 
-        // Default session types distribution 
-        let sessionTypes = ['learning', 'learning', 'practice', 'review']; 
-        
-        // Adjust based on learning style 
-        if (learningStyle === 'visual') { 
-            sessionTypes = ['learning', 'practice', 'practice', 'review']; 
-        } else if (learningStyle === 'auditory') { 
-            sessionTypes = ['learning', 'review', 'learning', 'practice']; 
-        } else if (learningStyle === 'kinesthetic') { 
-            sessionTypes = ['practice', 'practice', 'learning', 'review']; 
-        } else if (learningStyle === 'reading') { 
-            sessionTypes = ['learning', 'learning', 'review', 'practice']; 
+    // Pressing on a cell picks the mode (busy or free) from that cell; dragging applies it 
+    paintAvailabilityCell(cell, start = false) { 
+        const draft = this.availabilityDraft; 
+        if (!draft || !cell || !cell.dataset.slot) return; 
+        const slot = cell.dataset.slot; 
+        if (start) draft.painting = draft.cells.has(slot) ? 'free' : 'busy'; 
+        if (!draft.painting) return; 
+        if (draft.painting === 'busy') { 
+            const label = document.getElementById('availabilityLabel').value.trim(); 
+            draft.cells.set(slot, label); 
+            cell.classList.add('busy'); 
+            cell.textContent = label; 
+            cell.title = label || 'Busy'; 
+        } else { 
+            draft.cells.delete(slot); 
+            cell.classList.remove('busy'); 
+            cell.textContent = ''; 
+            cell.title = 'Free'; 
         } 
-        
-        // Adjust based on proximity to exam 
-        if (day > totalDays * 0.7) { 
-            // More review and practice as exam approaches 
-            sessionTypes = ['review', 'practice', 'review', 'practice']; 
+    } 
+    
+    renderAvailabilityExceptions() { 
+        const list = document.getElementById('availabilityExceptions'); 
+        const { exceptions } = this.availabilityDraft; 
+        list.innerHTML = exceptions.length === 0 
+            ? '<p class="availability-empty">No exceptions. Add one for a cancelled lecture or an extra appointment.</p>' 
+            : exceptions.map((e, i) => ` 
+                <div class="availability-exception ${e.kind}"> 
+                    <span><strong>${this.formatSessionDate(e.date)}</strong> ${e.start}–${e.end} • ${e.kind === 'free' ? 'Free' : 'Busy'}${e.label ? ` • ${escapeHTML(e.label)}` : ''}</span> 
+                    <button type="button" class="btn btn-small btn-secondary" onclick="removeAvailabilityException(${i})">Remove</button> 
+                </div> 
+            `).join(''); 
+    } 
+    
+    addAvailabilityException({ date, start, end, kind, label }) { 
+        if (!date || !start || !end) return showToast('Pick a date, a start and an end time.', 'warning'); 
+        if (this.planner.toMinutes(end) <= this.planner.toMinutes(start)) return showToast('The exception must end after it starts.', 'warning'); 
+        const { exceptions } = this.availabilityDraft; 
+        exceptions.push({ id: `exc_${Date.now().toString(36)}`, date, start, end, kind, label }); 
+        exceptions.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start)); 
+        this.renderAvailabilityExceptions(); 
+        return true; 
+    } 
+    
+    removeAvailabilityException(index) { 
+        this.availabilityDraft.exceptions.splice(index, 1); 
+        this.renderAvailabilityExceptions(); 
+    } 
+    
+    clearAvailabilityWeek() { 
+        this.availabilityDraft.cells.clear(); 
+        this.renderAvailabilityGrid(); 
+    } 
+    
+    saveAvailability() { 
+        if (!this.currentUser || !this.availabilityDraft) return; 
+        // Consecutive painted hours with the same label become one block 
+        const { cells, exceptions } = this.availabilityDraft; 
+        const busy = []; 
+        for (let weekday = 0; weekday < 7; weekday++) { 
+            let open = null; 
+            for (let hour = 0; hour <= 24; hour++) { 
+                const label = hour < 24 ? cells.get(`${weekday}-${hour}`) : undefined; 
+                if (open && label !== open.label) { 
+                    open.end = `${String(hour).padStart(2, '0')}:00`; 
+                    busy.push(open); 
+                    open = null; 
+                } 
+                if (!open && label !== undefined) { 
+                    open = { id: `busy_${weekday}_${hour}`, weekday, start: `${String(hour).padStart(2, '0')}:00`, end: null, label }; 
+                } 
+            } 
         } 
-        
-        return sessionTypes; 
+        const command = this.recordChange('Edit availability', ['userProgress'], () => { 
+            this.userProgress.get(this.currentUser).availability = { busy, exceptions }; 
+        }); 
+        this.availabilityDraft = null; 
+        this.updateAvailabilitySummary(); 
+        this.saveState(); 
+        closeModal('availabilityModal'); 
+        showToast('Availability saved. New schedules will only use your free time.', 'success', this.undoAction(command)); 
     } 
     
     updateUserProgress(formData) { 
@@ -717,29 +4196,23 @@ class EnhancedStudySystem {
         const schedule = this.userSchedules.get(this.currentUser) || []; 
         const totalTasks = schedule.length; 
         const completedTasks = schedule.filter(s => s.completed).length; 
-        progress.daysLeft = this.calculateDaysUntilExam(formData.examDate); 
+        // Days until the next exam that has not happened yet 
+        const upcoming = this.planner.getSubjectExams(formData).map(exam => this.calculateDaysUntilExam(exam.examDate)).filter(days => days > 0); 
+        progress.daysLeft = upcoming.length > 0 ? Math.min(...upcoming) : 0; 
         progress.completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0; 
-        progress.totalHours = schedule.filter(s => s.completed).reduce((sum, s) => sum + s.duration, 0); 
+        progress.totalHours = Math.round(schedule.filter(s => s.completed).reduce((sum, s) => sum + s.durationMinutes, 0) / 6) / 10; 
         
-        // Calculate study streak 
+        // Calculate study streak: consecutive days, counting back from today, with a completed session 
         let streak = 0; 
         const today = new Date(); 
         today.setHours(0, 0, 0, 0); 
+        const completedDates = new Set(schedule.filter(s => s.completed).map(s => s.date)); 
         
         for (let i = 0; i < 365; i++) { 
             const checkDate = new Date(today); 
             checkDate.setDate(today.getDate() - i); 
             
-            const hasCompletedSession = schedule.some(s => { 
-                const sessionDate = new Date(); 
-                sessionDate.setDate(sessionDate.getDate() - (s.day - 1)); 
-                return s.completed &&  
-                       sessionDate.getDate() === checkDate.getDate() && 
-                       sessionDate.getMonth() === checkDate.getMonth() && 
-                       sessionDate.getFullYear() === checkDate.getFullYear(); 
-            }); 
-            
-            if (hasCompletedSession) { 
+            if (completedDates.has(toISODate(checkDate))) { 
                 streak++; 
             } else if (i > 0) { 
                 break; 
@@ -766,6 +4239,7 @@ class EnhancedStudySystem {
         this.updateProgressUI(progress); 
         this.updateProgressChart(); 
         this.updateSubjectProgress(); 
+        this.updateReadinessForecast(formData); 
         this.saveState(); 
     } 
     
@@ -795,7 +4269,7 @@ class EnhancedStudySystem {
         // Apply sort 
         if (this.currentSort === 'time') { 
             filteredSchedule.sort((a, b) => { 
-                if (a.day !== b.day) return a.day - b.day; 
+                if (a.date !== b.date) return a.date.localeCompare(b.date); 
                 return a.time.localeCompare(b.time); 
             }); 
         } else if (this.currentSort === 'priority') { 
@@ -804,36 +4278,37 @@ class EnhancedStudySystem {
                 if (priorityOrder[a.priority] !== priorityOrder[b.priority]) { 
                     return priorityOrder[a.priority] - priorityOrder[b.priority]; 
                 } 
-                return a.day - b.day; 
+                return a.date.localeCompare(b.date); 
             }); 
         } else if (this.currentSort === 'subject') { 
             filteredSchedule.sort((a, b) => { 
                 if (a.subject !== b.subject) return a.subject.localeCompare(b.subject); 
-                return a.day - b.day; 
+                return a.date.localeCompare(b.date); 
             }); 
         } 
         
-        // Group by day for display 
-        const scheduleByDay = this.groupBy(filteredSchedule, 'day'); 
-        for (const [day, daySchedule] of Object.entries(scheduleByDay)) { 
+        // Group by date for display, earliest first whatever the sort within a day 
+        const scheduleByDay = groupBy(filteredSchedule, 'date'); 
+        for (const [date, daySchedule] of Object.entries(scheduleByDay).sort(([a], [b]) => a.localeCompare(b))) { 
             const dayHeader = document.createElement('h3'); 
             dayHeader.style.cssText = "margin: 25px 0 15px 0; color: #667eea; font-size: 1.3rem;"; 
-            dayHeader.textContent = `Day ${day}`; 
+            dayHeader.textContent = this.formatSessionDate(date); 
             container.appendChild(dayHeader); 
             daySchedule.forEach((s, i) => { 
                 const el = document.createElement('div'); 
-                el.className = `schedule-item ${s.priority}-priority ${s.sessionType}`; 
+                el.className = `schedule-item ${s.priority}-priority ${s.sessionType}${s.pinned ? ' pinned' : ''}${s.missed && !s.completed ? ' missed' : ''}`; 
                 el.innerHTML = ` 
-                    <div class="schedule-time">${s.time}</div> 
-                    <div class="schedule-subject">${s.subject}</div> 
-                    <div class="schedule-topic">${s.topic}</div> 
+                    <div class="schedule-time">${s.time}–${this.planner.toClock(this.planner.sessionInterval(s).end % 1440)} <span class="schedule-duration">${this.formatDuration(s.durationMinutes)}</span>${s.pinned ? ' 📌' : ''}${s.missed && !s.completed ? ' <span class="schedule-flag">Missed</span>' : ''}${s.rescheduledFrom && !s.missed ? ' <span class="schedule-flag">Moved</span>' : ''}</div> 
+                    <div class="schedule-subject">${escapeHTML(s.subject)}</div> 
+                    <div class="schedule-topic">${escapeHTML(s.topic)}</div> 
                     <div class="schedule-type ${s.sessionType}">${this.sessionTypes[s.sessionType].label}</div> 
-                    ${s.notes ? `<div class="schedule-topic" style="font-style: italic;">${s.notes}</div>` : ''} 
+                    ${s.notes ? `<div class="schedule-topic" style="font-style: italic;">${escapeHTML(s.notes)}</div>` : ''} 
                     <div class="schedule-actions"> 
-                        <button class="btn btn-small btn-secondary" onclick="viewSessionDetails(${day}, ${i})">📋 Details</button> 
-                        <button class="btn btn-small btn-secondary" onclick="editScheduleItem(${day}, ${i})">✏️ Edit</button> 
-                        <button class="btn btn-small btn-success" onclick="markCompleted(${day}, ${i})">${s.completed ? '✅ Done' : '⭕ Mark'}</button> 
-                        <button class="btn btn-small btn-purple" onclick="addNoteToSession(${day}, ${i})">📝 Note</button> 
+                        <button class="btn btn-small btn-secondary" onclick="viewSessionDetails('${date}', ${i})">📋 Details</button> 
+                        <button class="btn btn-small btn-secondary" onclick="editScheduleItem('${date}', ${i})">✏️ Edit</button> 
+                        <button class="btn btn-small btn-success" onclick="markCompleted('${date}', ${i})">${s.completed ? '✅ Done' : '⭕ Mark'}</button> 
+                        <button class="btn btn-small btn-purple" onclick="addNoteToSession('${date}', ${i})">📝 Note</button> 
+                        <button class="btn btn-small btn-secondary" onclick="togglePinSession('${date}', ${i})" title="Pinned sessions are never moved by smart scheduling">${s.pinned ? '📌 Unpin' : '📌 Pin'}</button> 
                     </div> 
                 `; 
                 container.appendChild(el); 
@@ -852,11 +4327,11 @@ class EnhancedStudySystem {
             if (this.currentFileTab === 'pdf') { 
                 filteredFiles = files.filter(file => file.fileType === 'pdf'); 
             } else if (this.currentFileTab === 'documents') { 
-                filteredFiles = files.filter(file => file.fileType === 'docx'); 
+                filteredFiles = files.filter(file => ['docx', 'html', 'pptx', 'epub'].includes(file.fileType)); 
             } else if (this.currentFileTab === 'images') { 
                 filteredFiles = files.filter(file => file.fileType === 'image'); 
             } else if (this.currentFileTab === 'notes') { 
-                filteredFiles = files.filter(file => file.fileType === 'txt'); 
+                filteredFiles = files.filter(file => ['txt', 'md', 'ipynb'].includes(file.fileType)); 
             } 
         } 
         
@@ -872,11 +4347,19 @@ class EnhancedStudySystem {
                     'pdf':'📕',  
                     'docx':'📘',  
                     'image':'🖼️',  
-                    'txt':'📄' 
+                    'txt':'📄', 
+                    'md':'📝', 
+                    'html':'🌐', 
+                    'pptx':'📊', 
+                    'epub':'📚', 
+                    'ipynb':'📓' 
                 }[type] || '📄'}</div> 
                 <h4>${file.metadata.name}</h4> 
                 <div style="font-size:0.85rem;color:rgba(255,255,255,0.7);margin-bottom:15px;"> 
                     <div>Size: ${this.formatFileSize(file.metadata.size)}</div> 
+                    ${file.structure && file.structure.pages ? `<div>Pages: ${file.structure.pages.length}</div>` : ''} 
+                    ${file.structure && file.structure.blocks ? `<div>Text confidence: ${file.structure.confidence}%</div>` : ''} 
+                    ${file.structure && file.structure.sections && file.structure.sections.length > 0 ? `<div>${sectionCountText(file.structure.sections)}</div>` : ''} 
                     <div>Difficulty: ${file.analysis.difficulty}</div> 
                     ${file.analysis.topics.length > 0 ? `<div>Topics: ${file.analysis.topics.join(', ')}</div>` : ''} 
                 </div> 
@@ -973,6 +4456,11 @@ class EnhancedStudySystem {
         const today = new Date(); 
         const schedule = this.userSchedules.get(this.currentUser) || []; 
         const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
+        const progress = this.currentUser && this.userProgress.get(this.currentUser); 
+        const exams = progress && progress.formHistory ? this.planner.getSubjectExams(progress.formHistory) : []; 
+        const availability = this.getAvailability(this.currentUser); 
+        // Rest days follow the weekly pattern of the current plan 
+        const settings = progress && progress.formHistory ? this.planner.sessionSettings(progress.formHistory) : null; 
         
         for (let day = 1; day <= daysInMonth; day++) { 
             const dayElement = document.createElement('div'); 
@@ -986,7 +4474,7 @@ class EnhancedStudySystem {
             } 
             
             // Check if there are study sessions on this day 
-            const sessionsOnDay = schedule.filter(s => s.day === day); 
+            const sessionsOnDay = schedule.filter(s => s.date === toISODate(new Date(year, month, day))); 
             if (sessionsOnDay.length > 0) { 
                 dayElement.classList.add('has-sessions'); 
                 dayElement.innerHTML = ` 
@@ -1008,6 +4496,21 @@ class EnhancedStudySystem {
                 } 
             } 
             
+            // Mark exam days on top of whatever else the day shows 
+            const examsOnDay = exams.filter(exam => exam.examDate === toISODate(new Date(year, month, day))); 
+            if (examsOnDay.length > 0) { 
+                dayElement.classList.add('exam-day'); 
+                dayElement.title = `Exam: ${examsOnDay.map(exam => exam.subject).join(', ')}`; 
+                dayElement.insertAdjacentHTML('beforeend', `<div class="calendar-day-exam">🎓 ${escapeHTML(examsOnDay.map(exam => exam.subject).join(', '))}</div>`); 
+            } 
+            
+            // Days off and weekly rest days get no sessions 
+            const restDay = settings && this.planner.dailyBudget(settings, new Date(year, month, day)) === 0; 
+            if (this.planner.isDayOff(toISODate(new Date(year, month, day)), availability) || restDay) { 
+                dayElement.classList.add('day-off'); 
+                dayElement.insertAdjacentHTML('beforeend', `<div class="calendar-day-off">${restDay ? 'Rest day' : 'Day off'}</div>`); 
+            } 
+            
             // Add click event to open note modal 
             dayElement.addEventListener('click', () => { 
                 openCalendarDayModal(year, month, day); 
@@ -1077,13 +4580,13 @@ class EnhancedStudySystem {
         const schedule = this.userSchedules.get(this.currentUser) || []; 
         if (schedule.length === 0) return; 
         
-        // Group by day and calculate completion rate for each day 
-        const scheduleByDay = this.groupBy(schedule, 'day'); 
+        // Group by date and calculate completion rate for each day 
+        const scheduleByDay = groupBy(schedule, 'date'); 
         const labels = []; 
         const data = []; 
         
-        for (const [day, daySchedule] of Object.entries(scheduleByDay)) { 
-            labels.push(`Day ${day}`); 
+        for (const [date, daySchedule] of Object.entries(scheduleByDay).sort(([a], [b]) => a.localeCompare(b))) { 
+            labels.push(parseISODate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })); 
             const completed = daySchedule.filter(s => s.completed).length; 
             const total = daySchedule.length; 
             data.push(Math.round((completed / total) * 100)); 
@@ -1114,75 +4617,31 @@ class EnhancedStudySystem {
             item.className = 'subject-progress-item'; 
             item.innerHTML = ` 
                 <div class="subject-progress-header"> 
-                    <div class="subject-progress-name">${subject}</div> 
+                    <div class="subject-progress-name">${escapeHTML(subject)}</div> 
                     <div class="subject-progress-percentage">${percentage}%</div> 
                 </div> 
                 <div class="subject-progress-bar"> 
                     <div class="subject-progress-fill" style="width: ${percentage}%"></div> 
                 </div> 
+                <button class="btn btn-small btn-secondary subject-topic-map" data-subject="${encodeURIComponent(subject)}" onclick="openTopicGraph(decodeURIComponent(this.dataset.subject))"><i class="fas fa-project-diagram"></i> Topic map</button> 
             `; 
             container.appendChild(item); 
         }); 
     } 
     
     initializeTimer() { 
-        const timerDisplay = document.getElementById('timerDisplay'); 
         const startBtn = document.getElementById('startTimer'); 
         const pauseBtn = document.getElementById('pauseTimer'); 
         const resetBtn = document.getElementById('resetTimer'); 
         const minutesInput = document.getElementById('timerMinutes'); 
         
-        const updateDisplay = () => { 
-            const minutes = String(this.timer.minutes).padStart(2, '0'); 
-            const seconds = String(this.timer.seconds).padStart(2, '0'); 
-            timerDisplay.textContent = `${minutes}:${seconds}`; 
-        }; 
-        
-        startBtn.addEventListener('click', () => { 
-            if (!this.timer.isRunning) { 
-                this.timer.isRunning = true; 
-                this.timer.interval = setInterval(() => { 
-                    if (this.timer.seconds === 0) { 
-                        if (this.timer.minutes === 0) { 
-                            clearInterval(this.timer.interval); 
-                            this.timer.isRunning = false; 
-                            showToast('Timer completed! Take a break.', 'success'); 
-                            // Play notification sound if enabled 
-                            if (this.settings.notifications) { 
-                                this.playNotificationSound(); 
-                            } 
-                            return; 
-                        } 
-                        this.timer.minutes--; 
-                        this.timer.seconds = 59; 
-                    } else { 
-                        this.timer.seconds--; 
-                    } 
-                    updateDisplay(); 
-                }, 1000); 
-            } 
-        }); 
-        
-        pauseBtn.addEventListener('click', () => { 
-            if (this.timer.isRunning) { 
-                clearInterval(this.timer.interval); 
-                this.timer.isRunning = false; 
-            } 
-        }); 
-        
-        resetBtn.addEventListener('click', () => { 
-            clearInterval(this.timer.interval); 
-            this.timer.isRunning = false; 
-            this.timer.minutes = parseInt(minutesInput.value) || 25; 
-            this.timer.seconds = 0; 
-            updateDisplay(); 
-        }); 
+        startBtn.addEventListener('click', () => this.startTimer()); 
+        pauseBtn.addEventListener('click', () => this.pauseTimer()); 
+        resetBtn.addEventListener('click', () => this.setTimer(parseInt(minutesInput.value) || 25)); 
         
         minutesInput.addEventListener('change', () => { 
             if (!this.timer.isRunning) { 
-                this.timer.minutes = parseInt(minutesInput.value) || 25; 
-                this.timer.seconds = 0; 
-                updateDisplay(); 
+                this.setTimer(parseInt(minutesInput.value) || 25); 
             } 
         }); 
         
@@ -1190,15 +4649,77 @@ class EnhancedStudySystem {
         document.querySelectorAll('.timer-preset').forEach(btn => { 
             btn.addEventListener('click', () => { 
                 if (!this.timer.isRunning) { 
-                    this.timer.minutes = parseInt(btn.dataset.minutes); 
-                    this.timer.seconds = 0; 
                     minutesInput.value = btn.dataset.minutes; 
-                    updateDisplay(); 
+                    this.setTimer(parseInt(btn.dataset.minutes)); 
                 } 
             }); 
         }); 
         
-        updateDisplay(); 
+        this.updateTimerDisplay(); 
+    } 
+    
+    updateTimerDisplay() { 
+        const minutes = String(this.timer.minutes).padStart(2, '0'); 
+        const seconds = String(this.timer.seconds).padStart(2, '0'); 
+        document.getElementById('timerDisplay').textContent = `${minutes}:${seconds}`; 
+    } 
+    
+    // The broadcast flag is false when replaying a change that came from another tab 
+    startTimer(broadcast = true) { 
+        if (this.timer.isRunning) return; 
+        this.timer.isRunning = true; 
+        this.timer.interval = setInterval(() => { 
+            if (this.timer.seconds === 0) { 
+                if (this.timer.minutes === 0) { 
+                    clearInterval(this.timer.interval); 
+                    this.timer.isRunning = false; 
+                    showToast('Timer completed! Take a break.', 'success'); 
+                    // Play notification sound if enabled 
+                    if (this.settings.notifications) { 
+                        this.playNotificationSound(); 
+                    } 
+                    return; 
+                } 
+                this.timer.minutes--; 
+                this.timer.seconds = 59; 
+            } else { 
+                this.timer.seconds--; 
+            } 
+            this.updateTimerDisplay(); 
+        }, 1000); 
+        if (broadcast) this.broadcastTimer(); 
+    } 
+    
+    pauseTimer(broadcast = true) { 
+        if (this.timer.isRunning) { 
+            clearInterval(this.timer.interval); 
+            this.timer.isRunning = false; 
+        } 
+        if (broadcast) this.broadcastTimer(); 
+    } 
+    
+    setTimer(minutes, seconds = 0, broadcast = true) { 
+        clearInterval(this.timer.interval); 
+        this.timer.isRunning = false; 
+        this.timer.minutes = minutes; 
+        this.timer.seconds = seconds; 
+        this.updateTimerDisplay(); 
+        if (broadcast) this.broadcastTimer(); 
+    } 
+    
+    broadcastTimer() { 
+        if (!this.tabSync) return; 
+        const { minutes, seconds, isRunning } = this.timer; 
+        this.tabSync.post('timer', { minutes, seconds, isRunning, inputMinutes: document.getElementById('timerMinutes').value }); 
+    } 
+    
+    applyRemoteTimer(message) { 
+        let remaining = message.minutes * 60 + message.seconds; 
+        // Account for the time the message spent in flight 
+        if (message.isRunning) remaining = Math.max(0, remaining - Math.round((Date.now() - message.sentAt) / 1000)); 
+        document.getElementById('timerMinutes').value = message.inputMinutes; 
+        this.setTimer(Math.floor(remaining / 60), remaining % 60, false); 
+        if (message.isRunning) this.startTimer(false); 
     } 
     
     playNotificationSound() { 
@@ -1229,12 +4750,7 @@ class EnhancedStudySystem {
         const adaptiveLearningToggle = document.getElementById('adaptiveLearningToggle'); 
         
         // Set initial states 
-        darkModeToggle.classList.toggle('active', this.settings.darkMode); 
-        notificationsToggle.classList.toggle('active', this.settings.notifications); 
-        focusModeToggle.classList.toggle('active', this.settings.focusMode); 
-        autoSaveToggle.classList.toggle('active', this.settings.autoSave); 
-        smartSchedulingToggle.classList.toggle('active', this.settings.smartScheduling); 
-        adaptiveLearningToggle.classList.toggle('active', this.settings.adaptiveLearning); 
+        this.refreshSettingsUI(); 
         
         // Add event listeners 
         darkModeToggle.addEventListener('click', () => { 
@@ -1274,6 +4790,7 @@ class EnhancedStudySystem {
             
             if (this.settings.smartScheduling) { 
                 showToast('Smart scheduling enabled! Your schedule will adapt based on your progress.', 'success'); 
+                this.rescheduleMissedSessions(); 
             } else { 
                 showToast('Smart scheduling disabled.', 'info'); 
             } 
@@ -1290,6 +4807,21 @@ class EnhancedStudySystem {
                 showToast('Adaptive learning disabled.', 'info'); 
             } 
         }); 
+        
+        document.getElementById('autoLockMinutes').addEventListener('change', e => { 
+            this.settings.autoLockMinutes = Number(e.target.value); 
+            this.saveState(); 
+        }); 
+    } 
+    
+    refreshSettingsUI() { 
+        document.getElementById('darkModeToggle').classList.toggle('active', this.settings.darkMode); 
+        document.getElementById('notificationsToggle').classList.toggle('active', this.settings.notifications); 
+        document.getElementById('focusModeToggle').classList.toggle('active', this.settings.focusMode); 
+        document.getElementById('autoSaveToggle').classList.toggle('active', this.settings.autoSave); 
+        document.getElementById('smartSchedulingToggle').classList.toggle('active', this.settings.smartScheduling); 
+        document.getElementById('adaptiveLearningToggle').classList.toggle('active', this.settings.adaptiveLearning); 
+        document.getElementById('autoLockMinutes').value = String(this.settings.autoLockMinutes); 
     } 
     
     initializeEventListeners() { 
@@ -1445,37 +4977,51 @@ class EnhancedStudySystem {
         return Math.max(0, Math.ceil((new Date(date) - new Date()) / (1000*3600*24)));  
     } 
     
-    groupBy(arr, key) {  
-        return arr.reduce((acc, i) => ({...acc, [i[key]]: [...(acc[i[key]]||[]), i]}), {});  
+    formatSessionDate(date) { 
+        return parseISODate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }); 
     } 
     
     formatFileSize(b) {  
-        if(b===0)return'0 B';const k=1024,s=['B','KB','MB','GB'],i=Math.floor(Math.log(b)/Math.log(k));return`${parseFloat((b/Math.pow(k,i)).toFixed(2))} ${s[i]}`;  
+        if(b===0)return'0 B';const k=1024,s=['B','KB','MB','GB','TB'],i=Math.floor(Math.log(b)/Math.log(k));return`${parseFloat((b/Math.pow(k,i)).toFixed(2))} ${s[i]}`;  
     } 
     
     async handleFiles(files, subject = null) { 
         if (!this.currentUser) return showToast('Please select a user first', 'warning'); 
         for (const file of files) { 
             showToast(`Processing ${file.name}...`, 'info'); 
-            const result = await this.agents.file.processFile(file); 
+            const result = await this.reviewProcessedFile(file, await this.agents.file.processFile(file)); 
+            if (!result) continue; 
             if (result.success) { 
+                // Only a reference to the extracted text is kept in the user's records 
+                const { content, ...record } = result; 
+                try { 
+                    Object.assign(record, await this.storeFileContent(this.currentUser, content), { addedAt: Date.now() }); 
+                } catch (error) { 
+                    this.reportStorageError(error); 
+                    continue; 
+                } 
                 if (subject) { 
                     // Add to subject-specific files 
-                    const subjectFilesMap = this.subjectFiles.get(this.currentUser) || new Map(); 
-                    if (!subjectFilesMap.has(subject)) { 
-                        subjectFilesMap.set(subject, []); 
-                    } 
-                    subjectFilesMap.get(subject).push(result); 
-                    this.subjectFiles.set(this.currentUser, subjectFilesMap); 
+                    this.recordChange(`Upload ${file.name}`, ['subjectFiles'], () => { 
+                        const subjectFilesMap = this.subjectFiles.get(this.currentUser) || new Map(); 
+                        if (!subjectFilesMap.has(subject)) { 
+                            subjectFilesMap.set(subject, []); 
+                        } 
+                        subjectFilesMap.get(subject).push(record); 
+                        this.subjectFiles.set(this.currentUser, subjectFilesMap); 
+                    }); 
                 } else { 
                     // Add to general files 
-                    this.uploadedFiles.get(this.currentUser).push(result); 
+                    this.recordChange(`Upload ${file.name}`, ['uploadedFiles'], () => { 
+                        this.uploadedFiles.get(this.currentUser).push(record); 
+                    }); 
                 } 
                 showToast(`${file.name} processed successfully`, 'success'); 
             } else showToast(`Failed to process ${file.name}: ${result.error}`, 'error'); 
         } 
         this.updateFilesUI();  
         this.saveState(); 
+        this.updateStorageSummary(true); 
         
         // Update subject materials if in subject modal 
         if (subject) { 
@@ -1542,6 +5088,24 @@ class EnhancedStudySystem {
         return results; 
     } 
     
+    // Searches the current user's uploaded materials, loading their text on demand 
+    async searchMaterials(query) { 
+        if (!this.currentUser) return []; 
+        const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 2); 
+        if (words.length === 0) return []; 
+        const results = []; 
+        for (const [file] of this.allFileRecords(this.currentUser, false)) { 
+            const content = await this.getFileContent(file); 
+            const lower = content.toLowerCase(); 
+            const hits = words.map(word => lower.indexOf(word)).filter(i => i > -1); 
+            if (hits.length === 0) continue; 
+            const start = Math.max(0, Math.min(...hits) - 80); 
+            const snippet = `${start > 0 ? '…' : ''}${content.slice(start, start + 240)}${start + 240 < content.length ? '…' : ''}`; 
+            results.push({ t: `📄 ${escapeHTML(file.metadata ? file.metadata.name : file.name)}`, c: escapeHTML(snippet), hits: hits.length }); 
+        } 
+        return results.sort((a, b) => b.hits - a.hits); 
+    } 
+    
     startSystemMonitoring() { 
         this.agents.monitor.isActive = true; 
         setInterval(() => { 
@@ -1559,13 +5123,14 @@ class EnhancedStudySystem {
     addNote(content) { 
         if (!this.currentUser || !content.trim()) return; 
         
-        const notes = this.notes.get(this.currentUser) || []; 
-        notes.push({ 
-            content: content.trim(), 
-            date: new Date().toISOString() 
-        }); 
-        
-        this.notes.set(this.currentUser, notes); 
+        this.recordChange('Add note', ['notes'], () => { 
+            const notes = this.notes.get(this.currentUser) || []; 
+            notes.push({ 
+                content: content.trim(), 
+                date: new Date().toISOString() 
+            }); 
+            this.notes.set(this.currentUser, notes); 
+        }); 
         this.updateNotesUI(); 
         this.saveState(); 
         showToast('Note added successfully!', 'success'); 
@@ -1576,24 +5141,29 @@ class EnhancedStudySystem {
         
         const notes = this.notes.get(this.currentUser) || []; 
         if (index >= 0 && index < notes.length) { 
-            notes.splice(index, 1); 
-            this.notes.set(this.currentUser, notes); 
+            const command = this.recordChange('Delete note', ['notes'], () => { 
+                notes.splice(index, 1); 
+                this.notes.set(this.currentUser, notes); 
+            }); 
             this.updateNotesUI(); 
             this.saveState(); 
-            showToast('Note deleted', 'info'); 
+            showToast('Note deleted', 'info', this.undoAction(command)); 
         } 
     } 
     
-    addNoteToSession(day, index) { 
+    addNoteToSession(date, index) { 
         if (!this.currentUser) return; 
         
         const schedule = this.userSchedules.get(this.currentUser) || []; 
-        const session = schedule.find(s => s.day === day && schedule.indexOf(s) === index); 
+        const session = (groupBy(schedule, 'date')[date] || [])[index]; 
         
         if (session) { 
             const note = prompt('Add a note for this session:', session.notes || ''); 
             if (note !== null) { 
-                session.notes = note; 
+                this.recordChange('Edit session note', ['userSchedules'], () => { 
+                    session.notes = note; 
+                    this.touchSession(session); 
+                }); 
                 this.updateScheduleUI(schedule); 
                 this.saveState(); 
                 showToast('Note added to session', 'success'); 
@@ -1612,26 +5182,12 @@ class EnhancedStudySystem {
         document.getElementById('calendarDayDate').textContent = `${year}-${month + 1}-${day}`; 
         document.getElementById('calendarDayNote').value = dayNote.note || ''; 
         
-        // Display files for this day 
-        const fileList = document.getElementById('calendarDayFileList'); 
-        fileList.innerHTML = ''; 
-        if (dayNote.files && dayNote.files.length > 0) { 
-            dayNote.files.forEach((file, index) => { 
-                const fileItem = document.createElement('div'); 
-                fileItem.className = 'subject-material-item'; 
-                fileItem.innerHTML = ` 
-                    <div> 
-                        <div class="subject-material-name">${file.name}</div> 
-                        <div class="subject-material-type">PDF • ${this.formatFileSize(file.size)}</div> 
-                    </div> 
-                    <button class="btn btn-small" onclick="removeCalendarDayFile('${dateKey}', ${index})">Remove</button> 
-                `; 
-                fileList.appendChild(fileItem); 
-            }); 
-        } 
+        this.renderCalendarDayFiles(dateKey); 
         
         // Store current date key for saving 
         document.getElementById('calendarDayModal').dataset.dateKey = dateKey; 
+        document.getElementById('calendarDayModal').dataset.isoDate = toISODate(new Date(year, month, day)); 
+        this.updateDayOffButton(toISODate(new Date(year, month, day))); 
         
         openModal('calendarDayModal'); 
     } 
@@ -1642,12 +5198,13 @@ class EnhancedStudySystem {
         const dateKey = document.getElementById('calendarDayModal').dataset.dateKey; 
         const note = document.getElementById('calendarDayNote').value.trim(); 
         
-        const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
-        const dayNote = calendarNotes.get(dateKey) || { note: '', files: [] }; 
-        
-        dayNote.note = note; 
-        calendarNotes.set(dateKey, dayNote); 
-        this.calendarNotes.set(this.currentUser, calendarNotes); 
+        this.recordChange('Edit calendar note', ['calendarNotes'], () => { 
+            const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
+            const dayNote = calendarNotes.get(dateKey) || { note: '', files: [] }; 
+            dayNote.note = note; 
+            calendarNotes.set(dateKey, dayNote); 
+            this.calendarNotes.set(this.currentUser, calendarNotes); 
+        }); 
         
         this.updateCalendar(); 
         this.saveState(); 
@@ -1662,37 +5219,34 @@ class EnhancedStudySystem {
         
         // Process the file 
         showToast(`Processing ${file.name}...`, 'info'); 
-        const result = await this.agents.file.processFile(file); 
+        const result = await this.reviewProcessedFile(file, await this.agents.file.processFile(file)); 
+        if (!result) return; 
         
         if (result.success) { 
-            const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
-            const dayNote = calendarNotes.get(dateKey) || { note: '', files: [] }; 
-            
-            dayNote.files.push({ 
-                name: file.name, 
-                size: file.size, 
-                type: file.type, 
-                content: result.content 
+            let reference; 
+            try { 
+                reference = await this.storeFileContent(this.currentUser, result.content); 
+            } catch (error) { 
+                return this.reportStorageError(error); 
+            } 
+            this.recordChange(`Attach ${file.name}`, ['calendarNotes'], () => { 
+                const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
+                const dayNote = calendarNotes.get(dateKey) || { note: '', files: [] }; 
+                dayNote.files.push({ 
+                    name: file.name, 
+                    size: file.size, 
+                    type: file.type, 
+                    addedAt: Date.now(), 
+                    ...reference 
+                }); 
+                calendarNotes.set(dateKey, dayNote); 
+                this.calendarNotes.set(this.currentUser, calendarNotes); 
             }); 
-            
-            calendarNotes.set(dateKey, dayNote); 
-            this.calendarNotes.set(this.currentUser, calendarNotes); 
-            
-            // Update file list in modal 
-            const fileList = document.getElementById('calendarDayFileList'); 
-            const fileItem = document.createElement('div'); 
-            fileItem.className = 'subject-material-item'; 
-            fileItem.innerHTML = ` 
-                <div> 
-                    <div class="subject-material-name">${file.name}</div> 
-                    <div class="subject-material-type">PDF • ${this.formatFileSize(file.size)}</div> 
-                </div> 
-                <button class="btn btn-small" onclick="removeCalendarDayFile('${dateKey}', ${dayNote.files.length - 1})">Remove</button> 
-            `; 
-            fileList.appendChild(fileItem); 
+            this.renderCalendarDayFiles(dateKey); 
             
             this.updateCalendar(); 
             this.saveState(); 
+            this.updateStorageSummary(true); 
             showToast(`${file.name} uploaded successfully!`, 'success'); 
         } else { 
             showToast(`Failed to process ${file.name}: ${result.error}`, 'error'); 
@@ -1706,34 +5260,39 @@ class EnhancedStudySystem {
         const dayNote = calendarNotes.get(dateKey); 
         
         if (dayNote && dayNote.files && fileIndex >= 0 && fileIndex < dayNote.files.length) { 
-            dayNote.files.splice(fileIndex, 1); 
-            calendarNotes.set(dateKey, dayNote); 
-            this.calendarNotes.set(this.currentUser, calendarNotes); 
-            
-            // Update file list in modal 
-            const fileList = document.getElementById('calendarDayFileList'); 
-            fileList.innerHTML = ''; 
-            if (dayNote.files.length > 0) { 
-                dayNote.files.forEach((file, index) => { 
-                    const fileItem = document.createElement('div'); 
-                    fileItem.className = 'subject-material-item'; 
-                    fileItem.innerHTML = ` 
-                        <div> 
-                            <div class="subject-material-name">${file.name}</div> 
-                            <div class="subject-material-type">PDF • ${this.formatFileSize(file.size)}</div> 
-                        </div> 
-                        <button class="btn btn-small" onclick="removeCalendarDayFile('${dateKey}', ${index})">Remove</button> 
-                    `; 
-                    fileList.appendChild(fileItem); 
-                }); 
-            } 
+            const fileName = dayNote.files[fileIndex].name; 
+            const command = this.recordChange(`Remove ${fileName}`, ['calendarNotes'], () => { 
+                dayNote.files.splice(fileIndex, 1); 
+                calendarNotes.set(dateKey, dayNote); 
+                this.calendarNotes.set(this.currentUser, calendarNotes); 
+            }); 
             
+            this.renderCalendarDayFiles(dateKey); 
             this.updateCalendar(); 
             this.saveState(); 
-            showToast('File removed', 'info'); 
+            showToast(`Removed ${fileName}`, 'info', this.undoAction(command)); 
         } 
     } 
     
+    renderCalendarDayFiles(dateKey) { 
+        const calendarNotes = this.calendarNotes.get(this.currentUser) || new Map(); 
+        const dayNote = calendarNotes.get(dateKey) || { note: '', files: [] }; 
+        const fileList = document.getElementById('calendarDayFileList'); 
+        fileList.innerHTML = ''; 
+        (dayNote.files || []).forEach((file, index) => { 
+            const fileItem = document.createElement('div'); 
+            fileItem.className = 'subject-material-item'; 
+            fileItem.innerHTML = ` 
+                <div> 
+                    <div class="subject-material-name">${file.name}</div> 
+                    <div class="subject-material-type">PDF • ${this.formatFileSize(file.size)}</div> 
+                </div> 
+                <button class="btn btn-small" onclick="removeCalendarDayFile('${dateKey}', ${index})">Remove</button> 
+            `; 
+            fileList.appendChild(fileItem); 
+        }); 
+    } 
+    
     exportToPDF() { 
         if (!this.currentUser) return; 
         
@@ -1759,8 +5318,9 @@ class EnhancedStudySystem {
         
         // Prepare table data 
         const tableData = schedule.map(session => [ 
-            session.day, 
+            session.date, 
             session.time, 
+            this.formatDuration(session.durationMinutes), 
             session.subject, 
             session.topic, 
             session.sessionType, 
@@ -1769,7 +5329,7 @@ class EnhancedStudySystem {
         ]); 
         
         doc.autoTable({ 
-            head: [['Day', 'Time', 'Subject', 'Topic', 'Type', 'Priority', 'Status']], 
+            head: [['Date', 'Time', 'Duration', 'Subject', 'Topic', 'Type', 'Priority', 'Status']], 
             body: tableData, 
             startY: 50, 
             styles: { fontSize: 10 }, 
@@ -1789,12 +5349,7 @@ class EnhancedStudySystem {
             return; 
         } 
         
-        // Create CSV content 
-        let csv = 'Day,Time,Subject,Topic,Session Type,Priority,Completed,Notes\n'; 
-        
-        schedule.forEach(session => { 
-            csv += `${session.day},${session.time},"${session.subject}","${session.topic}","${session.sessionType}",${session.priority},${session.completed ? 'Yes' : 'No'},"${session.notes}"\n`; 
-        }); 
+        const csv = this.planner.toCSV(schedule); 
         
         // Create download link 
         const blob = new Blob([csv], { type: 'text/csv' }); 
@@ -1810,20 +5365,28 @@ class EnhancedStudySystem {
         showToast('CSV export completed!', 'success'); 
     } 
     
-    exportToJSON() { 
+    async exportToJSON() { 
         if (!this.currentUser) return; 
         
+        // Backups are self-contained, so file bodies are read back out of the blob store 
+        const withContent = files => Promise.all(files.map(async file => { 
+            const { blobKey, ...rest } = file; 
+            return { ...rest, content: await this.getFileContent(file) }; 
+        })); 
         const userData = { 
+            format: BACKUP_FORMAT, 
+            version: BACKUP_VERSION, 
+            exportedAt: new Date().toISOString(), 
             user: this.users.get(this.currentUser), 
             schedule: this.userSchedules.get(this.currentUser) || [], 
             progress: this.userProgress.get(this.currentUser), 
-            files: this.uploadedFiles.get(this.currentUser) || [], 
-            subjectFiles: [...(this.subjectFiles.get(this.currentUser) || new Map()).entries()], 
+            files: await withContent(this.uploadedFiles.get(this.currentUser) || []), 
+            subjectFiles: await Promise.all([...(this.subjectFiles.get(this.currentUser) || new Map())].map(async ([subject, files]) => [subject, await withContent(files)])), 
             notes: this.notes.get(this.currentUser) || [], 
-            calendarNotes: [...(this.calendarNotes.get(this.currentUser) || new Map()).entries()] 
+            calendarNotes: await Promise.all([...(this.calendarNotes.get(this.currentUser) || new Map())].map(async ([dateKey, day]) => [dateKey, { ...day, files: await withContent(day.files || []) }])) 
         }; 
         
-        const json = JSON.stringify(userData, null, 2); 
+        const json = JSON.stringify(userData, stateReplacer, 2); 
         const blob = new Blob([json], { type: 'application/json' }); 
         const url = URL.createObjectURL(blob); 
         const a = document.createElement('a'); 
@@ -1837,6 +5400,327 @@ class EnhancedStudySystem {
         showToast('Data export completed!', 'success'); 
     } 
     
+    // Backup import (the counterpart of exportToJSON) 
+    async readBackupFile(file) { 
+        let bundle; 
+        try { 
+            bundle = JSON.parse(await file.text(), stateReviver); 
+        } catch (e) { 
+            showToast(`${file.name} is not a valid JSON file.`, 'error'); 
+            return; 
+        } 
+        const errors = this.validateBackup(bundle); 
+        if (errors.length > 0) { 
+            showToast(`Invalid backup: ${errors.join('; ')}`, 'error'); 
+            return; 
+        } 
+        const normalized = this.normalizeBackup(bundle); 
+        // Digests let a merge tell identical materials from changed ones without reading blobs 
+        const incomingFiles = [normalized.files, ...normalized.subjectFiles.values(), ...[...normalized.calendarNotes.values()].map(day => day.files)].flat(); 
+        for (const file of incomingFiles) { 
+            delete file.blobKey; 
+            if (typeof file.content === 'string') file.contentDigest = await sha256Hex(file.content); 
+        } 
+        this.pendingImport = { bundle: normalized, plan: null }; 
+        this.showImportPreview(); 
+    } 
+    
+    validateBackup(bundle) { 
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) return ['the file does not contain a backup']; 
+        const errors = []; 
+        const isFile = f => f && f.metadata && typeof f.metadata.name === 'string'; 
+        const isEntryList = (list, check) => Array.isArray(list) && list.every(e => Array.isArray(e) && e.length === 2 && check(e[1])); 
+        if (bundle.format !== undefined && bundle.format !== BACKUP_FORMAT) errors.push(`unknown format "${bundle.format}"`); 
+        if (bundle.version > BACKUP_VERSION) errors.push('it was created by a newer version of the app'); 
+        if (!bundle.user || typeof bundle.user.name !== 'string' || !bundle.user.name.trim()) errors.push('user name is missing'); 
+        if (bundle.user && bundle.user.avatarColor !== undefined && !AVATAR_COLOR_PATTERN.test(bundle.user.avatarColor)) errors.push('avatar colour is not a hex colour'); 
+        if (!Array.isArray(bundle.schedule) || !bundle.schedule.every(s => s && typeof s.subject === 'string' && typeof s.topic === 'string' && typeof s.time === 'string')) { 
+            errors.push('schedule is malformed'); 
+        } 
+        if (bundle.notes !== undefined && !(Array.isArray(bundle.notes) && bundle.notes.every(n => n && typeof n.content === 'string'))) errors.push('notes are malformed'); 
+        if (bundle.files !== undefined && !(Array.isArray(bundle.files) && bundle.files.every(isFile))) errors.push('files are malformed'); 
+        if (bundle.subjectFiles !== undefined && !isEntryList(bundle.subjectFiles, files => Array.isArray(files) && files.every(isFile))) errors.push('subject files are malformed'); 
+        if (bundle.calendarNotes !== undefined && !isEntryList(bundle.calendarNotes, day => day && typeof day === 'object')) errors.push('calendar notes are malformed'); 
+        return errors; 
+    } 
+    
+    normalizeBackup(bundle) { 
+        const progress = { completionRate: 0, studyStreak: 0, totalHours: 0, daysLeft: 0, formHistory: null, ...(bundle.progress || {}) }; 
+        // Exports made before Maps were preserved carry subjectProgress as {} 
+        if (!(progress.subjectProgress instanceof Map)) progress.subjectProgress = new Map(); 
+        // Backups from before sessions had ids get ones scoped to this import 
+        const importedAt = Date.now(); 
+        const unidentified = new Set(); 
+        bundle.schedule.forEach((session, i) => { 
+            if (!session.id) { 
+                session.id = `import-${importedAt.toString(36)}-${i}`; 
+                unidentified.add(session.id); 
+            } 
+            if (session.rev === undefined) session.rev = 0; 
+            if (session.generatedAt === undefined) session.generatedAt = 0; 
+            if (!session.date) session.date = legacySessionDate(session, importedAt); 
+            if (session.durationMinutes === undefined) session.durationMinutes = (session.duration || 1) * 60; 
+            delete session.duration; 
+        }); 
+        return { 
+            user: bundle.user, 
+            schedule: bundle.schedule, 
+            unidentified, 
+            progress, 
+            files: bundle.files || [], 
+            subjectFiles: new Map(bundle.subjectFiles || []), 
+            notes: bundle.notes || [], 
+            calendarNotes: new Map((bundle.calendarNotes || []).map(([dateKey, day]) => [dateKey, { note: day.note || '', files: day.files || [] }])) 
+        }; 
+    } 
+    
+    showImportPreview() { 
+        const { bundle } = this.pendingImport; 
+        const subjectFileCount = [...bundle.subjectFiles.values()].reduce((sum, files) => sum + files.length, 0); 
+        document.getElementById('importPreview').innerHTML = ` 
+            <div class="knowledge-item"> 
+                <strong>${escapeHTML(bundle.user.name)}</strong> 
+                <p>Exam date: ${escapeHTML(bundle.progress.formHistory?.examDate || 'not set')}</p> 
+                <p>${bundle.schedule.length} sessions (${bundle.schedule.filter(s => s.completed).length} completed) • ${bundle.notes.length} notes • ${bundle.files.length + subjectFileCount} files • ${bundle.calendarNotes.size} calendar days</p> 
+            </div> 
+        `; 
+        
+        const target = document.getElementById('importTarget'); 
+        // Locked profiles cannot be written to until they are unlocked 
+        const targets = [...this.users.values()].filter(u => !this.isLocked(u.id)); 
+        target.innerHTML = targets.map(u => `<option value="${escapeHTML(u.id)}">${escapeHTML(u.name)}</option>`).join(''); 
+        const sameName = targets.find(u => u.name.toLowerCase() === bundle.user.name.toLowerCase()); 
+        if (sameName) target.value = sameName.id; 
+        
+        // Default to merging into a profile with the same name, otherwise create a new one 
+        document.querySelectorAll('input[name="importMode"]').forEach(radio => { 
+            radio.checked = radio.value === (sameName ? 'merge' : 'new'); 
+            radio.disabled = radio.value !== 'new' && targets.length === 0; 
+        }); 
+        this.onImportModeChange(); 
+        openModal('importModal'); 
+    } 
+    
+    onImportModeChange() { 
+        if (!this.pendingImport) return; 
+        const mode = document.querySelector('input[name="importMode"]:checked').value; 
+        document.getElementById('importTargetGroup').style.display = mode === 'new' ? 'none' : ''; 
+        document.getElementById('importConflicts').innerHTML = ''; 
+        document.getElementById('importConfirmBtn').textContent = mode === 'merge' ? 'Review Merge' : 'Import'; 
+        this.pendingImport.plan = null; 
+    } 
+    
+    confirmImport() { 
+        if (!this.pendingImport) return; 
+        const { bundle } = this.pendingImport; 
+        const mode = document.querySelector('input[name="importMode"]:checked').value; 
+        const targetId = document.getElementById('importTarget').value; 
+        
+        if (mode === 'new') { 
+            const userId = this.importAsNewUser(bundle); 
+            if (userId) this.finishImport(userId, `Imported ${bundle.user.name} as a new user`); 
+        } else if (mode === 'replace') { 
+            const target = this.users.get(targetId); 
+            if (!target || !confirm(`Replace all of ${target.name}'s data with this backup?`)) return; 
+            this.replaceUserData(targetId, bundle); 
+            this.finishImport(targetId, `${target.name}'s data was replaced from the backup`); 
+        } else { 
+            if (!this.users.has(targetId)) return; 
+            // First click builds the merge plan; conflicts are resolved before the second click applies it 
+            if (!this.pendingImport.plan) { 
+                this.pendingImport.plan = this.planMerge(targetId, bundle); 
+                if (this.pendingImport.plan.conflicts.length > 0) { 
+                    this.renderImportConflicts(this.pendingImport.plan); 
+                    return; 
+                } 
+            } 
+            const { added, conflicts } = this.pendingImport.plan; 
+            this.applyMerge(targetId, this.pendingImport.plan); 
+            this.finishImport(targetId, `Merged ${added} new item${added === 1 ? '' : 's'} and resolved ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}`); 
+        } 
+    } 
+    
+    importAsNewUser(bundle) { 
+        let name = bundle.user.name.trim(); 
+        const taken = n => [...this.users.values()].some(u => u.name.toLowerCase() === n.toLowerCase()); 
+        for (let i = 2; taken(name); i++) name = `${bundle.user.name.trim()} (${i})`; 
+        const user = this.addUser(`user_${Date.now()}`, name, bundle.user.avatarColor || DEFAULT_AVATAR_COLOR); 
+        if (!user) return null; 
+        this.replaceUserData(user.id, bundle); 
+        return user.id; 
+    } 
+    
+    replaceUserData(userId, bundle) { 
+        this.userSchedules.set(userId, bundle.schedule); 
+        this.userProgress.set(userId, bundle.progress); 
+        this.uploadedFiles.set(userId, bundle.files); 
+        this.subjectFiles.set(userId, bundle.subjectFiles); 
+        this.notes.set(userId, bundle.notes); 
+        this.calendarNotes.set(userId, bundle.calendarNotes); 
+    } 
+    
+    describeSession(s) { 
+        return `${this.formatSessionDate(s.date)} ${s.time}: ${s.subject} – ${s.topic} (${this.sessionTypes[s.sessionType]?.label || s.sessionType}${s.completed ? ', completed' : ''}${s.notes ? `, note: "${s.notes}"` : ''})`; 
+    } 
+    
+    planMerge(userId, bundle) { 
+        const plan = { 
+            schedule: (this.userSchedules.get(userId) || []).map(s => ({ ...s })), 
+            notes: [...(this.notes.get(userId) || [])], 
+            files: [...(this.uploadedFiles.get(userId) || [])], 
+            subjectFiles: new Map([...(this.subjectFiles.get(userId) || new Map())].map(([subject, files]) => [subject, [...files]])), 
+            calendarNotes: new Map([...(this.calendarNotes.get(userId) || new Map())].map(([dateKey, day]) => [dateKey, { note: day.note || '', files: [...(day.files || [])] }])), 
+            formHistory: this.userProgress.get(userId).formHistory, 
+            added: 0, 
+            conflicts: [] 
+        }; 
+        
+        // Sessions are identified by their id, so one moved since the backup is still the same 
+        // session; backups from before sessions had ids are matched by slot. An identical 
+        // session is a duplicate. 
+        const sameSlot = (a, b) => a.date === b.date && a.time === b.time; 
+        const sameSession = (a, b) => sameSlot(a, b) && ['subject', 'topic', 'sessionType', 'completed', 'notes'].every(k => (a[k] || '') === (b[k] || '')); 
+        bundle.schedule.forEach(incoming => { 
+            const index = bundle.unidentified.has(incoming.id) 
+                ? plan.schedule.findIndex(s => sameSlot(s, incoming)) 
+                : plan.schedule.findIndex(s => s.id === incoming.id); 
+            if (index === -1) { 
+                plan.schedule.push({ ...incoming }); 
+                plan.added++; 
+            } else if (!sameSession(plan.schedule[index], incoming)) { 
+                const local = plan.schedule[index]; 
+                plan.conflicts.push({ 
+                    label: sameSlot(local, incoming) 
+                        ? `Session on ${this.formatSessionDate(incoming.date)} at ${incoming.time}` 
+                        : `Session ${incoming.subject} – ${incoming.topic}`, 
+                    local: this.describeSession(local), 
+                    incoming: this.describeSession(incoming), 
+                    // Outranks the current copy, so other tabs and devices take the backup's version 
+                    useIncoming: () => { plan.schedule[index] = { ...incoming, rev: Math.max(local.rev || 0, incoming.rev || 0) + 1 }; } 
+                }); 
+            } 
+        }); 
+        plan.schedule.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time)); 
+        
+        // Notes are append-only, so only exact duplicates are dropped 
+        bundle.notes.forEach(note => { 
+            if (!plan.notes.some(n => n.date === note.date && n.content === note.content)) { 
+                plan.notes.push(note); 
+                plan.added++; 
+            } 
+        }); 
+        
+        // Files are matched by name; different content under the same name is a conflict 
+        const describeFile = f => `${this.formatFileSize(f.metadata.size)}, last modified ${new Date(f.metadata.lastModified).toLocaleString()}`; 
+        const mergeFiles = (list, incomingFiles, where) => { 
+            incomingFiles.forEach(file => { 
+                const index = list.findIndex(f => f.metadata.name === file.metadata.name); 
+                if (index === -1) { 
+                    list.push(file); 
+                    plan.added++; 
+                } else if (list[index].contentDigest !== file.contentDigest) { 
+                    plan.conflicts.push({ 
+                        label: `File "${file.metadata.name}"${where}`, 
+                        local: describeFile(list[index]), 
+                        incoming: describeFile(file), 
+                        useIncoming: () => { list[index] = file; } 
+                    }); 
+                } 
+            }); 
+        }; 
+        mergeFiles(plan.files, bundle.files, ''); 
+        bundle.subjectFiles.forEach((files, subject) => { 
+            if (!plan.subjectFiles.has(subject)) plan.subjectFiles.set(subject, []); 
+            mergeFiles(plan.subjectFiles.get(subject), files, ` (${subject})`); 
+        }); 
+        
+        // Calendar days: attachments are combined, differing note text is a conflict 
+        bundle.calendarNotes.forEach((day, dateKey) => { 
+            const local = plan.calendarNotes.get(dateKey); 
+            if (!local) { 
+                plan.calendarNotes.set(dateKey, { note: day.note, files: [...day.files] }); 
+                plan.added++; 
+                return; 
+            } 
+            day.files.forEach(file => { 
+                if (!local.files.some(f => f.name === file.name)) local.files.push(file); 
+            }); 
+            if (day.note && !local.note) { 
+                local.note = day.note; 
+            } else if (day.note && day.note !== local.note) { 
+                plan.conflicts.push({ 
+                    label: `Calendar note for ${dateKey}`, 
+                    local: local.note, 
+                    incoming: day.note, 
+                    useIncoming: () => { local.note = day.note; } 
+                }); 
+            } 
+        }); 
+        
+        // Study configuration used to generate the schedule 
+        const incomingForm = bundle.progress.formHistory; 
+        if (incomingForm && !plan.formHistory) { 
+            plan.formHistory = incomingForm; 
+        } else if (incomingForm && JSON.stringify(incomingForm) !== JSON.stringify(plan.formHistory)) { 
+            const describeForm = f => `exam ${f.examDate}, subjects: ${f.subjects}, ${f.studyHours}h/day in ${this.planner.sessionSettings(f).length}-min sessions`; 
+            plan.conflicts.push({ 
+                label: 'Study configuration', 
+                local: describeForm(plan.formHistory), 
+                incoming: describeForm(incomingForm), 
+                useIncoming: () => { plan.formHistory = incomingForm; } 
+            }); 
+        } 
+        
+        return plan; 
+    } 
+    
+    renderImportConflicts(plan) { 
+        const container = document.getElementById('importConflicts'); 
+        container.innerHTML = ` 
+            <h3>${plan.conflicts.length} conflict${plan.conflicts.length === 1 ? '' : 's'} to resolve</h3> 
+            <div class="import-conflict-actions"> 
+                <button type="button" class="btn btn-small btn-secondary" onclick="setImportResolutions('local')">Keep all current</button> 
+                <button type="button" class="btn btn-small btn-secondary" onclick="setImportResolutions('incoming')">Use all from backup</button> 
+            </div> 
+            ${plan.conflicts.map((c, i) => ` 
+                <div class="import-conflict"> 
+                    <div class="import-conflict-label">${escapeHTML(c.label)}</div> 
+                    <label><input type="radio" name="importConflict${i}" value="local" checked> Keep current: ${escapeHTML(c.local)}</label> 
+                    <label><input type="radio" name="importConflict${i}" value="incoming"> Use backup: ${escapeHTML(c.incoming)}</label> 
+                </div> 
+            `).join('')} 
+        `; 
+        document.getElementById('importConfirmBtn').textContent = 'Apply Merge'; 
+    } 
+    
+    applyMerge(userId, plan) { 
+        plan.conflicts.forEach((conflict, i) => { 
+            const choice = document.querySelector(`input[name="importConflict${i}"]:checked`); 
+            if (choice && choice.value === 'incoming') conflict.useIncoming(); 
+        }); 
+        this.userSchedules.set(userId, plan.schedule); 
+        this.notes.set(userId, plan.notes); 
+        this.uploadedFiles.set(userId, plan.files); 
+        this.subjectFiles.set(userId, plan.subjectFiles); 
+        this.calendarNotes.set(userId, plan.calendarNotes); 
+        this.userProgress.get(userId).formHistory = plan.formHistory; 
+    } 
+    
+    finishImport(userId, message) { 
+        this.pendingImport = null; 
+        closeModal('importModal'); 
+        this.renderUserCards(); 
+        this.switchUser(userId); 
+        const { formHistory } = this.userProgress.get(userId); 
+        if (formHistory) this.updateUserProgress(formHistory); 
+        this.saveState(); 
+        // Imported files arrive with their content inline 
+        this.externalizeFileContents(userId) 
+            .then(moved => moved > 0 && this.saveState()) 
+            .catch(error => this.reportStorageError(error)); 
+        showToast(message, 'success'); 
+    } 
+    
     exportToCalendar() { 
         if (!this.currentUser) return; 
         
@@ -1846,43 +5730,7 @@ class EnhancedStudySystem {
             return; 
         } 
         
-        // Create iCalendar content 
-        let ical = 'BEGIN:VCALENDAR\nVERSION:2.0\nPRODID:-//AI Study Nexus//Study Schedule//EN\n'; 
-        
-        // Get current date as reference 
-        const currentDate = new Date(); 
-        const examDate = new Date(this.userProgress.get(this.currentUser).formHistory.examDate); 
-        
-        schedule.forEach(session => { 
-            // Calculate session date 
-            const sessionDate = new Date(currentDate); 
-            sessionDate.setDate(currentDate.getDate() + (session.day - 1)); 
-            
-            // Parse time 
-            const [hours, minutes] = session.time.split(':').map(Number); 
-            sessionDate.setHours(hours, minutes, 0, 0); 
-            
-            // End time (1 hour later) 
-            const endDate = new Date(sessionDate); 
-            endDate.setHours(endDate.getHours() + 1); 
-            
-            // Format dates for iCalendar 
-            const formatDate = (date) => { 
-                return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z'; 
-            }; 
-            
-            ical += `BEGIN:VEVENT\n`; 
-            ical += `UID:${session.day}-${session.time.replace(':', '')}@study-nexus\n`; 
-            ical += `DTSTAMP:${formatDate(new Date())}\n`; 
-            ical += `DTSTART:${formatDate(sessionDate)}\n`; 
-            ical += `DTEND:${formatDate(endDate)}\n`; 
-            ical += `SUMMARY:${session.subject} - ${session.topic}\n`; 
-            ical += `DESCRIPTION:${session.notes || 'Study session'}\n`; 
-            ical += `CATEGORIES:${session.sessionType}\n`; 
-            ical += `END:VEVENT\n`; 
-        }); 
-        
-        ical += 'END:VCALENDAR\n'; 
+        const ical = this.planner.toICS(schedule); 
         
         // Create download link 
         const blob = new Blob([ical], { type: 'text/calendar' }); 
@@ -1939,36 +5787,40 @@ class EnhancedStudySystem {
         const index = files.findIndex(f => f.metadata.name === fileName); 
         
         if (index > -1) { 
-            files.splice(index, 1); 
-            subjectFilesMap.set(subject, files); 
-            this.subjectFiles.set(this.currentUser, subjectFilesMap); 
+            const command = this.recordChange(`Remove ${fileName}`, ['subjectFiles'], () => { 
+                files.splice(index, 1); 
+                subjectFilesMap.set(subject, files); 
+                this.subjectFiles.set(this.currentUser, subjectFilesMap); 
+            }); 
             this.updateSubjectMaterialsList(subject); 
             this.saveState(); 
-            showToast(`Removed ${fileName} from ${subject}`, 'info'); 
+            showToast(`Removed ${fileName} from ${subject}`, 'info', this.undoAction(command)); 
         } 
     } 
     
     // Session details modal 
-    viewSessionDetails(day, index) { 
+    viewSessionDetails(date, index) { 
         if (!this.currentUser) return; 
         
         const schedule = this.userSchedules.get(this.currentUser) || []; 
-        const session = schedule.find(s => s.day === day && schedule.indexOf(s) === index); 
+        const session = (groupBy(schedule, 'date')[date] || [])[index]; 
         
         if (!session) return; 
         
+        const memory = this.getReviewItems(this.currentUser).get(SpacedRepetition.key(session.subject, session.topic)); 
         const content = document.getElementById('sessionDetailsContent'); 
         content.innerHTML = ` 
             <div class="session-detail"> 
-                <h3>${session.subject} - ${session.topic}</h3> 
+                <h3>${escapeHTML(session.subject)} - ${escapeHTML(session.topic)}</h3> 
                 <div class="session-meta"> 
-                    <div><strong>Day:</strong> ${session.day}</div> 
-                    <div><strong>Time:</strong> ${session.time}</div> 
+                    <div><strong>Date:</strong> ${this.formatSessionDate(session.date)}</div> 
+                    <div><strong>Time:</strong> ${session.time}–${this.planner.toClock(this.planner.sessionInterval(session).end % 1440)} (${this.formatDuration(session.durationMinutes)})</div> 
                     <div><strong>Type:</strong> <span class="session-type ${session.sessionType}">${this.sessionTypes[session.sessionType].label}</span></div> 
                     <div><strong>Priority:</strong> ${session.priority.charAt(0).toUpperCase() + session.priority.slice(1)}</div> 
                     <div><strong>Status:</strong> ${session.completed ? 'Completed' : 'Pending'}</div> 
+                    ${memory && memory.due ? `<div><strong>Next review:</strong> ${this.formatSessionDate(memory.due)} (ease ${memory.ease.toFixed(2)})</div>` : ''} 
                 </div> 
-                ${session.notes ? `<div class="session-notes"><strong>Notes:</strong> ${session.notes}</div>` : ''} 
+                ${session.notes ? `<div class="session-notes"><strong>Notes:</strong> ${escapeHTML(session.notes)}</div>` : ''} 
             </div> 
         `; 
         
@@ -1984,7 +5836,7 @@ class EnhancedStudySystem {
                         <i class="fas ${this.getResourceIcon(resource.type)}"></i> 
                     </div> 
                     <div> 
-                        <div class="resource-title">${resource.title}</div> 
+                        <div class="resource-title">${escapeHTML(resource.title)}</div> 
                         <div class="resource-type">${resource.type.charAt(0).toUpperCase() + resource.type.slice(1)}</div> 
                     </div> 
                 `; 
@@ -2025,6 +5877,7 @@ class EnhancedStudySystem {
         const totalSessions = schedule.length; 
         const completedSessions = schedule.filter(s => s.completed).length; 
         const completionRate = Math.round((completedSessions / totalSessions) * 100); 
+        const hours = sessions => Math.round(sessions.reduce((sum, s) => sum + s.durationMinutes, 0) / 6) / 10; 
         
         // Session type distribution 
         const sessionTypes = { 
@@ -2091,6 +5944,10 @@ class EnhancedStudySystem {
                 <div class="stat-value">${completedSessions}/${totalSessions}</div> 
                 <div class="stat-label">Sessions Completed</div> 
             </div> 
+            <div class="stat-item"> 
+                <div class="stat-value">${hours(schedule.filter(s => s.completed))}h/${hours(schedule)}h</div> 
+                <div class="stat-label">Hours Studied</div> 
+            </div> 
             <div class="stat-item"> 
                 <div class="stat-value">${Object.keys(subjects).length}</div> 
                 <div class="stat-label">Subjects</div> 
@@ -2113,9 +5970,11 @@ class EnhancedStudySystem {
         const subjects = new Set();
         const topics = new Set();
         
+        const subjectOf = new Map();
         schedule.forEach(session => {
             subjects.add(session.subject);
             topics.add(session.topic);
+            subjectOf.set(session.topic, session.subject);
         });
         
         const questions = [];
@@ -2138,7 +5997,9 @@ class EnhancedStudySystem {
             questions.push({
                 question,
                 options,
-                correct: template.correct
+                correct: template.correct,
+                subject: subjectOf.get(topic),
+                topic
             });
         }
         
@@ -2150,16 +6011,34 @@ class EnhancedStudySystem {
 // ================================================================================= 
 let studySystem;  
 let currentEditingItem = null; 
-function showToast(message, type = 'info') { 
+function showToast(message, type = 'info', action = null) { 
     const toast = document.createElement('div'); 
     toast.className = `toast ${type}`; 
     toast.textContent = message; 
+    const dismiss = () => { 
+        if (!toast.parentNode) return; 
+        toast.classList.remove('show'); 
+        setTimeout(() => toast.remove(), 300); 
+    }; 
+    // Optional action button, e.g. { label: 'Undo', onClick } 
+    if (action) { 
+        const button = document.createElement('button'); 
+        button.className = 'toast-action'; 
+        button.textContent = action.label; 
+        button.onclick = () => { 
+            dismiss(); 
+            action.onClick(); 
+        }; 
+        toast.appendChild(button); 
+    } 
     document.body.appendChild(toast); 
     setTimeout(() => toast.classList.add('show'), 10); 
-    setTimeout(() => { 
-        toast.classList.remove('show'); 
-        setTimeout(() => document.body.removeChild(toast), 300); 
-    }, 4000); 
+    setTimeout(dismiss, action ? 7000 : 4000); 
+} 
+// Safe in element content and in quoted attribute values 
+function escapeHTML(text) { 
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }; 
+    return (text == null ? '' : String(text)).replace(/[&<>"']/g, c => entities[c]); 
 } 
 function addNewUser() {  
     openModal('userModal');  
@@ -2170,33 +6049,116 @@ function closeModal(id) {
 function openModal(id) {  
     document.getElementById(id).style.display = 'flex';  
 } 
-function editScheduleItem(day, index) { 
-    const item = studySystem.groupBy(studySystem.userSchedules.get(studySystem.currentUser), 'day')[day][index]; 
+function editScheduleItem(date, index) { 
+    const item = groupBy(studySystem.userSchedules.get(studySystem.currentUser), 'date')[date][index]; 
     currentEditingItem = { item }; 
     document.getElementById('editTime').value = item.time; 
+    document.getElementById('editDuration').value = item.durationMinutes; 
     document.getElementById('editSubject').value = item.subject; 
     document.getElementById('editTopic').value = item.topic; 
     updateCustomSelect('editSessionType', item.sessionType); 
     openModal('editModal'); 
 } 
-function markCompleted(day, index) { 
+function markCompleted(date, index) { 
     const schedule = studySystem.userSchedules.get(studySystem.currentUser); 
-    const item = studySystem.groupBy(schedule, 'day')[day][index]; 
-    item.completed = !item.completed; 
+    const item = groupBy(schedule, 'date')[date][index]; 
+    studySystem.recordChange(item.completed ? 'Mark session pending' : 'Mark session completed', ['userSchedules'], () => { 
+        item.completed = !item.completed; 
+        studySystem.touchSession(item); 
+    }); 
     studySystem.updateScheduleUI(schedule); 
     studySystem.updateUserProgress(studySystem.userProgress.get(studySystem.currentUser).formHistory); 
+    if (item.completed) studySystem.promptRecallRating(item); 
+} 
+function openSyllabusEditor(subject) { 
+    studySystem.openSyllabusEditor(subject); 
+} 
+function buildSyllabusTree() { 
+    studySystem.buildSyllabusTree(); 
+} 
+function editSyllabus(action, unitIndex, topicIndex) { 
+    studySystem.editSyllabus(action, unitIndex, topicIndex); 
+} 
+function saveSyllabus() { 
+    studySystem.saveSyllabus(); 
+} 
+function removeSyllabus() { 
+    studySystem.removeSyllabus(); 
+} 
+function loadSyllabusFile(input) { 
+    if (input.files.length > 0) studySystem.loadSyllabusFile(input.files[0]); 
+    input.value = ''; 
+} 
+function setTopicConfidence(select) { 
+    studySystem.setTopicConfidence(decodeURIComponent(select.dataset.subject), decodeURIComponent(select.dataset.topic), Number(select.value)); 
+} 
+function openTopicGraph(subject) { 
+    studySystem.openTopicGraph(subject); 
+} 
+function rateRecall(grade) { 
+    studySystem.rateRecall(grade); 
+} 
+function applyRegeneration() { 
+    studySystem.applyRegeneration(); 
+} 
+function cancelRegeneration() { 
+    studySystem.cancelRegeneration(); 
 } 
-function viewSessionDetails(day, index) { 
-    studySystem.viewSessionDetails(day, index); 
+function setRegenerationSelection(checked) { 
+    studySystem.setRegenerationSelection(checked); 
 } 
-function viewFileAnalysis(fileName) { 
+function openStrategyComparison() { 
+    studySystem.openStrategyComparison(); 
+} 
+function compareStrategies() { 
+    const [first, second] = [...document.querySelectorAll('#strategyComparison .strategy-pick')].map(select => select.value); 
+    studySystem.compareStrategies(first, second); 
+} 
+function useStrategy(id) { 
+    studySystem.useStrategy(id); 
+} 
+function rotateRecognizedImage(direction) { 
+    studySystem.rotateRecognizedImage(direction); 
+} 
+function saveRecognizedText() { 
+    studySystem.saveRecognizedText(); 
+} 
+function cancelRecognizedText() { 
+    studySystem.cancelRecognizedText(); 
+} 
+function openWhatIf() { 
+    studySystem.openWhatIf(); 
+} 
+function runWhatIf() { 
+    studySystem.runWhatIf(); 
+} 
+function useWhatIf() { 
+    studySystem.useWhatIf(); 
+} 
+function toggleDayOff() { 
+    studySystem.toggleDayOff(document.getElementById('calendarDayModal').dataset.isoDate); 
+} 
+function togglePinSession(date, index) { 
+    studySystem.togglePinSession(date, index); 
+} 
+function showRescheduleSummary() { 
+    studySystem.showRescheduleSummary(); 
+} 
+function undoReschedule() { 
+    studySystem.undoReschedule(); 
+} 
+function viewSessionDetails(date, index) { 
+    studySystem.viewSessionDetails(date, index); 
+} 
+async function viewFileAnalysis(fileName) { 
     const file = studySystem.uploadedFiles.get(studySystem.currentUser).find(f => f.metadata.name === fileName); 
     if (!file) return; 
+    const content = await studySystem.getFileContent(file); 
     document.getElementById('fileModalTitle').textContent = `Analysis: ${file.metadata.name}`; 
     document.getElementById('fileAnalysisContent').innerHTML = ` 
         <div class="knowledge-item"> 
             <strong>Summary:</strong> 
-            <p>${file.content.substring(0,300)}...</p> 
+            <p>${escapeHTML(content.substring(0,300))}...</p> 
         </div> 
         <div class="knowledge-item"> 
             <strong>Word Count:</strong> ${file.analysis.wordCount} 
@@ -2207,17 +6169,75 @@ function viewFileAnalysis(fileName) {
         <div class="knowledge-item"> 
             <strong>Detected Topics:</strong> ${file.analysis.topics.join(', ') || 'None detected'} 
         </div> 
+        ${fileStructureHTML(file.structure)} 
     `; 
     openModal('fileModal'); 
 } 
+// How a file's text was read: recognition confidence for images; pages and outline for 
+// documents, with bookmarks when there are any and headings otherwise 
+function fileStructureHTML(structure) { 
+    if (structure && structure.blocks) { 
+        return ` 
+            <div class="knowledge-item"> 
+                <strong>Text Recognition:</strong> ${structure.blocks.length} block${structure.blocks.length === 1 ? '' : 's'}, ${structure.confidence}% confidence${structure.corrected ? ', corrected by you' : ''} 
+            </div> 
+        `; 
+    } 
+    if (structure && structure.sections) { 
+        // Slides, chapters and notebook cells are numbered like pages 
+        const where = { slide: 'slide', chapter: 'ch.', markdown: 'cell', code: 'cell' }; 
+        const kinds = new Map(structure.sections.map(section => [section.number, section.kind])); 
+        return ` 
+            ${structure.title ? `<div class="knowledge-item"><strong>Title:</strong> ${escapeHTML(structure.title)}</div>` : ''} 
+            ${structure.sections.length > 0 ? `<div class="knowledge-item"><strong>Contents:</strong> ${sectionCountText(structure.sections)}${structure.language ? ` (${escapeHTML(structure.language)})` : ''}</div>` : ''} 
+            ${fileOutlineHTML('Headings', structure.headings.map(heading => ({ 
+                title: heading.text, 
+                depth: heading.level - 1, 
+                place: heading.section ? `${where[kinds.get(heading.section)]} ${heading.section}` : '' 
+            })))} 
+        `; 
+    } 
+    if (!structure || !structure.pages) return ''; 
+    const scanned = structure.scannedPages || []; 
+    const entries = structure.outline && structure.outline.length > 0 
+        ? structure.outline.map(entry => ({ title: entry.title, depth: entry.depth, place: entry.page ? `p. ${entry.page}` : '' })) 
+        : (structure.headings || []).map(heading => ({ title: heading.text, depth: heading.level - 1, place: `p. ${heading.page}` })); 
+    return ` 
+        <div class="knowledge-item"> 
+            <strong>Pages:</strong> ${structure.pages.length}${scanned.length > 0 ? ` <span class="file-outline-note">(no text on page${scanned.length === 1 ? '' : 's'} ${scanned.join(', ')}, probably scanned)</span>` : ''} 
+        </div> 
+        ${fileOutlineHTML(structure.outline && structure.outline.length > 0 ? 'Bookmarks' : 'Headings', entries)} 
+    `; 
+} 
+// A titled, indented list of {title, depth, place}; long outlines are cut short 
+function fileOutlineHTML(label, entries) { 
+    if (entries.length === 0) return ''; 
+    return ` 
+        <div class="knowledge-item"> 
+            <strong>${label}:</strong> 
+            <ul class="file-outline"> 
+                ${entries.slice(0, 60).map(entry => `<li style="padding-left: ${Math.min(entry.depth, 4) * 16}px">${escapeHTML(entry.title)}${entry.place ? `<span class="file-outline-page">${entry.place}</span>` : ''}</li>`).join('')} 
+            </ul> 
+            ${entries.length > 60 ? `<div class="file-outline-note">and ${entries.length - 60} more</div>` : ''} 
+        </div> 
+    `; 
+} 
+// "12 slides", "8 chapters" or "5 markdown cells, 3 code cells" 
+function sectionCountText(sections) { 
+    const counts = groupBy(sections, 'kind'); 
+    const names = { slide: 'slide', chapter: 'chapter', markdown: 'markdown cell', code: 'code cell' }; 
+    return Object.entries(counts).map(([kind, list]) => `${list.length} ${names[kind]}${list.length === 1 ? '' : 's'}`).join(', '); 
+} 
 function removeFile(fileName) { 
     const files = studySystem.uploadedFiles.get(studySystem.currentUser); 
     const index = files.findIndex(f => f.metadata.name === fileName); 
     if (index > -1) { 
-        files.splice(index, 1); 
+        const command = studySystem.recordChange(`Remove ${fileName}`, ['uploadedFiles'], () => { 
+            files.splice(index, 1); 
+        }); 
         studySystem.updateFilesUI(); 
         studySystem.saveState(); 
-        showToast(`Removed ${fileName}`, 'info'); 
+        showToast(`Removed ${fileName}`, 'info', studySystem.undoAction(command)); 
     } 
 } 
 function removeSubjectFile(subject, fileName) { 
@@ -2232,8 +6252,8 @@ function addNote() {
         noteInput.value = ''; 
     } 
 } 
-function addNoteToSession(day, index) { 
-    studySystem.addNoteToSession(day, index); 
+function addNoteToSession(date, index) { 
+    studySystem.addNoteToSession(date, index); 
 } 
 function deleteNote(index) { 
     studySystem.deleteNote(index); 
@@ -2254,7 +6274,7 @@ async function queryRAG() {
     container.innerHTML = `<div class="loading"></div>`; 
     
     await studySystem.agents.rag.delay(1000); 
-    const results = studySystem.queryKnowledgeBase(query); 
+    const results = [...studySystem.queryKnowledgeBase(query), ...await studySystem.searchMaterials(query)]; 
     
     if (results.length > 0) { 
         container.innerHTML = results.map(r =>  
@@ -2294,11 +6314,11 @@ function generateQuiz() {
         questions.forEach((q, i) => {
             quizHTML += `
                 <div class="form-group" style="margin-bottom: 25px;">
-                    <h3>Question ${i+1}: ${q.question}</h3>
+                    <h3>Question ${i+1}: ${escapeHTML(q.question)}</h3>
                     ${q.options.map((opt, j) => `
                         <div style="margin: 10px 0;">
                             <input type="radio" id="q${i}_opt${j}" name="q${i}" value="${j}">
-                            <label for="q${i}_opt${j}" style="margin-left: 10px;">${opt}</label>
+                            <label for="q${i}_opt${j}" style="margin-left: 10px;">${escapeHTML(opt)}</label>
                         </div>
                     `).join('')}
                 </div>
@@ -2307,21 +6327,27 @@ function generateQuiz() {
         quizHTML += '</form>';
         
         document.getElementById('quizContent').innerHTML = quizHTML;
+        studySystem.currentQuiz = questions;
         document.getElementById('quizActions').innerHTML = `
-            <button class="btn btn-success" onclick="checkQuizAnswers(${JSON.stringify(questions).replace(/"/g, '&quot;')})">Check Answers</button>
+            <button class="btn btn-success" onclick="checkQuizAnswers()">Check Answers</button>
         `;
     }, 1500);
 } 
-function checkQuizAnswers(questionsStr) { 
-    const questions = JSON.parse(questionsStr.replace(/&quot;/g, '"')); 
+function checkQuizAnswers() { 
+    const questions = studySystem.currentQuiz; 
     let score = 0; 
+    const results = []; 
     
     questions.forEach((q, i) => { 
         const selected = document.querySelector(`input[name="q${i}"]:checked`); 
-        if (selected && parseInt(selected.value) === q.correct) { 
+        const correct = Boolean(selected && parseInt(selected.value) === q.correct); 
+        if (correct) { 
             score++; 
         } 
+        if (q.subject) results.push({ subject: q.subject, topic: q.topic, correct }); 
     }); 
+    // Answers feed the spaced repetition model like reviews do 
+    studySystem.recordQuizResults(results); 
     
     const percentage = Math.round((score / questions.length) * 100); 
     let message = `You scored ${score} out of ${questions.length} (${percentage}%)`; 
@@ -2380,6 +6406,18 @@ function exportToCSV() {
 function exportToJSON() { 
     studySystem.exportToJSON(); 
 } 
+function importFromJSON(input) { 
+    if (input.files.length > 0) studySystem.readBackupFile(input.files[0]); 
+    input.value = ''; 
+} 
+function confirmImport() { 
+    studySystem.confirmImport(); 
+} 
+function setImportResolutions(choice) { 
+    document.querySelectorAll('#importConflicts input[type="radio"]').forEach(radio => { 
+        radio.checked = radio.value === choice; 
+    }); 
+} 
 function exportToCalendar() { 
     studySystem.exportToCalendar(); 
 } 
@@ -2425,6 +6463,7 @@ function updateHiddenSubjectInput() {
     const tags = container.querySelectorAll('.tag-item'); 
     const subjects = [...tags].map(tag => tag.firstChild.textContent.trim()); 
     document.getElementById('subjects').value = subjects.join(' '); 
+    if (studySystem) studySystem.renderSubjectExams(subjects); 
 } 
 function updateCustomSelect(id, value) { 
     const wrapper = document.querySelector(`.custom-select-wrapper[data-hidden-input="${id}"]`); 
@@ -2450,6 +6489,54 @@ function saveCalendarDayNote() {
 function removeCalendarDayFile(dateKey, fileIndex) { 
     studySystem.removeCalendarDayFile(dateKey, fileIndex); 
 } 
+// --- Undo/redo --- 
+function undoChange() { 
+    studySystem.undo(); 
+} 
+function redoChange() { 
+    studySystem.redo(); 
+} 
+function lockCurrentProfile() { 
+    studySystem.lockCurrentUser(); 
+} 
+function applyAppUpdate() { 
+    studySystem.applyUpdate(); 
+} 
+function openStorageManager() { 
+    studySystem.showStorageManager(); 
+} 
+function selectStorageMaterials(kind) { 
+    studySystem.selectStorageMaterials(kind); 
+} 
+// --- Availability --- 
+function openAvailabilityEditor() { 
+    studySystem.openAvailabilityEditor(); 
+} 
+function saveAvailability() { 
+    studySystem.saveAvailability(); 
+} 
+function clearAvailabilityWeek() { 
+    studySystem.clearAvailabilityWeek(); 
+} 
+function removeAvailabilityException(index) { 
+    studySystem.removeAvailabilityException(index); 
+} 
+function pruneSelectedMaterials() { 
+    const indices = [...document.querySelectorAll('#storageMaterials input[type="checkbox"]:checked')].map(box => Number(box.value)); 
+    studySystem.pruneMaterials(indices); 
+} 
+// --- Device sync --- 
+function openSyncSettings() { 
+    document.getElementById('syncUrl').value = studySystem.settings.syncUrl; 
+    document.getElementById('syncToken').value = studySystem.settings.syncToken; 
+    openModal('syncModal'); 
+} 
+function disconnectSync() { 
+    studySystem.disconnectSync(); 
+} 
+function syncNow() { 
+    studySystem.syncNow(); 
+} 
 // --- Study statistics --- 
 function showStudyStatistics() { 
     studySystem.showStudyStatistics(); 
@@ -2459,7 +6546,12 @@ function showStudyStatistics() {
 // ================================================================================= 
 document.addEventListener('DOMContentLoaded', () => { 
     studySystem = new EnhancedStudySystem(); 
-    studySystem.initializeSystem(); 
+    studySystem.initializeSystem().catch(error => { 
+        console.error('Startup failed:', error); 
+        // IndexedDB refusing to open or upgrade is the usual cause; nothing has been written yet 
+        const storage = error instanceof DOMException || String(error && error.message).startsWith('Storage'); 
+        showToast(`Sched Friend could not start${storage ? ': saved data could not be opened' : ''}. Reload the page to try again.`, 'error', { label: 'Reload', onClick: () => location.reload() }); 
+    }); 
     
     const tomorrow = new Date(); 
     tomorrow.setDate(tomorrow.getDate() + 30); 
@@ -2506,44 +6598,38 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Form Submission Handlers --- 
     document.getElementById('studyForm').addEventListener('submit', (e) => { 
         e.preventDefault(); 
-        
-        // Collect study preferences 
-        const studyPreferences = []; 
-        document.querySelectorAll('input[name="studyTime"]:checked').forEach(checkbox => { 
-            studyPreferences.push(checkbox.value); 
-        }); 
-        
-        studySystem.generateSchedule({ 
-            examDate: document.getElementById('examDate').value, 
-            subjects: document.getElementById('subjects').value, 
-            studyHours: document.getElementById('studyHours').value, 
-            difficulty: document.getElementById('difficulty').value, 
-            studyGoals: document.getElementById('studyGoals').value, 
-            learningStyle: document.getElementById('learningStyle').value, 
-            studyPreferences: studyPreferences 
-        }); 
+        studySystem.generateSchedule(studySystem.readPlanForm()); 
     }); 
     
     document.getElementById('editForm').addEventListener('submit', (e) => { 
         e.preventDefault(); 
         if (currentEditingItem) { 
-            currentEditingItem.item.time = document.getElementById('editTime').value; 
-            currentEditingItem.item.subject = document.getElementById('editSubject').value; 
-            currentEditingItem.item.topic = document.getElementById('editTopic').value; 
-            currentEditingItem.item.sessionType = document.getElementById('editSessionType').value; 
+            const { item } = currentEditingItem; 
+            const command = studySystem.recordChange('Edit session', ['userSchedules'], () => { 
+                item.time = document.getElementById('editTime').value; 
+                item.durationMinutes = parseInt(document.getElementById('editDuration').value, 10) || item.durationMinutes; 
+                item.subject = document.getElementById('editSubject').value; 
+                item.topic = document.getElementById('editTopic').value; 
+                item.sessionType = document.getElementById('editSessionType').value; 
+                studySystem.touchSession(item); 
+            }); 
             studySystem.updateScheduleUI(studySystem.userSchedules.get(studySystem.currentUser)); 
             studySystem.saveState(); 
             closeModal('editModal'); 
-            showToast('Session updated!', 'success'); 
+            showToast('Session updated!', 'success', studySystem.undoAction(command)); 
         } 
     }); 
     
-    document.getElementById('userForm').addEventListener('submit', e => { 
+    document.getElementById('userForm').addEventListener('submit', async e => { 
         e.preventDefault(); 
         const name = document.getElementById('userName').value.trim(); 
         if (!name) return showToast('Name is required.', 'warning'); 
+        const pin = document.getElementById('userPin').value; 
+        if (pin && pin.length < 4) return showToast('Use at least 4 characters for the PIN.', 'warning'); 
+        if (pin !== document.getElementById('userPinConfirm').value) return showToast('PINs do not match.', 'warning'); 
         const user = studySystem.addUser(`user_${Date.now()}`, name, document.getElementById('userAvatarColor').value); 
         if (user) { 
+            if (pin) await studySystem.protectUser(user.id, pin); 
             studySystem.renderUserCards();  
             studySystem.switchUser(user.id); 
             closeModal('userModal');  
@@ -2552,6 +6638,42 @@ document.addEventListener('DOMContentLoaded', () => {
         } 
     }); 
     
+    document.getElementById('unlockForm').addEventListener('submit', e => { 
+        e.preventDefault(); 
+        studySystem.submitUnlock(document.getElementById('unlockPin').value); 
+    }); 
+    
+    document.getElementById('availabilityExceptionForm').addEventListener('submit', e => { 
+        e.preventDefault(); 
+        const added = studySystem.addAvailabilityException({ 
+            date: document.getElementById('exceptionDate').value, 
+            start: document.getElementById('exceptionStart').value, 
+            end: document.getElementById('exceptionEnd').value, 
+            kind: document.getElementById('exceptionKind').value, 
+            label: document.getElementById('exceptionLabel').value.trim() 
+        }); 
+        if (added) document.getElementById('exceptionLabel').value = ''; 
+    }); 
+    
+    const availabilityGrid = document.getElementById('availabilityGrid'); 
+    availabilityGrid.addEventListener('pointerdown', e => { 
+        e.preventDefault(); 
+        studySystem.paintAvailabilityCell(e.target.closest('.availability-cell'), true); 
+    }); 
+    // Touch pointers stay captured by the first cell, so find the cell under the pointer instead 
+    availabilityGrid.addEventListener('pointermove', e => { 
+        const target = document.elementFromPoint(e.clientX, e.clientY); 
+        if (target) studySystem.paintAvailabilityCell(target.closest('.availability-cell')); 
+    }); 
+    window.addEventListener('pointerup', () => { 
+        if (studySystem.availabilityDraft) studySystem.availabilityDraft.painting = null; 
+    }); 
+    
+    document.getElementById('syncForm').addEventListener('submit', e => { 
+        e.preventDefault(); 
+        studySystem.saveSyncSettings(document.getElementById('syncUrl').value.trim(), document.getElementById('syncToken').value.trim()); 
+    }); 
+    
     const fileInput = document.getElementById('fileInput'); 
     const uploadArea = document.getElementById('fileUploadArea'); 
     ['dragover', 'dragleave', 'drop'].forEach(evt => uploadArea.addEventListener(evt, e => e.preventDefault())); 
@@ -2637,6 +6759,15 @@ document.addEventListener('DOMContentLoaded', () => {
         } 
     }); 
     
+    // Undo/redo shortcuts; text fields keep their native undo 
+    document.addEventListener('keydown', e => { 
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return; 
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return; 
+        e.preventDefault(); 
+        if (e.shiftKey) redoChange(); 
+        else undoChange(); 
+    }); 
+    
     // Add event listener for stats button in progress section 
     document.addEventListener('click', e => { 
         if (e.target.closest('.progress-card')) { 
@@ -0,0 +1,277 @@
+// sync-server.js
+// Self-hostable sync service for Sched Friend. No dependencies; run with
+//   SYNC_TOKENS=dev-token node server/sync-server.js
+// and point Settings > Device Sync at http://localhost:8787 with the same token.
+//
+// Every token is its own account. An account holds one record per (userId, entity)
+// with a revision number that the server increments on each accepted write, plus
+// file blobs. Record values are opaque JSON; PIN-protected profiles arrive already
+// encrypted.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || path.join(__dirname, 'data'));
+const APP_DIR = path.resolve(__dirname, '..');
+const ALLOWED_ORIGIN = process.env.SYNC_ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = Number(process.env.SYNC_MAX_BODY_BYTES) || 25 * 1024 * 1024;
+const TOKENS = (process.env.SYNC_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+
+const ENTITIES = ['users', 'schedules', 'progress', 'files', 'subjectFiles', 'notes', 'calendarNotes', 'revisions'];
+const USER_ID_PATTERN = /^[\w-]{1,64}$/;
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.gz': 'application/gzip'
+};
+
+class HttpError extends Error {
+    constructor(status, message, body = null) {
+        super(message);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+const TOKEN_HASHES = TOKENS.map(sha256);
+
+// Resolves the bearer token to an account id without comparing secrets directly
+function authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) throw new HttpError(401, 'Missing bearer token');
+    const hash = sha256(match[1]);
+    const known = TOKEN_HASHES.some(candidate => crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(hash)));
+    if (!known) throw new HttpError(401, 'Unknown token');
+    return hash.slice(0, 32);
+}
+
+class AccountStore {
+    constructor(accountId) {
+        this.dir = path.join(DATA_DIR, accountId);
+        this.file = path.join(this.dir, 'records.json');
+        this.state = null;
+        // Writes for one account are serialized so revisions never interleave
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.state) return this.state;
+        try {
+            this.state = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.state = { seq: 0, records: {} };
+        }
+        return this.state;
+    }
+
+    async persist() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const temp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(this.state));
+        await fs.promises.rename(temp, this.file);
+    }
+
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async changesSince(since) {
+        const state = await this.load();
+        const records = Object.entries(state.records)
+            .filter(([, record]) => record.seq > since)
+            .map(([key, record]) => {
+                const [userId, entity] = key.split('/');
+                return { userId, entity, ...record };
+            });
+        return { seq: state.seq, records };
+    }
+
+    // Accepts the write only if the client saw the current revision; otherwise the
+    // client gets the newer record back and reconciles
+    put(userId, entity, { baseRev, updatedAt, value }) {
+        return this.exclusive(async () => {
+            const state = await this.load();
+            const key = `${userId}/${entity}`;
+            const current = state.records[key];
+            if ((current ? current.rev : 0) !== baseRev) {
+                throw new HttpError(409, 'Record changed on the server', { record: { userId, entity, ...current } });
+            }
+            state.seq += 1;
+            state.records[key] = { rev: baseRev + 1, seq: state.seq, updatedAt: updatedAt || Date.now(), value };
+            await this.persist();
+            return { rev: baseRev + 1, seq: state.seq };
+        });
+    }
+
+    blobPath(key) {
+        return path.join(this.dir, 'blobs', sha256(key));
+    }
+
+    // Plain blobs are named `<owner>/<sha256 of the text>`, which is checked here, so an
+    // existing one is already correct. Encrypted blobs are named by a keyed hash the server
+    // cannot recompute, so each upload replaces the last.
+    async putBlob(key, value) {
+        const encrypted = Boolean(value && typeof value === 'object' && value.encrypted === true);
+        if (!encrypted && (typeof value !== 'string' || key.split('/').pop() !== sha256(value))) {
+            throw new HttpError(400, 'Blob key does not match its content');
+        }
+        const file = this.blobPath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        if (encrypted) {
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temp, JSON.stringify(value));
+            await fs.promises.rename(temp, file);
+            return;
+        }
+        try {
+            await fs.promises.writeFile(file, JSON.stringify(value), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    async getBlob(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.blobPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new HttpError(404, 'Blob not found');
+            throw error;
+        }
+    }
+}
+
+const accounts = new Map();
+function accountFor(accountId) {
+    if (!accounts.has(accountId)) accounts.set(accountId, new AccountStore(accountId));
+    return accounts.get(accountId);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+            } catch (error) {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+                return;
+            }
+            // `null`, arrays and bare values parse fine but carry none of the fields
+            if (!body || typeof body !== 'object' || Array.isArray(body)) reject(new HttpError(400, 'Body must be a JSON object'));
+            else resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// decodeURIComponent throws URIError on malformed escapes such as %E0%A4%A
+function decodePath(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handleApi(req, res, url) {
+    if (url.pathname === '/api/health') return send(res, 200, { ok: true });
+    const account = accountFor(authenticate(req));
+    const parts = url.pathname.split('/').slice(2).map(decodePath);
+
+    if (parts[0] === 'records' && parts.length === 1 && req.method === 'GET') {
+        return send(res, 200, await account.changesSince(Number(url.searchParams.get('since')) || 0));
+    }
+    if (parts[0] === 'records' && parts.length === 3 && req.method === 'PUT') {
+        const [, userId, entity] = parts;
+        if (!USER_ID_PATTERN.test(userId) || !ENTITIES.includes(entity)) throw new HttpError(400, 'Unknown record');
+        const body = await readBody(req);
+        if (!Number.isInteger(body.baseRev) || body.value === undefined) throw new HttpError(400, 'baseRev and value are required');
+        return send(res, 200, await account.put(userId, entity, body));
+    }
+    if (parts[0] === 'blobs' && parts.length === 2) {
+        const key = parts[1];
+        if (req.method === 'GET') return send(res, 200, { value: await account.getBlob(key) });
+        if (req.method === 'PUT') {
+            const body = await readBody(req);
+            if (body.value === undefined) throw new HttpError(400, 'value is required');
+            await account.putBlob(key, body.value);
+            return send(res, 204);
+        }
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+// Serves the app itself so a local instance is all that is needed for development
+async function serveStatic(res, url) {
+    const relative = url.pathname === '/' ? 'index.html' : decodePath(url.pathname).replace(/^\/+/, '');
+    const file = path.resolve(APP_DIR, relative);
+    if (!file.startsWith(APP_DIR + path.sep) || file.startsWith(path.join(APP_DIR, 'server') + path.sep)) {
+        throw new HttpError(404, 'Not found');
+    }
+    const type = STATIC_TYPES[path.extname(file)];
+    if (!type) throw new HttpError(404, 'Not found');
+    try {
+        const body = await fs.promises.readFile(file);
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        res.end(body);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new HttpError(404, 'Not found');
+        throw error;
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    try {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (url.pathname.startsWith('/api/')) await handleApi(req, res, url);
+        else if (req.method === 'GET') await serveStatic(res, url);
+        else throw new HttpError(405, 'Method not allowed');
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(error);
+        if (!res.headersSent) send(res, status, error.body || { error: status === 500 ? 'Internal error' : error.message });
+    }
+});
+
+if (require.main === module) {
+    if (TOKENS.length === 0) {
+        console.error('Set SYNC_TOKENS to a comma-separated list of access tokens.');
+        process.exit(1);
+    }
+    server.listen(PORT, () => console.log(`Sched Friend sync server on http://localhost:${PORT} (data in ${DATA_DIR})`));
+}
+
+module.exports = { server, AccountStore };
@@ -0,0 +1,112 @@
+// Service worker: precaches the app shell and vendor libraries so the app runs offline.
+// Bump CACHE_VERSION with every change to a file the app shell caches (APP_SHELL, OCR_ASSETS
+// or this worker); the page offers a reload once the new worker is waiting.
+const CACHE_VERSION = 'v23';
+const SHELL_CACHE = `sched-friend-shell-${CACHE_VERSION}`;
+// Versioned too, so an update also drops whatever the old version fetched at runtime
+const RUNTIME_CACHE = `sched-friend-runtime-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, RUNTIME_CACHE];
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'planner.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    // PDF import is bundled (vendor/pdfjs/) so it works offline from the first visit
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js'
+];
+
+// Must match the <script>/<link> URLs in index.html exactly
+const VENDOR_LIBRARIES = [
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.4.2/mammoth.browser.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.31/jspdf.plugin.autotable.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-regular-400.woff2',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-brands-400.woff2'
+];
+
+// Text recognition runs from the files bundled in vendor/tesseract/. It is optional, so each
+// file is cached on its own and one missing from a deployment does not stop the install.
+const OCR_ASSETS = [
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/lang/eng.traineddata.gz'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all([
+        cache.addAll([
+            ...APP_SHELL.map(url => new Request(url, { cache: 'reload' })),
+            ...VENDOR_LIBRARIES.map(url => new Request(url, { mode: 'cors' }))
+        ]),
+        ...OCR_ASSETS.map(url => fetch(new Request(url, { cache: 'reload' }))
+            .then(response => cacheable(response) ? cache.put(url, response) : undefined)
+            .catch(() => {}))
+    ])));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(key => key.startsWith('sched-friend-') && !CURRENT_CACHES.includes(key)).map(key => caches.delete(key))
+    )).then(() => self.clients.claim()));
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Serve the cached shell first so the page always matches the cached script and styles
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+        return;
+    }
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    // Sync API calls (when the sync server also serves the app) must never be cached
+    if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        event.respondWith(caches.match(request).then(cached => cached || networkThenCache(request)));
+    }
+});
+
+// Versioned CDN files never change, so anything fetched once is kept
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || networkThenCache(request);
+}
+
+async function networkThenCache(request) {
+    const response = await fetch(request);
+    if (cacheable(response)) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Hosts that rewrite unknown paths to index.html (see vercel.json) answer a missing file with
+// the page itself, which must not be cached in the file's place
+function cacheable(response) {
+    if (response.type === 'opaque') return true;
+    return response.ok && !(response.headers.get('Content-Type') || '').includes('text/html');
+}
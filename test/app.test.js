@@ -0,0 +1,186 @@
+// app.test.js
+// The pure parts of script.js: record revisions, the schedule merge between tabs and
+// devices, regeneration diffs and the syllabus parser. script.js is a browser script
+// without exports, so it is loaded the way index.html loads it, after planner.js, with
+// just enough of a document to get through its top level.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.document = { addEventListener() {} };
+['planner.js', 'script.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), { filename: file });
+});
+const { RecordRevisions, SyllabusParser, EnhancedStudySystem, RECORD_TOMBSTONE_DAYS, toISODate } =
+    vm.runInThisContext('({ RecordRevisions, SyllabusParser, EnhancedStudySystem, RECORD_TOMBSTONE_DAYS, toISODate })');
+
+// The merge helpers only need the methods, not a running app
+const app = Object.create(EnhancedStudySystem.prototype);
+const DAY = 86400000;
+// mergeSchedules stamps with the clock, so its tombstones have to be recent
+const NOW = Date.now();
+
+function note(date, text) {
+    return { date, text };
+}
+
+function session(id, fields = {}) {
+    return { id, date: '2030-01-07', time: '09:00', subject: 'Maths', topic: id, sessionType: 'study', durationMinutes: 60, rev: 1, planRev: 1, generatedAt: 1, ...fields };
+}
+
+test('stamp gives new and changed items the next revision and keeps unchanged ones', () => {
+    const first = RecordRevisions.stamp('notes', [note('a', 'one'), note('b', 'two')], {}, 'tab-1', 1000);
+    assert.deepStrictEqual(Object.keys(first), ['a', 'b']);
+    assert.strictEqual(first.a.rev, 1);
+
+    const second = RecordRevisions.stamp('notes', [note('a', 'one'), note('b', 'changed')], first, 'tab-2', 2000);
+    assert.strictEqual(second.a, first.a);
+    assert.strictEqual(second.b.rev, 2);
+    assert.strictEqual(second.b.by, 'tab-2');
+});
+
+test('stamp leaves a tombstone for a removed item until it expires', () => {
+    const stamps = RecordRevisions.stamp('notes', [note('a', 'one')], {}, null, 1000);
+    const removed = RecordRevisions.stamp('notes', [], stamps, null, 2000);
+    assert.deepStrictEqual(removed.a, { rev: 2, at: 2000, by: null, deleted: true });
+    assert.strictEqual(RecordRevisions.stamp('notes', [], removed, null, 2000 + DAY).a, removed.a);
+    assert.strictEqual(RecordRevisions.stamp('notes', [], removed, null, 2000 + RECORD_TOMBSTONE_DAYS * DAY).a, undefined);
+});
+
+test('merge takes the higher revision, deletions included', () => {
+    const base = [note('a', 'one'), note('b', 'two')];
+    const stamps = RecordRevisions.stamp('notes', base, {}, null, 1000);
+    const edited = [note('a', 'edited'), note('b', 'two')];
+    const editedStamps = RecordRevisions.stamp('notes', edited, stamps, null, 2000);
+    const { record, changed } = RecordRevisions.merge('notes', base, stamps, edited, editedStamps);
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(record, edited);
+
+    const removedStamps = RecordRevisions.stamp('notes', [note('a', 'one')], stamps, null, 2000);
+    const merged = RecordRevisions.merge('notes', base, stamps, [note('a', 'one')], removedStamps);
+    assert.deepStrictEqual(merged.record, [note('a', 'one')]);
+    assert.strictEqual(merged.stamps.b.deleted, true);
+});
+
+test('merge keeps an edit over a removal made at the same revision', () => {
+    const stamps = RecordRevisions.stamp('notes', [note('a', 'one')], {}, null, 1000);
+    const edited = [note('a', 'edited')];
+    const editedStamps = RecordRevisions.stamp('notes', edited, stamps, 'tab-1', 2000);
+    const removedStamps = RecordRevisions.stamp('notes', [], stamps, 'tab-2', 2000);
+    assert.deepStrictEqual(RecordRevisions.merge('notes', [], removedStamps, edited, editedStamps).record, edited);
+    assert.deepStrictEqual(RecordRevisions.merge('notes', edited, editedStamps, [], removedStamps).record, edited);
+});
+
+test('merge resolves concurrent edits the same way from either side', () => {
+    const stamps = RecordRevisions.stamp('notes', [note('a', 'one')], {}, null, 1000);
+    const mine = [note('a', 'mine')];
+    const theirs = [note('a', 'theirs')];
+    const mineStamps = RecordRevisions.stamp('notes', mine, stamps, 'tab-1', 2000);
+    const theirStamps = RecordRevisions.stamp('notes', theirs, stamps, 'tab-2', 3000);
+    const here = RecordRevisions.merge('notes', mine, mineStamps, theirs, theirStamps);
+    const there = RecordRevisions.merge('notes', theirs, theirStamps, mine, mineStamps);
+    assert.deepStrictEqual(here.record, theirs);
+    assert.deepStrictEqual(there.record, here.record);
+    assert.deepStrictEqual(there.stamps, here.stamps);
+    assert.strictEqual(here.stamps.a.rev, 3);
+});
+
+test('stampSessions remembers session ids and leaves tombstones for removed sessions', () => {
+    const stamps = RecordRevisions.stampSessions([session('s1'), session('s2', { rev: 3 })], {}, 1000);
+    assert.deepStrictEqual(stamps, { s1: { rev: 1 }, s2: { rev: 3 } });
+    const removed = RecordRevisions.stampSessions([session('s1')], stamps, 2000);
+    assert.deepStrictEqual(removed.s2, { rev: 3, at: 2000, deleted: true });
+    assert.strictEqual(RecordRevisions.stampSessions([session('s1')], removed, 2000 + RECORD_TOMBSTONE_DAYS * DAY).s2, undefined);
+});
+
+test('a session deleted in one copy does not come back from the other', () => {
+    const both = [session('s1'), session('s2')];
+    const stamps = RecordRevisions.stampSessions(both, {}, NOW - DAY);
+    const deleted = [session('s1')];
+    const deletedStamps = RecordRevisions.stampSessions(deleted, stamps, NOW);
+    const here = app.mergeSchedules(deleted, both, [], deletedStamps, stamps);
+    const there = app.mergeSchedules(both, deleted, [], stamps, deletedStamps);
+    assert.deepStrictEqual(here.schedule.map(s => s.id), ['s1']);
+    assert.deepStrictEqual(there.schedule.map(s => s.id), ['s1']);
+    assert.strictEqual(here.stamps.s2.deleted, true);
+});
+
+test('a session edited after another copy deleted it is kept', () => {
+    const both = [session('s1'), session('s2')];
+    const stamps = RecordRevisions.stampSessions(both, {}, NOW - DAY);
+    const deletedStamps = RecordRevisions.stampSessions([session('s1')], stamps, NOW);
+    const edited = [session('s1'), session('s2', { rev: 2, notes: 'bring a calculator' })];
+    const { schedule } = app.mergeSchedules([session('s1')], edited, [], deletedStamps, RecordRevisions.stampSessions(edited, stamps, NOW));
+    assert.deepStrictEqual(schedule.map(s => s.id), ['s1', 's2']);
+    assert.strictEqual(schedule[1].notes, 'bring a calculator');
+});
+
+test('sessions edited concurrently are reported and merged the same way from either side', () => {
+    const mine = [session('s1', { rev: 2, time: '10:00', updatedAt: 1000, updatedBy: 'tab-1' })];
+    const theirs = [session('s1', { rev: 2, completed: true, notes: 'done early', updatedAt: 2000, updatedBy: 'tab-2' })];
+    const conflicts = [];
+    const here = app.mergeSchedules(mine, theirs, conflicts).schedule;
+    const there = app.mergeSchedules(theirs, mine, []).schedule;
+    assert.strictEqual(conflicts.length, 1);
+    assert.deepStrictEqual(here, there);
+    assert.strictEqual(here[0].rev, 3);
+    assert.strictEqual(here[0].completed, true);
+    assert.strictEqual(here[0].updatedBy, 'merge');
+});
+
+test('a newer plan replaces the schedule outright', () => {
+    const older = [session('s1'), session('s2')];
+    const newer = [session('n1', { generatedAt: 2 })];
+    assert.deepStrictEqual(app.mergeSchedules(older, newer, []).schedule, newer);
+    assert.deepStrictEqual(app.mergeSchedules(newer, older, []).schedule, newer);
+});
+
+test('regeneration diffs keep matching sessions and pair moved work in date order', () => {
+    const day = offset => toISODate(new Date(Date.now() + offset * DAY));
+    const current = [
+        session('same', { date: day(1), topic: 'Limits' }),
+        session('moves', { date: day(2), topic: 'Series' }),
+        session('goes', { date: day(3), topic: 'Vectors' }),
+        session('edited', { date: day(4), topic: 'Matrices', rev: 2 }),
+        session('past', { date: day(-1), topic: 'Proofs' })
+    ];
+    const proposed = [
+        session(null, { date: day(1), topic: 'Limits' }),
+        session(null, { date: day(5), topic: 'Series' }),
+        session(null, { date: day(6), topic: 'Integrals' })
+    ];
+    const changes = app.diffSchedules(current, proposed);
+    assert.deepStrictEqual(changes.map(c => [c.kind, c.session.topic]), [['moved', 'Series'], ['added', 'Integrals'], ['removed', 'Vectors']]);
+    assert.strictEqual(changes[0].to.date, day(5));
+});
+
+test('syllabus headings become units and their bullets topics', () => {
+    const units = SyllabusParser.parse([
+        '# Calculus I',
+        'This course introduces the ideas of calculus and how they are applied in practice.',
+        '## Unit 1: Limits (4h)',
+        '- Limits intuition',
+        '- One-sided limits',
+        '## Unit 2: Derivatives',
+        '1. Definition (2h)',
+        '2. Rules [1.5 hrs]',
+        '   - Chain rule'
+    ].join('\r\n'));
+    assert.deepStrictEqual(units, [
+        { title: 'Unit 1: Limits', topics: [{ topic: 'Limits intuition', hours: 2 }, { topic: 'One-sided limits', hours: 2 }] },
+        { title: 'Unit 2: Derivatives', topics: [{ topic: 'Definition', hours: 2 }, { topic: 'Rules', hours: 1.5 }, { topic: 'Chain rule', hours: null }] }
+    ]);
+});
+
+test('syllabus numbering nests and loose lines are gathered under General', () => {
+    const units = SyllabusParser.parse('Vectors\nMatrices - 3 hours\n\nWEEK 2\n1.1 Eigenvalues\n1.1.1 Characteristic polynomial\n1.2 Diagonalisation');
+    assert.deepStrictEqual(units, [
+        { title: 'General', topics: [{ topic: 'Vectors', hours: null }, { topic: 'Matrices', hours: 3 }] },
+        { title: 'WEEK 2', topics: [{ topic: 'Eigenvalues', hours: null }, { topic: 'Characteristic polynomial', hours: null }, { topic: 'Diagonalisation', hours: null }] }
+    ]);
+    assert.deepStrictEqual(SyllabusParser.parse('\n\n'), []);
+});
@@ -0,0 +1,77 @@
+// plan.test.js
+// Runs the command-line planner over a fixed config and compares each format with the files
+// under fixtures/. After a deliberate change to the planner, rewrite them with
+//   UPDATE_GOLDEN=1 npm test
+// and review the diff.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { StudyPlanner } = require('../planner.js');
+const { plan } = require('../bin/plan.js');
+
+const PLAN = path.join(__dirname, '..', 'bin', 'plan.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CONFIG = path.join(FIXTURES, 'plan.json');
+
+// Sessions are planned in local time and calendar events written in UTC, so the goldens
+// are made in one fixed time zone
+function runPlan(format) {
+    return execFileSync(process.execPath, [PLAN, CONFIG, '--format', format], { encoding: 'utf8', env: { ...process.env, TZ: 'UTC' } });
+}
+
+function readConfig() {
+    return JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+}
+
+['json', 'csv', 'ics'].forEach(format => {
+    test(`plan.json as ${format} matches the golden file`, () => {
+        const golden = path.join(FIXTURES, `plan.expected.${format}`);
+        const output = runPlan(format);
+        if (process.env.UPDATE_GOLDEN) fs.writeFileSync(golden, output);
+        assert.strictEqual(output, fs.readFileSync(golden, 'utf8'));
+    });
+});
+
+test('the same seed gives the same plan every run', () => {
+    const config = readConfig();
+    const runs = [1, 2, 3].map(() => plan(new StudyPlanner(), config, 'json').output);
+    assert.strictEqual(runs[1], runs[0]);
+    assert.strictEqual(runs[2], runs[0]);
+    assert.notStrictEqual(plan(new StudyPlanner(), { ...config, seed: config.seed + 1 }, 'json').output, runs[0]);
+});
+
+test('calendar lines end in CRLF', () => {
+    const output = runPlan('ics');
+    assert.ok(output.endsWith('END:VCALENDAR\r\n'));
+    assert.doesNotMatch(output, /[^\r]\n/);
+});
+
+test('syllabus units without topics are skipped', () => {
+    const syllabi = {
+        Mathematics: { units: [{ title: 'Empty', topics: [] }] },
+        Physics: { units: [{ title: 'Empty', topics: [] }, { title: 'Waves', topics: [{ topic: 'Wave Motion', hours: 2 }] }, { title: 'Broken' }] }
+    };
+    const { output } = plan(new StudyPlanner(), { ...readConfig(), syllabi }, 'json');
+    const sessions = JSON.parse(output).sessions;
+    const topics = subject => new Set(sessions.filter(s => s.subject === subject).map(s => s.topic));
+    assert.deepStrictEqual([...topics('Physics')], ['Wave Motion']);
+    assert.ok(topics('Mathematics').size > 0);
+});
+
+[
+    ['an unknown difficulty', { difficulty: 'expert' }, /difficulty must be one of/],
+    ['no exam date', { examDate: undefined }, /No valid examDate .* for Mathematics/],
+    ['an impossible exam date', { examDate: '2026-02-30' }, /No valid examDate .* for Mathematics/]
+].forEach(([problem, change, message]) => {
+    test(`a config with ${problem} exits 1 with the usage`, () => {
+        const result = spawnSync(process.execPath, [PLAN, '-'], { input: JSON.stringify({ ...readConfig(), ...change }), encoding: 'utf8' });
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.match(result.stderr, message);
+        assert.match(result.stderr, /^Usage:/m);
+    });
+});
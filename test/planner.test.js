@@ -0,0 +1,41 @@
+// planner.test.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpacedRepetition, RECALL_GRADES } = require('../planner.js');
+
+test('good reviews space an item out by 1, 6 and then ease times the last interval', () => {
+    const reviews = [];
+    let item = SpacedRepetition.createItem('Maths', 'Limits');
+    let on = '2030-01-01';
+    for (let i = 0; i < 4; i++) {
+        item = SpacedRepetition.review(item, RECALL_GRADES.good.quality, on);
+        reviews.push(item);
+        on = item.due;
+    }
+    assert.deepStrictEqual(reviews.map(r => r.interval).slice(0, 2), [1, 6]);
+    assert.strictEqual(reviews[2].interval, Math.round(6 * reviews[1].ease));
+    assert.strictEqual(reviews[3].interval, Math.round(reviews[2].interval * reviews[2].ease));
+    assert.strictEqual(reviews[3].lastReviewed, reviews[2].due);
+    assert.strictEqual(reviews[3].due, SpacedRepetition.addDays(reviews[2].due, reviews[3].interval));
+});
+
+test('a failed review starts the item over and counts a lapse', () => {
+    let item = SpacedRepetition.createItem('Maths', 'Limits');
+    item = SpacedRepetition.review(item, 5, '2030-01-01');
+    item = SpacedRepetition.review(item, 5, '2030-01-02');
+    const failed = SpacedRepetition.review(item, 1, '2030-01-08');
+    assert.strictEqual(failed.repetitions, 0);
+    assert.strictEqual(failed.interval, 1);
+    assert.strictEqual(failed.lapses, 1);
+    assert.strictEqual(failed.due, '2030-01-09');
+    assert.ok(failed.ease < item.ease);
+});
+
+test('ease never drops below 1.3', () => {
+    let item = SpacedRepetition.createItem('Maths', 'Limits');
+    for (let i = 0; i < 20; i++) item = SpacedRepetition.review(item, 0, '2030-01-01');
+    assert.strictEqual(item.ease, 1.3);
+    assert.strictEqual(item.lapses, 20);
+});
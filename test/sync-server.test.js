@@ -0,0 +1,112 @@
+// sync-server.test.js
+// Runs the sync server on a free port with a throwaway data directory.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its configuration when it is loaded
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-'));
+process.env.SYNC_TOKENS = 'test-token';
+process.env.SYNC_DATA_DIR = DATA_DIR;
+const { server, AccountStore } = require('../server/sync-server.js');
+
+let base;
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}/api`;
+    resolve();
+})));
+test.after(() => new Promise(resolve => server.close(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    resolve();
+})));
+
+async function request(method, route, body, token = 'test-token') {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const options = { method, headers };
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const res = await fetch(base + route, options);
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+test('requests need a known token', async () => {
+    assert.strictEqual((await request('GET', '/records', undefined, null)).status, 401);
+    assert.strictEqual((await request('GET', '/records', undefined, 'other-token')).status, 401);
+    assert.strictEqual((await request('GET', '/health', undefined, null)).status, 200);
+});
+
+test('records are stored with revisions and listed by sequence', async () => {
+    const first = await request('PUT', '/records/u1/notes', { baseRev: 0, value: ['one'] });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.rev, 1);
+    const second = await request('PUT', '/records/u1/notes', { baseRev: 1, value: ['one', 'two'] });
+    assert.strictEqual(second.body.rev, 2);
+
+    const all = await request('GET', '/records?since=0');
+    const notes = all.body.records.find(r => r.userId === 'u1' && r.entity === 'notes');
+    assert.deepStrictEqual(notes.value, ['one', 'two']);
+    assert.strictEqual(notes.rev, 2);
+    const later = await request('GET', `/records?since=${second.body.seq}`);
+    assert.deepStrictEqual(later.body.records, []);
+});
+
+test('a write from a stale revision gets the current record back', async () => {
+    await request('PUT', '/records/u2/users', { baseRev: 0, value: { name: 'Ann' } });
+    const stale = await request('PUT', '/records/u2/users', { baseRev: 0, value: { name: 'Bob' } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.record.rev, 1);
+    assert.deepStrictEqual(stale.body.record.value, { name: 'Ann' });
+});
+
+test('malformed record writes are rejected', async () => {
+    for (const body of ['null', '[]', '3', '{"baseRev":0']) {
+        assert.strictEqual((await request('PUT', '/records/u3/notes', body)).status, 400, body);
+    }
+    assert.strictEqual((await request('PUT', '/records/u3/notes', { value: [] })).status, 400);
+    assert.strictEqual((await request('PUT', '/records/u3/secrets', { baseRev: 0, value: [] })).status, 400);
+    assert.strictEqual((await request('PUT', '/records/..%2Fu3/notes', { baseRev: 0, value: [] })).status, 400);
+});
+
+test('plain blobs must be named by their digest', async () => {
+    const text = 'lecture notes';
+    const key = encodeURIComponent(`u1/${sha256(text)}`);
+    assert.strictEqual((await request('PUT', `/blobs/${key}`, { value: text })).status, 204);
+    assert.deepStrictEqual((await request('GET', `/blobs/${key}`)).body, { value: text });
+
+    const wrong = encodeURIComponent(`u1/${sha256('something else')}`);
+    assert.strictEqual((await request('PUT', `/blobs/${wrong}`, { value: text })).status, 400);
+    assert.strictEqual((await request('GET', `/blobs/${wrong}`)).status, 404);
+});
+
+test('encrypted blobs replace the previous upload', async () => {
+    const key = encodeURIComponent('u1/keyed-hash');
+    await request('PUT', `/blobs/${key}`, { value: { encrypted: true, data: 'first' } });
+    assert.strictEqual((await request('PUT', `/blobs/${key}`, { value: { encrypted: true, data: 'second' } })).status, 204);
+    assert.deepStrictEqual((await request('GET', `/blobs/${key}`)).body.value, { encrypted: true, data: 'second' });
+});
+
+test('concurrent writes to one account take revisions in turn', async () => {
+    const store = new AccountStore('direct');
+    const results = await Promise.allSettled([
+        store.put('u1', 'progress', { baseRev: 0, value: 'a' }),
+        store.put('u1', 'progress', { baseRev: 0, value: 'b' })
+    ]);
+    assert.strictEqual(results[0].status, 'fulfilled');
+    assert.strictEqual(results[1].reason.status, 409);
+    assert.deepStrictEqual(results[1].reason.body.record.value, 'a');
+    assert.deepStrictEqual(await store.put('u1', 'progress', { baseRev: 1, value: 'b' }), { rev: 2, seq: 2 });
+
+    const reloaded = new AccountStore('direct');
+    const { records } = await reloaded.changesSince(0);
+    assert.deepStrictEqual(records.map(r => [r.entity, r.rev, r.value]), [['progress', 2, 'b']]);
+});